@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+/**
+ * lint-content.js
+ * Checks the game's content files against their schemas and reports each
+ * problem with file and line, e.g.
+ *   src/data/questions.json:212 medium[3].operation: must be one of ...
+ *
+ * Usage: npm run lint:content
+ * Exits with status 1 if any problem is found.
+ */
+
+import { readFileSync } from 'fs';
+import { dirname, join, relative } from 'path';
+import { fileURLToPath } from 'url';
+import {
+    formatPath,
+    validateQuestionBank,
+    validateContentFile
+} from '../src/utils/contentValidation.js';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const DATA_DIR = join(ROOT, 'src', 'data');
+const SCHEMA_DIR = join(DATA_DIR, 'schemas');
+
+/**
+ * Map each value in a JSON document to the line it starts on
+ * @param {string} text - JSON source
+ * @returns {Map<string, number>} Formatted path -> 1-based line number
+ */
+function locateJsonPaths(text) {
+    const lines = new Map();
+    let index = 0;
+    let line = 1;
+
+    const skipSpace = () => {
+        while (index < text.length && /\s/.test(text[index])) {
+            if (text[index] === '\n') {
+                line++;
+            }
+            index++;
+        }
+    };
+
+    const readString = () => {
+        let value = '';
+        index++; // opening quote
+        while (index < text.length && text[index] !== '"') {
+            if (text[index] === '\\') {
+                value += text[index + 1];
+                index += 2;
+            } else {
+                value += text[index++];
+            }
+        }
+        index++; // closing quote
+        return value;
+    };
+
+    const readValue = (path) => {
+        skipSpace();
+        lines.set(formatPath(path), line);
+
+        if (text[index] === '{') {
+            index++;
+            skipSpace();
+            while (text[index] !== '}' && index < text.length) {
+                skipSpace();
+                const key = readString();
+                skipSpace();
+                index++; // colon
+                readValue(path.concat(key));
+                skipSpace();
+                if (text[index] === ',') {
+                    index++;
+                    skipSpace();
+                }
+            }
+            index++;
+        } else if (text[index] === '[') {
+            index++;
+            skipSpace();
+            let item = 0;
+            while (text[index] !== ']' && index < text.length) {
+                readValue(path.concat(item++));
+                skipSpace();
+                if (text[index] === ',') {
+                    index++;
+                }
+                skipSpace();
+            }
+            index++;
+        } else if (text[index] === '"') {
+            readString();
+        } else {
+            while (index < text.length && /[^,\]}\s]/.test(text[index])) {
+                index++;
+            }
+        }
+    };
+
+    readValue([]);
+    return lines;
+}
+
+/**
+ * Find the line for an error, using the nearest path that has one
+ * @param {Map<string, number>} lines - From locateJsonPaths()
+ * @param {Array<string|number>} path - Error path
+ * @returns {number} Line number
+ */
+function findLine(lines, path) {
+    for (let length = path.length; length >= 0; length--) {
+        const found = lines.get(formatPath(path.slice(0, length)));
+        if (found) {
+            return found;
+        }
+    }
+    return 1;
+}
+
+/**
+ * Read and parse a JSON file, reporting syntax errors as problems
+ * @param {string} file - Absolute path
+ * @param {Array<string>} problems - Problem list to add to
+ * @returns {Object|null} { data, lines } or null if unreadable
+ */
+function readJson(file, problems) {
+    const name = relative(ROOT, file);
+
+    try {
+        const text = readFileSync(file, 'utf8');
+        return { data: JSON.parse(text), lines: locateJsonPaths(text) };
+    } catch (error) {
+        problems.push(`${name}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Add errors for one file to the problem list
+ * @param {string} file - Absolute path of the content file
+ * @param {Map<string, number>} lines - Line map for the file
+ * @param {Array<Object>} errors - Errors { path, message }
+ * @param {Array<string>} problems - Problem list to add to
+ */
+function report(file, lines, errors, problems) {
+    const name = relative(ROOT, file);
+
+    errors.forEach(error => {
+        problems.push(`${name}:${findLine(lines, error.path)} ${formatPath(error.path)}: ${error.message}`);
+    });
+}
+
+function main() {
+    const problems = [];
+
+    const questionsFile = join(DATA_DIR, 'questions.json');
+    const difficultiesFile = join(DATA_DIR, 'difficulties.json');
+    const feedbackFile = join(DATA_DIR, 'feedback-messages.json');
+
+    const questions = readJson(questionsFile, problems);
+    const difficulties = readJson(difficultiesFile, problems);
+    const feedback = readJson(feedbackFile, problems);
+
+    const questionSchema = readJson(join(SCHEMA_DIR, 'questions.schema.json'), problems);
+    const difficultySchema = readJson(join(SCHEMA_DIR, 'difficulties.schema.json'), problems);
+    const feedbackSchema = readJson(join(SCHEMA_DIR, 'feedback-messages.schema.json'), problems);
+
+    if (difficulties && difficultySchema) {
+        report(difficultiesFile, difficulties.lines, validateContentFile(difficulties.data, difficultySchema.data), problems);
+    }
+
+    if (feedback && feedbackSchema) {
+        report(feedbackFile, feedback.lines, validateContentFile(feedback.data, feedbackSchema.data), problems);
+    }
+
+    if (questions && questionSchema) {
+        const { errors } = validateQuestionBank(
+            questions.data,
+            questionSchema.data,
+            difficulties ? difficulties.data : null
+        );
+        report(questionsFile, questions.lines, errors, problems);
+    }
+
+    if (problems.length > 0) {
+        problems.forEach(problem => console.error(problem));
+        console.error(`\n${problems.length} problem(s) found in game content`);
+        process.exit(1);
+    }
+
+    console.log('Game content OK');
+}
+
+main();
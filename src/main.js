@@ -65,9 +65,12 @@ const config = {
     // Scenes will be added here as they are created
     scene: [
         // BootScene will be imported and added
+        // ProfileScene will be imported and added
         // MenuScene will be imported and added
         // GameScene will be imported and added
         // ResultsScene will be imported and added
+        // SkillMapScene will be imported and added
+        // TrophyScene will be imported and added
     ],
 
     // Callbacks
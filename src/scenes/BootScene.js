@@ -5,6 +5,7 @@
  */
 
 import Phaser from 'phaser';
+import { formatPath, validateQuestionBank, validateContentFile } from '../utils/contentValidation.js';
 
 export default class BootScene extends Phaser.Scene {
   constructor() {
@@ -43,6 +44,12 @@ export default class BootScene extends Phaser.Scene {
 
     // Load feedback messages
     this.loadFeedbackMessages();
+
+    // Load difficulty settings
+    this.loadDifficultyData();
+
+    // Load the schemas the data files are checked against
+    this.loadContentSchemas();
   }
 
   /**
@@ -225,6 +232,26 @@ export default class BootScene extends Phaser.Scene {
     });
   }
 
+  /**
+   * Load difficulty settings from JSON
+   */
+  loadDifficultyData() {
+    this.load.json('difficulties', 'src/data/difficulties.json').on('loaderror', () => {
+      console.warn('Difficulties file not found, will use built-in difficulty rules');
+    });
+  }
+
+  /**
+   * Load JSON schemas for the content files
+   */
+  loadContentSchemas() {
+    ['questions', 'difficulties', 'feedback-messages'].forEach(name => {
+      this.load.json(`${name}-schema`, `src/data/schemas/${name}.schema.json`).on('loaderror', () => {
+        console.warn(`Schema for ${name}.json not found, skipping schema checks`);
+      });
+    });
+  }
+
   /**
    * Called when all assets have loaded
    */
@@ -250,19 +277,25 @@ export default class BootScene extends Phaser.Scene {
     this.registry.set('soundEnabled', true);
     this.registry.set('musicEnabled', true);
 
-    // Load question data into registry
+    // Load difficulty settings into registry (MathEngine falls back without them).
+    // Loaded first so question ranges can be checked against each band.
+    const difficultyConfig = this.validateDifficultyData(this.cache.json.get('difficulties'));
+    this.registry.set('difficultyConfig', difficultyConfig);
+
+    // Load question data into registry. MathEngine is the one place with
+    // built-in templates, so without usable data the bank is left null.
     const questionsData = this.cache.json.get('questions');
     if (questionsData) {
-      this.registry.set('questionBank', questionsData);
+      this.registry.set('questionBank', this.validateQuestionData(questionsData, difficultyConfig));
     } else {
-      console.log('Using default question bank');
-      this.registry.set('questionBank', this.getDefaultQuestionBank());
+      console.log('Using built-in question bank');
+      this.registry.set('questionBank', null);
     }
 
     // Load feedback messages into registry
     const feedbackData = this.cache.json.get('feedback-messages');
     if (feedbackData) {
-      this.registry.set('feedbackMessages', feedbackData);
+      this.registry.set('feedbackMessages', this.validateFeedbackData(feedbackData));
     } else {
       console.log('Using default feedback messages');
       this.registry.set('feedbackMessages', this.getDefaultFeedbackMessages());
@@ -270,84 +303,98 @@ export default class BootScene extends Phaser.Scene {
   }
 
   /**
-   * Get default question bank if JSON file not found
-   * @returns {Object} Default question bank
+   * Log content problems the same way `npm run lint:content` reports them
+   * @param {string} file - Content file name
+   * @param {Array<Object>} errors - Errors { path, message }
    */
-  getDefaultQuestionBank() {
-    return {
-      easy: [
-        {
-          id: 'add_easy_001',
-          type: 'equation',
-          operation: 'addition',
-          template: '{a} + {b} = ?',
-          minValue: 0,
-          maxValue: 10,
-          visualHint: true,
-          hintType: 'bananas'
-        },
-        {
-          id: 'add_easy_002',
-          type: 'equation',
-          operation: 'addition',
-          template: '{a} + {b} = ?',
-          minValue: 5,
-          maxValue: 15,
-          visualHint: true,
-          hintType: 'bananas'
-        },
-        {
-          id: 'sub_easy_001',
-          type: 'equation',
-          operation: 'subtraction',
-          template: '{a} - {b} = ?',
-          minValue: 0,
-          maxValue: 10,
-          visualHint: true,
-          hintType: 'bananas'
-        }
-      ],
-      medium: [
-        {
-          id: 'add_medium_001',
-          type: 'equation',
-          operation: 'addition',
-          template: '{a} + {b} = ?',
-          minValue: 10,
-          maxValue: 25,
-          visualHint: false
-        },
-        {
-          id: 'sub_medium_001',
-          type: 'equation',
-          operation: 'subtraction',
-          template: '{a} - {b} = ?',
-          minValue: 10,
-          maxValue: 25,
-          visualHint: false
-        }
-      ],
-      hard: [
-        {
-          id: 'add_hard_001',
-          type: 'equation',
-          operation: 'addition',
-          template: '{a} + {b} = ?',
-          minValue: 25,
-          maxValue: 50,
-          visualHint: false
-        },
-        {
-          id: 'sub_hard_001',
-          type: 'equation',
-          operation: 'subtraction',
-          template: '{a} - {b} = ?',
-          minValue: 25,
-          maxValue: 50,
-          visualHint: false
+  reportContentErrors(file, errors) {
+    errors.forEach(error => {
+      console.warn(`${file}: ${formatPath(error.path)}: ${error.message}`);
+    });
+  }
+
+  /**
+   * Check the question bank, dropping only the templates that have problems
+   * @param {Object} questionsData - Contents of questions.json
+   * @param {Object} difficultyConfig - Checked difficulty settings (or null)
+   * @returns {Object|null} Usable question bank, or null if none of it is usable
+   */
+  validateQuestionData(questionsData, difficultyConfig) {
+    const { bank, errors } = validateQuestionBank(
+      questionsData,
+      this.cache.json.get('questions-schema') || null,
+      difficultyConfig
+    );
+    this.reportContentErrors('questions.json', errors);
+
+    if (!bank) {
+      console.log('Using built-in question bank');
+    }
+
+    // A difficulty left with nothing to ask falls back inside MathEngine
+    return bank;
+  }
+
+  /**
+   * Check difficulty settings, dropping any difficulty that has problems
+   * (MathEngine uses its built-in rules for a missing difficulty)
+   * @param {Object} data - Contents of difficulties.json
+   * @returns {Object|null} Usable settings, or null
+   */
+  validateDifficultyData(data) {
+    const schema = this.cache.json.get('difficulties-schema');
+    if (!data || !schema) {
+      return data || null;
+    }
+
+    const errors = validateContentFile(data, schema);
+    this.reportContentErrors('difficulties.json', errors);
+
+    if (typeof data !== 'object' || Array.isArray(data)) {
+      return null;
+    }
+
+    const config = { ...data };
+    errors
+      .filter(error => error.path.length > 0)
+      .forEach(error => delete config[error.path[0]]);
+
+    return config;
+  }
+
+  /**
+   * Check feedback messages, replacing any list that has problems with
+   * the built-in messages
+   * @param {Object} data - Contents of feedback-messages.json
+   * @returns {Object} Usable messages
+   */
+  validateFeedbackData(data) {
+    const schema = this.cache.json.get('feedback-messages-schema');
+    if (!schema) {
+      return data;
+    }
+
+    const errors = validateContentFile(data, schema);
+    this.reportContentErrors('feedback-messages.json', errors);
+
+    const defaults = this.getDefaultFeedbackMessages();
+    if (typeof data !== 'object' || Array.isArray(data)) {
+      return defaults;
+    }
+
+    const messages = { ...defaults, ...data };
+    errors
+      .filter(error => error.path.length > 0)
+      .forEach(error => {
+        const list = error.path[0];
+        if (defaults[list]) {
+          messages[list] = defaults[list];
+        } else {
+          delete messages[list];
         }
-      ]
-    };
+      });
+
+    return messages;
   }
 
   /**
@@ -391,15 +438,15 @@ export default class BootScene extends Phaser.Scene {
   }
 
   /**
-   * Transition to menu scene
+   * Transition to the profile picker, then the menu
    */
   transitionToMenu() {
     // Fade out
     this.cameras.main.fadeOut(300, 0, 0, 0);
 
     this.cameras.main.once('camerafadeoutcomplete', () => {
-      // Start menu scene
-      this.scene.start('MenuScene');
+      // Ask who is playing before the menu
+      this.scene.start('ProfileScene');
     });
   }
 
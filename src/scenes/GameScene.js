@@ -13,9 +13,11 @@
  */
 
 import Phaser from 'phaser';
-import { GAME_STATES, ANIMATIONS, SCORING, GORILLA, COLORS } from '../utils/constants.js';
+import { GAME_STATES, ANIMATIONS, SCORING, GORILLA, COLORS, ADAPTIVE, REVIEW, PROGRESSION, ACHIEVEMENT_EVENTS } from '../utils/constants.js';
+import { generateSeed } from '../utils/helpers.js';
 import MathEngine from '../systems/MathEngine.js';
 import ProgressManager from '../systems/ProgressManager.js';
+import AchievementManager from '../systems/AchievementManager.js';
 import InputManager from '../systems/InputManager.js';
 import AnimationController from '../systems/AnimationController.js';
 import AudioManager from '../systems/AudioManager.js';
@@ -24,6 +26,7 @@ import Gorilla from '../entities/Gorilla.js';
 import Banana from '../entities/Banana.js';
 import Vine from '../entities/Vine.js';
 import NumberPad from '../ui/NumberPad.js';
+import AnswerChoices from '../ui/AnswerChoices.js';
 import QuestionDisplay from '../ui/QuestionDisplay.js';
 import FeedbackPanel from '../ui/FeedbackPanel.js';
 import ProgressBar from '../ui/ProgressBar.js';
@@ -35,10 +38,15 @@ export default class GameScene extends Phaser.Scene {
     // Game state
     this.gameState = GAME_STATES.PRESENTING_QUESTION;
     this.difficulty = 'easy';
+    this.adaptive = false;
+    this.multipleChoice = false;
     this.currentQuestionIndex = 0;
     this.totalQuestions = 5;
     this.currentQuestion = null;
     this.attemptCount = 0;
+    this.currentChoiceIndex = null;
+    this.attemptAnswers = []; // what was tried on the current question, for the history log
+    this.questionStartTime = 0;
 
     // Systems
     this.mathEngine = null;
@@ -47,6 +55,7 @@ export default class GameScene extends Phaser.Scene {
     this.animationController = null;
     this.audioManager = null;
     this.uiManager = null;
+    this.achievementManager = null;
 
     // Entities
     this.gorilla = null;
@@ -55,6 +64,8 @@ export default class GameScene extends Phaser.Scene {
 
     // UI Components
     this.numberPad = null;
+    this.answerChoices = null;
+    this.answerInput = null; // whichever of numberPad / answerChoices is in use
     this.questionDisplay = null;
     this.feedbackPanel = null;
     this.progressBar = null;
@@ -67,6 +78,8 @@ export default class GameScene extends Phaser.Scene {
   init(data) {
     // Get difficulty from menu scene
     this.difficulty = data.difficulty || 'easy';
+    this.adaptive = Boolean(data.adaptive);
+    this.multipleChoice = Boolean(data.multipleChoice);
     console.log(`GameScene initialized with difficulty: ${this.difficulty}`);
   }
 
@@ -121,14 +134,20 @@ export default class GameScene extends Phaser.Scene {
   initializeSystems() {
     // Math Engine
     this.mathEngine = new MathEngine();
-    this.mathEngine.initialize(null); // Will use default question bank
+    this.mathEngine.initialize(this.registry.get('questionBank') || null, this.registry.get('difficultyConfig'));
     this.mathEngine.setDifficulty(this.difficulty);
+    this.mathEngine.setSeed(this.getSessionSeed());
+    this.mathEngine.setAdaptive(this.adaptive);
+    this.mathEngine.setMultipleChoice(this.multipleChoice);
 
     // Progress Manager
-    this.progressManager = new ProgressManager();
+    this.progressManager = new ProgressManager(this.registry.get('activeProfileId') || null);
     this.progressManager.initialize();
     this.progressManager.startSession(this.difficulty);
 
+    // Mix facts missed in earlier sessions back in
+    this.mathEngine.setReviewItems(this.progressManager.getDueFacts(Date.now(), REVIEW.MAX_PER_SESSION));
+
     // Audio Manager
     this.audioManager = new AudioManager(this);
     this.audioManager.initialize();
@@ -138,13 +157,22 @@ export default class GameScene extends Phaser.Scene {
     this.animationController.initialize();
 
     // Input Manager
-    this.inputManager = new InputManager(this);
-    this.inputManager.initialize();
+    this.inputManager = new InputManager();
+    this.inputManager.initialize(this);
 
     // UI Manager
     this.uiManager = new UIManager(this);
     this.uiManager.initialize();
 
+    // Achievements listen for this scene's game events and toast new badges
+    this.achievementManager = new AchievementManager(this.progressManager);
+    this.achievementManager.onUnlock((achievement) => this.uiManager.showAchievementToast(achievement));
+    this.achievementManager.listen(this.events);
+
+    // Scene events outlive a replay, so let go of them when the scene stops
+    const achievementManager = this.achievementManager;
+    this.events.once('shutdown', () => achievementManager.stopListening());
+
     console.log('All systems initialized');
   }
 
@@ -225,15 +253,35 @@ export default class GameScene extends Phaser.Scene {
       this.handleAnswer(answer);
     });
 
+    // Answer choices take the number pad's place in multiple-choice mode
+    this.answerChoices = new AnswerChoices(
+      this,
+      this.cameras.main.width - 200,
+      this.cameras.main.height - 300
+    );
+    this.answerChoices.setSelectCallback((choice, index) => {
+      this.handleChoice(choice, index);
+    });
+    this.answerInput = this.numberPad;
+
     console.log('UI components created');
   }
 
   setupInput() {
     // Setup keyboard input handler
-    this.inputManager.setAnswerCallback((answer) => {
+    this.inputManager.onSubmit((answer) => {
       this.handleAnswer(answer);
     });
 
+    // Mirror keyboard entry on the on-screen pad
+    this.inputManager.onNumberInput((input) => this.numberPad.setInput(input));
+    this.inputManager.onSymbolInput((input) => this.numberPad.setInput(input));
+    this.inputManager.onBackspace((input) => this.numberPad.setInput(input));
+    this.inputManager.onClear(() => this.numberPad.clear());
+
+    // Keys 1-4 pick an answer choice
+    this.inputManager.onChoiceInput((index) => this.answerChoices.select(index));
+
     // Listen for numberpad events
     this.events.on('numberpad-submit', (answer) => {
       this.handleAnswer(answer);
@@ -266,6 +314,10 @@ export default class GameScene extends Phaser.Scene {
 
     this.gameState = GAME_STATES.PRESENTING_QUESTION;
     this.attemptCount = 0;
+    this.attemptAnswers = [];
+
+    // In adaptive mode, ease down or push up based on the last few questions
+    this.mathEngine.updateAdaptiveLevel(this.progressManager.getRecentPerformance(ADAPTIVE.WINDOW));
 
     // Get next question from math engine
     this.currentQuestion = this.mathEngine.getNextQuestion();
@@ -277,21 +329,55 @@ export default class GameScene extends Phaser.Scene {
     // Show gorilla thinking
     this.gorilla.think();
 
-    // Show number pad
-    this.numberPad.show();
+    // Comparison questions are answered with <, = or >, clocks with a time,
+    // even/odd questions with their two buttons and, in multiple-choice
+    // mode, number questions by picking a choice
+    if (this.currentQuestion.choices) {
+      this.showAnswerInput(this.answerChoices);
+      this.answerChoices.setChoices(this.currentQuestion.choices);
+      this.inputManager.setInputMode('choices');
+    } else {
+      const inputModes = { symbol: 'symbols', time: 'time' };
+      const inputMode = inputModes[this.currentQuestion.answerType] || 'digits';
+      this.showAnswerInput(this.numberPad);
+      this.numberPad.setLayout(inputMode);
+      this.inputManager.setInputMode(inputMode);
+    }
 
     // Enable input
     this.inputManager.enableInput();
-    this.numberPad.enableInput();
+    this.answerInput.enableInput();
 
-    // Transition to waiting for input
+    // Transition to waiting for input; time to answer is counted from here
     this.time.delayedCall(ANIMATIONS.QUESTION_FADE_IN, () => {
       this.gameState = GAME_STATES.WAITING_INPUT;
+      this.questionStartTime = Date.now();
     });
 
     console.log(`Question ${this.currentQuestionIndex + 1}:`, this.currentQuestion.questionText);
   }
 
+  showAnswerInput(answerInput) {
+    // Swap the number pad and answer choices when the question needs the other one
+    if (this.answerInput !== answerInput && this.answerInput.isVisible) {
+      this.answerInput.hide();
+    }
+
+    this.answerInput = answerInput;
+    this.answerInput.show();
+  }
+
+  handleChoice(choice, index) {
+    if (this.gameState !== GAME_STATES.WAITING_INPUT) {
+      return;
+    }
+
+    // Remember which choice was picked so a wrong one can be greyed out
+    this.currentChoiceIndex = index;
+    this.progressManager.recordChoicePick(this.currentQuestion, choice);
+    this.handleAnswer(choice.value.toString());
+  }
+
   handleAnswer(userAnswer) {
     if (this.gameState !== GAME_STATES.WAITING_INPUT) {
       console.log('Not accepting input in current state:', this.gameState);
@@ -301,7 +387,7 @@ export default class GameScene extends Phaser.Scene {
     // Disable input while validating
     this.gameState = GAME_STATES.VALIDATING;
     this.inputManager.disableInput();
-    this.numberPad.disableInput();
+    this.answerInput.disableInput();
 
     // Validate answer
     const result = this.mathEngine.validateAnswer(userAnswer);
@@ -310,6 +396,7 @@ export default class GameScene extends Phaser.Scene {
 
     // Increment attempt count
     this.attemptCount++;
+    this.attemptAnswers.push(String(userAnswer).trim());
 
     // Show feedback
     this.showFeedback(result);
@@ -324,8 +411,10 @@ export default class GameScene extends Phaser.Scene {
       this.audioManager.playSound('correct-answer');
 
       // Record progress
-      this.progressManager.recordAnswer(true);
+      this.progressManager.recordAnswer(true, this.currentQuestion);
+      this.progressManager.recordQuestionOutcome(this.currentQuestion, this.getQuestionOutcome(true));
       this.progressManager.incrementScore(SCORING.CORRECT_ANSWER);
+      this.events.emit(ACHIEVEMENT_EVENTS.ANSWER_CORRECT, { question: this.currentQuestion, attempts: this.attemptCount });
 
       // Update UI
       this.uiManager.updateScore(this.progressManager.getCurrentStats().score);
@@ -338,11 +427,18 @@ export default class GameScene extends Phaser.Scene {
 
     } else {
       // Incorrect answer
-      this.feedbackPanel.showIncorrectFeedback(result.message, result.correctAnswer);
+      this.feedbackPanel.showIncorrectFeedback(result.correctAnswer, result.close, result.misconception);
       this.audioManager.playSound('wrong-answer');
 
       // Record incorrect attempt
-      this.progressManager.recordAnswer(false);
+      this.progressManager.recordAnswer(false, this.currentQuestion);
+      this.events.emit(ACHIEVEMENT_EVENTS.ANSWER_INCORRECT, { question: this.currentQuestion, attempts: this.attemptCount });
+      if (result.misconception) {
+        this.progressManager.recordMisconception(result.misconception, this.currentQuestion, result.userAnswer);
+      }
+      if (this.answerInput === this.answerChoices) {
+        this.answerChoices.ruleOut(this.currentChoiceIndex);
+      }
 
       // Wait for feedback, then allow retry
       this.time.delayedCall(ANIMATIONS.FEEDBACK_DISPLAY_TIME, () => {
@@ -357,7 +453,7 @@ export default class GameScene extends Phaser.Scene {
 
     // Hide question and number pad
     this.questionDisplay.hide();
-    this.numberPad.hide();
+    this.answerInput.hide();
 
     // Gorilla celebrates
     this.gorilla.celebrate(() => {
@@ -399,6 +495,7 @@ export default class GameScene extends Phaser.Scene {
     // Update banana count
     this.progressManager.addBananas(1);
     this.uiManager.updateBananas(this.progressManager.getCurrentStats().bananasCollected);
+    this.events.emit(ACHIEVEMENT_EVENTS.BANANA_COLLECTED, { bananas: this.progressManager.getCurrentStats().bananasCollected });
 
     // Continue to next question
     this.time.delayedCall(ANIMATIONS.BANANA_COLLECT, () => {
@@ -420,11 +517,22 @@ export default class GameScene extends Phaser.Scene {
     }
   }
 
+  getQuestionOutcome(correct) {
+    return {
+      correct,
+      attempts: this.attemptCount,
+      answers: this.attemptAnswers,
+      timeMs: Date.now() - this.questionStartTime,
+      hintShown: this.questionDisplay.hintShown
+    };
+  }
+
   allowRetry() {
     // Check if max attempts reached
-    if (this.attemptCount >= 3) {
-      // Show hint or skip to next question
+    if (this.attemptCount >= PROGRESSION.MAX_ATTEMPTS_PER_QUESTION) {
+      // Out of tries: log the miss and move on to the next question
       this.feedbackPanel.showEncouragement('Let\'s try another one!');
+      this.progressManager.recordQuestionOutcome(this.currentQuestion, this.getQuestionOutcome(false));
 
       this.time.delayedCall(1500, () => {
         this.feedbackPanel.hide();
@@ -438,11 +546,16 @@ export default class GameScene extends Phaser.Scene {
         }
       });
     } else {
+      // After a miss or two, show the picture hint if the question has one
+      if (!this.questionDisplay.hintShown && this.mathEngine.shouldShowHint(this.currentQuestion, this.attemptCount)) {
+        this.questionDisplay.showVisualHint();
+      }
+
       // Allow another attempt
       this.numberPad.clear();
       this.inputManager.clearInput();
       this.inputManager.enableInput();
-      this.numberPad.enableInput();
+      this.answerInput.enableInput();
       this.gameState = GAME_STATES.WAITING_INPUT;
     }
   }
@@ -454,23 +567,37 @@ export default class GameScene extends Phaser.Scene {
 
     // Hide UI
     this.questionDisplay.hide();
-    this.numberPad.hide();
+    this.answerInput.hide();
 
     // Gorilla final celebration
     this.gorilla.celebrate(() => {
-      // Save progress
-      this.progressManager.saveProgress();
+      // Update totals, log the session's questions and save
+      const results = this.progressManager.completeSession();
+      this.events.emit(ACHIEVEMENT_EVENTS.LEVEL_COMPLETE, { stars: results.stars, score: results.score });
 
       // Show level complete message
       this.feedbackPanel.showEncouragement('Level Complete!');
 
-      // Transition to results scene
+      // Transition to results scene once any badge toasts have been seen
       this.time.delayedCall(ANIMATIONS.CELEBRATION_DURATION, () => {
-        this.transitionToResults();
+        this.uiManager.whenToastsDone(() => this.transitionToResults());
       });
     });
   }
 
+  getSessionSeed() {
+    // A ?seed= URL parameter lets a teacher hand out the same set,
+    // then a seed in the registry, then a fresh one
+    if (typeof window !== 'undefined' && window.location) {
+      const urlSeed = new URLSearchParams(window.location.search).get('seed');
+      if (urlSeed) {
+        return urlSeed;
+      }
+    }
+
+    return this.registry.get('seed') || generateSeed();
+  }
+
   transitionToResults() {
     // Get final stats
     const stats = this.progressManager.getCurrentStats();
@@ -483,7 +610,8 @@ export default class GameScene extends Phaser.Scene {
       totalAnswers: stats.totalAnswers,
       bananasCollected: stats.bananasCollected,
       accuracy: this.progressManager.calculateAccuracy(),
-      stars: this.progressManager.calculateStars()
+      stars: this.progressManager.calculateStars(),
+      seed: this.mathEngine.getSeed()
     });
   }
 
@@ -501,7 +629,7 @@ export default class GameScene extends Phaser.Scene {
 
     // Disable input
     this.inputManager.disableInput();
-    this.numberPad.disableInput();
+    this.answerInput.disableInput();
 
     // Show pause menu
     this.uiManager.showPauseMenu();
@@ -514,7 +642,7 @@ export default class GameScene extends Phaser.Scene {
 
     // Enable input
     this.inputManager.enableInput();
-    this.numberPad.enableInput();
+    this.answerInput.enableInput();
 
     // Hide pause menu
     this.uiManager.hidePauseMenu();
@@ -558,5 +686,6 @@ export default class GameScene extends Phaser.Scene {
     this.animationController = null;
     this.audioManager = null;
     this.uiManager = null;
+    this.achievementManager = null;
   }
 }
@@ -7,6 +7,9 @@
 import Phaser from 'phaser';
 import AudioManager from '../systems/AudioManager.js';
 import UIManager from '../systems/UIManager.js';
+import ProgressManager from '../systems/ProgressManager.js';
+import ProfileManager from '../systems/ProfileManager.js';
+import { MISCONCEPTIONS } from '../utils/constants.js';
 
 export default class MenuScene extends Phaser.Scene {
   constructor() {
@@ -14,8 +17,13 @@ export default class MenuScene extends Phaser.Scene {
     this.audioManager = null;
     this.uiManager = null;
     this.selectedDifficulty = null;
+    this.adaptiveMode = false;
+    this.adaptiveToggle = null;
+    this.multipleChoice = false;
+    this.choicesToggle = null;
     this.buttons = {};
     this.muteButton = null;
+    this.profileBadge = null;
     this.instructionsModal = null;
     this.parentInfoModal = null;
   }
@@ -57,6 +65,9 @@ export default class MenuScene extends Phaser.Scene {
     // Create mute toggle
     this.createMuteToggle(width, height);
 
+    // Show who is playing, with a way back to the profile picker
+    this.createProfileBadge();
+
     // Add keyboard shortcuts
     this.setupKeyboardShortcuts();
 
@@ -183,6 +194,84 @@ export default class MenuScene extends Phaser.Scene {
       color: '#333333'
     });
     instructionText.setOrigin(0.5);
+
+    // Adaptive toggle beside the middle button
+    this.createAdaptiveToggle(width / 2 + buttonWidth / 2 + 130, centerY + buttonHeight + spacing);
+
+    // Multiple-choice toggle beside the bottom button
+    this.createChoicesToggle(width / 2 + buttonWidth / 2 + 130, centerY + (buttonHeight + spacing) * 2);
+  }
+
+  /**
+   * Create the "adjusts as you play" toggle
+   */
+  createAdaptiveToggle(x, y) {
+    this.adaptiveMode = Boolean(this.registry.get('adaptiveMode'));
+
+    this.adaptiveToggle = this.createButton(
+      x,
+      y,
+      190,
+      70,
+      this.getAdaptiveLabel(),
+      0x607D8B,
+      0x455A64,
+      () => this.toggleAdaptive()
+    );
+    this.adaptiveToggle.label.setFontSize(18);
+    this.adaptiveToggle.label.setAlign('center');
+  }
+
+  /**
+   * Get the label for the adaptive toggle
+   */
+  getAdaptiveLabel() {
+    return `Adjust as I play\n${this.adaptiveMode ? 'ON' : 'OFF'}`;
+  }
+
+  /**
+   * Turn adaptive difficulty on or off
+   */
+  toggleAdaptive() {
+    this.adaptiveMode = !this.adaptiveMode;
+    this.registry.set('adaptiveMode', this.adaptiveMode);
+    this.adaptiveToggle.label.setText(this.getAdaptiveLabel());
+  }
+
+  /**
+   * Create the "pick from answers" toggle
+   */
+  createChoicesToggle(x, y) {
+    this.multipleChoice = Boolean(this.registry.get('multipleChoice'));
+
+    this.choicesToggle = this.createButton(
+      x,
+      y,
+      190,
+      70,
+      this.getChoicesLabel(),
+      0x607D8B,
+      0x455A64,
+      () => this.toggleChoices()
+    );
+    this.choicesToggle.label.setFontSize(18);
+    this.choicesToggle.label.setAlign('center');
+  }
+
+  /**
+   * Get the label for the multiple-choice toggle
+   */
+  getChoicesLabel() {
+    return `Pick from answers\n${this.multipleChoice ? 'ON' : 'OFF'}`;
+  }
+
+  /**
+   * Turn multiple-choice answers on or off
+   */
+  toggleChoices() {
+    this.multipleChoice = !this.multipleChoice;
+    this.registry.set('multipleChoice', this.multipleChoice);
+    this.choicesToggle.label.setText(this.getChoicesLabel());
   }
 
   /**
@@ -248,7 +337,7 @@ export default class MenuScene extends Phaser.Scene {
   }
 
   /**
-   * Create footer buttons (instructions and parent info)
+   * Create footer buttons (instructions, skill map, trophies and parent info)
    */
   createFooterButtons(width, height) {
     const buttonWidth = 180;
@@ -257,7 +346,7 @@ export default class MenuScene extends Phaser.Scene {
 
     // Instructions button
     const instructionsButton = this.createButton(
-      width / 2 - buttonWidth / 2 - 20,
+      width / 2 - buttonWidth * 1.5 - 30,
       y,
       buttonWidth,
       buttonHeight,
@@ -267,9 +356,33 @@ export default class MenuScene extends Phaser.Scene {
       () => this.showInstructions()
     );
 
+    // Skill map button
+    const skillMapButton = this.createButton(
+      width / 2 - buttonWidth / 2 - 10,
+      y,
+      buttonWidth,
+      buttonHeight,
+      'Skill Map',
+      0x4CAF50,
+      0x45a049,
+      () => this.showSkillMap()
+    );
+
+    // Trophy shelf button
+    const trophyButton = this.createButton(
+      width / 2 + buttonWidth / 2 + 10,
+      y,
+      buttonWidth,
+      buttonHeight,
+      'Trophies',
+      0xFF9800,
+      0xe68900,
+      () => this.showTrophies()
+    );
+
     // Parent info button
     const parentButton = this.createButton(
-      width / 2 + buttonWidth / 2 + 20,
+      width / 2 + buttonWidth * 1.5 + 30,
       y,
       buttonWidth,
       buttonHeight,
@@ -308,6 +421,55 @@ export default class MenuScene extends Phaser.Scene {
     });
   }
 
+  /**
+   * Create the "who is playing" badge in the top-left corner
+   */
+  createProfileBadge() {
+    const profileManager = new ProfileManager();
+    profileManager.initialize();
+
+    const profile = profileManager.getProfile(this.registry.get('activeProfileId'));
+    const text = profile ? `${profile.avatar} ${profile.name}  ·  Switch` : '👤 Who\'s playing?';
+
+    this.profileBadge = this.add.text(20, 20, text, {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: '22px',
+      fontStyle: 'bold',
+      color: '#333333',
+      backgroundColor: '#FFFFFF',
+      padding: { x: 12, y: 8 }
+    });
+    this.profileBadge.setInteractive({ useHandCursor: true });
+    this.profileBadge.on('pointerdown', () => {
+      this.switchProfile();
+    });
+  }
+
+  /**
+   * Open the skill map for this player
+   */
+  showSkillMap() {
+    this.audioManager.stopMusic();
+    this.scene.start('SkillMapScene');
+  }
+
+  /**
+   * Open the trophy shelf for this player
+   */
+  showTrophies() {
+    this.audioManager.stopMusic();
+    this.scene.start('TrophyScene');
+  }
+
+  /**
+   * Go back to the profile picker
+   */
+  switchProfile() {
+    this.audioManager.playSound('button-click');
+    this.audioManager.stopMusic();
+    this.scene.start('ProfileScene');
+  }
+
   /**
    * Handle difficulty selection
    */
@@ -344,7 +506,9 @@ export default class MenuScene extends Phaser.Scene {
 
       // Start game scene with difficulty data
       this.scene.start('GameScene', {
-        difficulty: this.selectedDifficulty
+        difficulty: this.selectedDifficulty,
+        adaptive: this.adaptiveMode,
+        multipleChoice: this.multipleChoice
       });
     });
   }
@@ -498,6 +662,17 @@ export default class MenuScene extends Phaser.Scene {
     info.setOrigin(0.5);
     info.setDepth(1001);
 
+    // Mix-ups that keep coming up, so a teacher knows what to reteach
+    const mixUps = this.add.text(width / 2, height / 2 + 110, this.getMisconceptionText(), {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: '16px',
+      color: '#9C27B0',
+      align: 'center',
+      wordWrap: { width: panelWidth - 60 }
+    });
+    mixUps.setOrigin(0.5);
+    mixUps.setDepth(1001);
+
     // Close button
     const closeButton = this.createButton(
       width / 2,
@@ -516,10 +691,33 @@ export default class MenuScene extends Phaser.Scene {
       panel,
       title,
       info,
+      mixUps,
       closeButton
     };
   }
 
+  /**
+   * Describe the most common misconceptions recorded for this player
+   */
+  getMisconceptionText() {
+    const progressManager = new ProgressManager(this.registry.get('activeProfileId') || null);
+    progressManager.loadProgress();
+
+    const summary = progressManager.getMisconceptionSummary().slice(0, 3);
+    if (summary.length === 0) {
+      return 'Common mix-ups: none yet';
+    }
+
+    const labels = Object.values(MISCONCEPTIONS).reduce((map, item) => {
+      map[item.id] = item.label;
+      return map;
+    }, {});
+
+    return 'Common mix-ups: ' + summary
+      .map(item => `${labels[item.id] || item.id} (${item.count})`)
+      .join(' • ');
+  }
+
   /**
    * Close parent info modal
    */
@@ -533,6 +731,7 @@ export default class MenuScene extends Phaser.Scene {
     this.parentInfoModal.panel.destroy();
     this.parentInfoModal.title.destroy();
     this.parentInfoModal.info.destroy();
+    this.parentInfoModal.mixUps.destroy();
     this.parentInfoModal.closeButton.container.destroy();
 
     this.parentInfoModal = null;
@@ -615,6 +814,31 @@ export default class MenuScene extends Phaser.Scene {
     this.input.keyboard.on('keydown-M', () => {
       this.toggleMute();
     });
+
+    // Press S for the skill map
+    this.input.keyboard.on('keydown-S', () => {
+      this.showSkillMap();
+    });
+
+    // Press T for the trophy shelf
+    this.input.keyboard.on('keydown-T', () => {
+      this.showTrophies();
+    });
+
+    // Press P to switch player
+    this.input.keyboard.on('keydown-P', () => {
+      this.switchProfile();
+    });
+
+    // Press A to toggle adaptive difficulty
+    this.input.keyboard.on('keydown-A', () => {
+      this.toggleAdaptive();
+    });
+
+    // Press C to toggle multiple-choice answers
+    this.input.keyboard.on('keydown-C', () => {
+      this.toggleChoices();
+    });
   }
 
   /**
@@ -0,0 +1,391 @@
+/**
+ * ProfileScene.js
+ * "Who's playing?" picker shown before the main menu
+ * Lists player profiles and lets players add, rename and delete them
+ */
+
+import Phaser from 'phaser';
+import AudioManager from '../systems/AudioManager.js';
+import ProfileManager from '../systems/ProfileManager.js';
+import { PROFILES } from '../utils/constants.js';
+
+export default class ProfileScene extends Phaser.Scene {
+  constructor() {
+    super({ key: 'ProfileScene' });
+    this.audioManager = null;
+    this.profileManager = null;
+    this.cards = [];
+    this.editorModal = null;
+  }
+
+  /**
+   * Initialize scene
+   */
+  init() {
+    this.audioManager = new AudioManager(this);
+    this.audioManager.initialize();
+
+    this.profileManager = new ProfileManager();
+    this.profileManager.initialize();
+  }
+
+  /**
+   * Create profile scene
+   */
+  create() {
+    const width = this.cameras.main.width;
+    const height = this.cameras.main.height;
+
+    // Fade in from boot scene
+    this.cameras.main.fadeIn(300, 135, 206, 235);
+    this.cameras.main.setBackgroundColor('#87CEEB');
+
+    // Jungle floor
+    const ground = this.add.rectangle(0, height - 100, width, 100, 0x2d5016);
+    ground.setOrigin(0, 0);
+
+    const title = this.add.text(width / 2, 90, 'Who\'s playing?', {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: '52px',
+      fontStyle: 'bold',
+      color: '#333333',
+      stroke: '#FFFFFF',
+      strokeThickness: 6
+    });
+    title.setOrigin(0.5);
+
+    // A first-time player goes straight to making a profile
+    this.createProfileCards();
+    if (this.profileManager.getProfiles().length === 0) {
+      this.showEditor(null);
+    }
+
+    this.setupKeyboardShortcuts();
+  }
+
+  /**
+   * Create one card per profile, plus a "New Player" card while there is room
+   */
+  createProfileCards() {
+    this.cards.forEach(card => card.destroy());
+    this.cards = [];
+
+    const width = this.cameras.main.width;
+    const profiles = this.profileManager.getProfiles();
+    const active = this.profileManager.getActiveProfile();
+    const cardWidth = 180;
+    const cardHeight = 170;
+    const spacing = 30;
+    const columns = 4;
+
+    const slots = profiles.map(profile => ({ profile }));
+    if (profiles.length < PROFILES.MAX_PROFILES) {
+      slots.push({ profile: null });
+    }
+
+    slots.forEach((slot, index) => {
+      const row = Math.floor(index / columns);
+      const inRow = Math.min(columns, slots.length - row * columns);
+      const rowWidth = inRow * cardWidth + (inRow - 1) * spacing;
+      const x = width / 2 - rowWidth / 2 + cardWidth / 2 + (index % columns) * (cardWidth + spacing);
+      const y = 260 + row * (cardHeight + spacing);
+
+      const card = slot.profile
+        ? this.createProfileCard(x, y, cardWidth, cardHeight, slot.profile, active && active.id === slot.profile.id)
+        : this.createNewPlayerCard(x, y, cardWidth, cardHeight);
+      this.cards.push(card);
+    });
+  }
+
+  /**
+   * Create a card for one profile: tap to play, pencil to edit
+   */
+  createProfileCard(x, y, width, height, profile, isActive) {
+    const bg = this.add.rectangle(0, 0, width, height, 0xFFFFFF);
+    bg.setStrokeStyle(isActive ? 6 : 4, isActive ? 0xFFD700 : 0x333333);
+
+    const avatar = this.add.text(0, -25, profile.avatar, { fontSize: '64px' });
+    avatar.setOrigin(0.5);
+
+    const name = this.add.text(0, 50, profile.name, {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: '22px',
+      fontStyle: 'bold',
+      color: '#333333',
+      align: 'center',
+      wordWrap: { width: width - 20 }
+    });
+    name.setOrigin(0.5);
+
+    const edit = this.add.text(width / 2 - 20, -height / 2 + 20, '✏️', { fontSize: '22px' });
+    edit.setOrigin(0.5);
+
+    const card = this.add.container(x, y, [bg, avatar, name, edit]);
+
+    bg.setInteractive({ useHandCursor: true });
+    this.addHoverEffect(bg, card);
+    bg.on('pointerdown', () => this.selectProfile(profile.id));
+
+    edit.setInteractive({ useHandCursor: true });
+    edit.on('pointerdown', () => {
+      this.audioManager.playSound('button-click');
+      this.showEditor(profile);
+    });
+
+    return card;
+  }
+
+  /**
+   * Create the "New Player" card
+   */
+  createNewPlayerCard(x, y, width, height) {
+    const bg = this.add.rectangle(0, 0, width, height, 0x4CAF50);
+    bg.setStrokeStyle(4, 0x333333);
+
+    const plus = this.add.text(0, -25, '+', {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: '72px',
+      fontStyle: 'bold',
+      color: '#FFFFFF'
+    });
+    plus.setOrigin(0.5);
+
+    const label = this.add.text(0, 50, 'New Player', {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: '22px',
+      fontStyle: 'bold',
+      color: '#FFFFFF'
+    });
+    label.setOrigin(0.5);
+
+    const card = this.add.container(x, y, [bg, plus, label]);
+
+    bg.setInteractive({ useHandCursor: true });
+    this.addHoverEffect(bg, card);
+    bg.on('pointerdown', () => {
+      this.audioManager.playSound('button-click');
+      this.showEditor(null);
+    });
+
+    return card;
+  }
+
+  /**
+   * Grow a card or button a little while the pointer is over it
+   */
+  addHoverEffect(target, container) {
+    target.on('pointerover', () => {
+      this.tweens.add({ targets: container, scale: 1.05, duration: 100, ease: 'Power2' });
+    });
+
+    target.on('pointerout', () => {
+      this.tweens.add({ targets: container, scale: 1, duration: 100, ease: 'Power2' });
+    });
+  }
+
+  /**
+   * Create a button with hover effects
+   */
+  createButton(x, y, width, height, text, color, hoverColor, callback) {
+    const bg = this.add.rectangle(x, y, width, height, color);
+    bg.setStrokeStyle(4, 0x333333);
+
+    const label = this.add.text(x, y, text, {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: '22px',
+      fontStyle: 'bold',
+      color: '#FFFFFF'
+    });
+    label.setOrigin(0.5);
+
+    const container = this.add.container(0, 0, [bg, label]);
+
+    bg.setInteractive({ useHandCursor: true });
+    bg.on('pointerover', () => bg.setFillStyle(hoverColor));
+    bg.on('pointerout', () => bg.setFillStyle(color));
+    bg.on('pointerdown', () => {
+      this.audioManager.playSound('button-click');
+      callback();
+    });
+
+    return { bg, label, container };
+  }
+
+  /**
+   * Play as a profile and go on to the menu
+   */
+  selectProfile(id) {
+    if (this.editorModal || !this.profileManager.setActiveProfile(id)) {
+      return;
+    }
+
+    this.audioManager.playSound('button-click');
+    this.registry.set('activeProfileId', id);
+
+    this.cameras.main.fadeOut(300, 0, 0, 0);
+    this.cameras.main.once('camerafadeoutcomplete', () => {
+      this.scene.start('MenuScene');
+    });
+  }
+
+  /**
+   * Show the add/edit panel: name box, avatar choices, and Save/Cancel/Delete
+   * @param {Object|null} profile - Profile to edit, or null to add one
+   */
+  showEditor(profile) {
+    if (this.editorModal) {
+      return; // Already showing
+    }
+
+    const width = this.cameras.main.width;
+    const height = this.cameras.main.height;
+    const objects = [];
+
+    const overlay = this.add.rectangle(0, 0, width, height, 0x000000, 0.7);
+    overlay.setOrigin(0, 0);
+    overlay.setInteractive();
+    objects.push(overlay);
+
+    const panel = this.add.rectangle(width / 2, height / 2, 620, 440, 0xFFFFFF);
+    panel.setStrokeStyle(4, 0x333333);
+    objects.push(panel);
+
+    const title = this.add.text(width / 2, height / 2 - 180, profile ? 'Change Player' : 'New Player', {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: '32px',
+      fontStyle: 'bold',
+      color: '#333333'
+    });
+    title.setOrigin(0.5);
+    objects.push(title);
+
+    // A real text box, so tablets bring up their on-screen keyboard
+    const nameInput = this.add.dom(width / 2, height / 2 - 110, 'input', {
+      width: '360px',
+      padding: '10px',
+      fontSize: '26px',
+      fontFamily: 'Arial, sans-serif',
+      textAlign: 'center',
+      border: '3px solid #333333',
+      borderRadius: '8px'
+    });
+    nameInput.node.setAttribute('maxlength', '20');
+    nameInput.node.setAttribute('placeholder', 'Your name');
+    nameInput.node.value = profile ? profile.name : '';
+    objects.push(nameInput);
+
+    const message = this.add.text(width / 2, height / 2 - 60, '', {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: '18px',
+      color: '#F44336'
+    });
+    message.setOrigin(0.5);
+    objects.push(message);
+
+    // Avatar choices in one row; the chosen one gets a gold ring
+    let avatar = profile ? profile.avatar : PROFILES.AVATARS[0];
+    const rings = [];
+    const avatarSpacing = 64;
+    const startX = width / 2 - ((PROFILES.AVATARS.length - 1) * avatarSpacing) / 2;
+
+    PROFILES.AVATARS.forEach((choice, index) => {
+      const x = startX + index * avatarSpacing;
+      const ring = this.add.circle(x, height / 2 + 10, 28, 0xFFFFFF);
+      ring.setStrokeStyle(4, choice === avatar ? 0xFFD700 : 0xDDDDDD);
+      ring.setInteractive({ useHandCursor: true });
+      ring.on('pointerdown', () => {
+        avatar = choice;
+        rings.forEach((other, i) => other.setStrokeStyle(4, PROFILES.AVATARS[i] === avatar ? 0xFFD700 : 0xDDDDDD));
+      });
+      rings.push(ring);
+
+      const face = this.add.text(x, height / 2 + 10, choice, { fontSize: '36px' });
+      face.setOrigin(0.5);
+      objects.push(ring, face);
+    });
+
+    const save = () => {
+      const name = nameInput.node.value;
+      const result = profile
+        ? this.profileManager.renameProfile(profile.id, name)
+        : this.profileManager.addProfile(name, avatar);
+
+      if (!result.success) {
+        message.setText(result.message);
+        return;
+      }
+
+      if (profile) {
+        this.profileManager.setAvatar(profile.id, avatar);
+      }
+
+      this.closeEditor();
+      this.createProfileCards();
+    };
+
+    const buttons = [
+      this.createButton(width / 2 - 90, height / 2 + 110, 150, 50, 'Save', 0x4CAF50, 0x45a049, save),
+      this.createButton(width / 2 + 90, height / 2 + 110, 150, 50, 'Cancel', 0x607D8B, 0x455A64, () => this.closeEditor())
+    ];
+
+    // Deleting needs a second tap so a stray touch can't wipe someone's stars
+    if (profile) {
+      let confirming = false;
+      const deleteButton = this.createButton(width / 2, height / 2 + 175, 240, 44, 'Delete Player', 0xF44336, 0xda190b, () => {
+        if (!confirming) {
+          confirming = true;
+          deleteButton.label.setText('Tap again to delete');
+          return;
+        }
+
+        this.profileManager.deleteProfile(profile.id);
+        this.closeEditor();
+        this.createProfileCards();
+      });
+      deleteButton.label.setFontSize(18);
+      buttons.push(deleteButton);
+    }
+
+    buttons.forEach(button => objects.push(button.container));
+    objects.forEach(object => object.setDepth(1001));
+    overlay.setDepth(1000);
+
+    this.editorModal = { objects, save };
+    nameInput.node.focus();
+  }
+
+  /**
+   * Close the add/edit panel
+   */
+  closeEditor() {
+    if (!this.editorModal) {
+      return;
+    }
+
+    this.editorModal.objects.forEach(object => object.destroy());
+    this.editorModal = null;
+  }
+
+  /**
+   * Setup keyboard shortcuts
+   */
+  setupKeyboardShortcuts() {
+    // Press ENTER to save the panel, or to play as whoever played last
+    this.input.keyboard.on('keydown-ENTER', () => {
+      if (this.editorModal) {
+        this.editorModal.save();
+        return;
+      }
+
+      const active = this.profileManager.getActiveProfile();
+      if (active) {
+        this.selectProfile(active.id);
+      }
+    });
+
+    // Press ESC to close the panel
+    this.input.keyboard.on('keydown-ESC', () => {
+      this.closeEditor();
+    });
+  }
+}
@@ -30,6 +30,7 @@ export default class ResultsScene extends Phaser.Scene {
     this.bananasCollected = 0;
     this.accuracy = 0;
     this.stars = 0;
+    this.seed = null;
 
     // Systems
     this.progressManager = null;
@@ -56,6 +57,7 @@ export default class ResultsScene extends Phaser.Scene {
     this.bananasCollected = data.bananasCollected || 0;
     this.accuracy = data.accuracy || 0;
     this.stars = data.stars || 0;
+    this.seed = data.seed || null;
 
     console.log('ResultsScene initialized with:', data);
   }
@@ -76,7 +78,7 @@ export default class ResultsScene extends Phaser.Scene {
 
   initializeSystems() {
     // Progress Manager
-    this.progressManager = new ProgressManager();
+    this.progressManager = new ProgressManager(this.registry.get('activeProfileId') || null);
     this.progressManager.initialize();
     this.progressManager.loadProgress();
 
@@ -168,6 +170,7 @@ export default class ResultsScene extends Phaser.Scene {
     this.time.delayedCall(2500, () => this.showBananas());
     this.time.delayedCall(3000, () => this.showMessage());
     this.time.delayedCall(3500, () => this.showButtons());
+    this.time.delayedCall(3500, () => this.showSeed());
   }
 
   showStars() {
@@ -245,6 +248,25 @@ export default class ResultsScene extends Phaser.Scene {
     return star;
   }
 
+  showSeed() {
+    if (!this.seed) {
+      return;
+    }
+
+    // Small print for teachers: add ?seed= to the URL to replay this set
+    const seedText = this.add.text(
+      this.cameras.main.width - 20,
+      this.cameras.main.height - 20,
+      `Question set: ${this.seed}`,
+      {
+        fontSize: '18px',
+        fontFamily: FONTS.BODY.family,
+        color: COLORS.TEXT_DARK
+      }
+    );
+    seedText.setOrigin(1, 1);
+  }
+
   showScore() {
     const centerX = this.cameras.main.centerX;
 
@@ -463,7 +485,9 @@ export default class ResultsScene extends Phaser.Scene {
 
     // Restart game scene with same difficulty
     this.scene.start('GameScene', {
-      difficulty: this.difficulty
+      difficulty: this.difficulty,
+      adaptive: Boolean(this.registry.get('adaptiveMode')),
+      multipleChoice: Boolean(this.registry.get('multipleChoice'))
     });
   }
 
@@ -0,0 +1,191 @@
+/**
+ * SkillMapScene.js
+ * Skill map reached from the main menu
+ * Shows each skill as a vine that grows longer as the player masters it
+ */
+
+import Phaser from 'phaser';
+import AudioManager from '../systems/AudioManager.js';
+import ProgressManager from '../systems/ProgressManager.js';
+import ProfileManager from '../systems/ProfileManager.js';
+
+export default class SkillMapScene extends Phaser.Scene {
+  constructor() {
+    super({ key: 'SkillMapScene' });
+    this.audioManager = null;
+    this.progressManager = null;
+  }
+
+  /**
+   * Initialize scene
+   */
+  init() {
+    this.audioManager = new AudioManager(this);
+    this.audioManager.initialize();
+
+    this.progressManager = new ProgressManager(this.registry.get('activeProfileId') || null);
+    this.progressManager.initialize();
+  }
+
+  /**
+   * Create skill map scene
+   */
+  create() {
+    const width = this.cameras.main.width;
+    const height = this.cameras.main.height;
+
+    this.cameras.main.fadeIn(300, 135, 206, 235);
+    this.cameras.main.setBackgroundColor('#87CEEB');
+
+    // Jungle floor
+    const ground = this.add.rectangle(0, height - 60, width, 60, 0x2d5016);
+    ground.setOrigin(0, 0);
+
+    const title = this.add.text(width / 2, 45, this.getTitle(), {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: '40px',
+      fontStyle: 'bold',
+      color: '#333333',
+      stroke: '#FFFFFF',
+      strokeThickness: 6
+    });
+    title.setOrigin(0.5);
+
+    this.createSkillVines(width);
+    this.createBackButton(width, height);
+    this.setupKeyboardShortcuts();
+  }
+
+  /**
+   * Get the title, with the player's name when a profile is chosen
+   */
+  getTitle() {
+    const profileManager = new ProfileManager();
+    profileManager.initialize();
+
+    const profile = profileManager.getProfile(this.registry.get('activeProfileId'));
+    return profile ? `${profile.name}'s Skill Vines` : 'Skill Vines';
+  }
+
+  /**
+   * Hang one vine per skill from two branches, eight skills to a branch
+   */
+  createSkillVines(width) {
+    const skills = this.progressManager.getSkillMap();
+    const perRow = 8;
+    const columnWidth = (width - 60) / perRow;
+    const maxLength = 170;
+
+    skills.forEach((skill, index) => {
+      const row = Math.floor(index / perRow);
+      const x = 30 + columnWidth / 2 + (index % perRow) * columnWidth;
+      const top = 110 + row * 300;
+
+      // Branch the vines hang from
+      if (index % perRow === 0) {
+        const branch = this.add.rectangle(width / 2, top, width - 40, 14, 0x5D4037);
+        branch.setStrokeStyle(2, 0x3E2723);
+      }
+
+      this.createSkillVine(x, top, maxLength, skill, columnWidth - 10);
+    });
+  }
+
+  /**
+   * Draw one skill's vine, growing it to its mastery length
+   */
+  createSkillVine(x, top, maxLength, skill, labelWidth) {
+    // Every vine shows at least a sprout so unpractised skills are still visible
+    const length = Math.max(12, Math.round(maxLength * skill.mastery));
+    const graphics = this.add.graphics();
+    const growth = { length: 0 };
+
+    this.tweens.add({
+      targets: growth,
+      length,
+      duration: 800,
+      ease: 'Sine.easeOut',
+      onUpdate: () => this.drawVine(graphics, x, top, growth.length)
+    });
+
+    // A banana at the end of a mastered vine
+    if (skill.mastered) {
+      const banana = this.add.text(x, top + length + 14, '🍌', { fontSize: '26px' });
+      banana.setOrigin(0.5);
+      banana.setAlpha(0);
+      this.tweens.add({ targets: banana, alpha: 1, delay: 800, duration: 300 });
+    }
+
+    const label = this.add.text(x, top + maxLength + 45, skill.label, {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: '15px',
+      fontStyle: 'bold',
+      color: '#333333',
+      align: 'center',
+      wordWrap: { width: labelWidth }
+    });
+    label.setOrigin(0.5, 0);
+
+    const percent = this.add.text(x, top + maxLength + 85, skill.attempts > 0 ? `${Math.round(skill.mastery * 100)}%` : 'Not yet', {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: '14px',
+      color: skill.mastered ? '#2E7D32' : '#666666'
+    });
+    percent.setOrigin(0.5, 0);
+  }
+
+  /**
+   * Draw a vine hanging from (x, top), with a leaf every few pixels
+   */
+  drawVine(graphics, x, top, length) {
+    graphics.clear();
+
+    graphics.lineStyle(6, 0x4CAF50, 1);
+    graphics.lineBetween(x, top, x, top + length);
+
+    graphics.fillStyle(0x2E7D32, 1);
+    for (let y = 18; y < length; y += 22) {
+      const side = (y / 22) % 2 < 1 ? -1 : 1;
+      graphics.fillEllipse(x + side * 8, top + y, 12, 7);
+    }
+  }
+
+  /**
+   * Create the button back to the menu
+   */
+  createBackButton(width, height) {
+    const bg = this.add.rectangle(width / 2, height - 30, 200, 44, 0x2196F3);
+    bg.setStrokeStyle(4, 0x333333);
+
+    const label = this.add.text(width / 2, height - 30, 'Back to Menu', {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: '22px',
+      fontStyle: 'bold',
+      color: '#FFFFFF'
+    });
+    label.setOrigin(0.5);
+
+    bg.setInteractive({ useHandCursor: true });
+    bg.on('pointerover', () => bg.setFillStyle(0x1976D2));
+    bg.on('pointerout', () => bg.setFillStyle(0x2196F3));
+    bg.on('pointerdown', () => this.returnToMenu());
+  }
+
+  /**
+   * Go back to the main menu
+   */
+  returnToMenu() {
+    this.audioManager.playSound('button-click');
+    this.scene.start('MenuScene');
+  }
+
+  /**
+   * Setup keyboard shortcuts
+   */
+  setupKeyboardShortcuts() {
+    // Press ESC to go back to the menu
+    this.input.keyboard.on('keydown-ESC', () => {
+      this.returnToMenu();
+    });
+  }
+}
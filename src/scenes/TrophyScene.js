@@ -0,0 +1,170 @@
+/**
+ * TrophyScene.js
+ * Trophy shelf reached from the main menu
+ * Shows every badge: unlocked ones in full colour, locked ones as a hint of what to aim for
+ */
+
+import Phaser from 'phaser';
+import AudioManager from '../systems/AudioManager.js';
+import ProgressManager from '../systems/ProgressManager.js';
+import AchievementManager from '../systems/AchievementManager.js';
+
+export default class TrophyScene extends Phaser.Scene {
+  constructor() {
+    super({ key: 'TrophyScene' });
+    this.audioManager = null;
+    this.achievementManager = null;
+  }
+
+  /**
+   * Initialize scene
+   */
+  init() {
+    this.audioManager = new AudioManager(this);
+    this.audioManager.initialize();
+
+    const progressManager = new ProgressManager(this.registry.get('activeProfileId') || null);
+    progressManager.initialize();
+    this.achievementManager = new AchievementManager(progressManager);
+  }
+
+  /**
+   * Create trophy scene
+   */
+  create() {
+    const width = this.cameras.main.width;
+    const height = this.cameras.main.height;
+
+    this.cameras.main.fadeIn(300, 135, 206, 235);
+    this.cameras.main.setBackgroundColor('#87CEEB');
+
+    // Jungle floor
+    const ground = this.add.rectangle(0, height - 60, width, 60, 0x2d5016);
+    ground.setOrigin(0, 0);
+
+    const achievements = this.achievementManager.getAchievements();
+    const count = achievements.filter(achievement => achievement.unlocked).length;
+
+    const title = this.add.text(width / 2, 45, 'Trophy Shelf', {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: '40px',
+      fontStyle: 'bold',
+      color: '#333333',
+      stroke: '#FFFFFF',
+      strokeThickness: 6
+    });
+    title.setOrigin(0.5);
+
+    const subtitle = this.add.text(width / 2, 90, `${count} of ${achievements.length} badges`, {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: '22px',
+      color: '#333333'
+    });
+    subtitle.setOrigin(0.5);
+
+    this.createShelves(width, achievements);
+    this.createBackButton(width, height);
+    this.setupKeyboardShortcuts();
+  }
+
+  /**
+   * Stand the badges on wooden shelves, three to a shelf
+   */
+  createShelves(width, achievements) {
+    const perShelf = 3;
+    const slotWidth = 280;
+
+    achievements.forEach((achievement, index) => {
+      const shelf = Math.floor(index / perShelf);
+      const y = 200 + shelf * 170;
+      const x = width / 2 + ((index % perShelf) - (perShelf - 1) / 2) * slotWidth;
+
+      if (index % perShelf === 0) {
+        const board = this.add.rectangle(width / 2, y + 7, perShelf * slotWidth, 14, 0x8D6E63);
+        board.setStrokeStyle(2, 0x5D4037);
+      }
+
+      this.createBadge(x, y, achievement, slotWidth - 30, index);
+    });
+  }
+
+  /**
+   * Draw one badge on the shelf
+   */
+  createBadge(x, y, achievement, textWidth, index) {
+    const icon = this.add.text(x, y, achievement.unlocked ? achievement.icon : '🔒', { fontSize: '52px' });
+    icon.setOrigin(0.5, 1);
+    icon.setAlpha(achievement.unlocked ? 1 : 0.5);
+
+    const label = this.add.text(x, y + 22, achievement.label, {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: '20px',
+      fontStyle: 'bold',
+      color: achievement.unlocked ? '#333333' : '#777777'
+    });
+    label.setOrigin(0.5, 0);
+
+    const detail = achievement.unlocked
+      ? `${achievement.description}\n${new Date(achievement.unlockedAt).toLocaleDateString()}`
+      : achievement.description;
+    const description = this.add.text(x, y + 48, detail, {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: '14px',
+      color: '#555555',
+      align: 'center',
+      wordWrap: { width: textWidth }
+    });
+    description.setOrigin(0.5, 0);
+
+    // Unlocked badges pop onto the shelf one after another
+    if (achievement.unlocked) {
+      icon.setScale(0);
+      this.tweens.add({
+        targets: icon,
+        scale: 1,
+        delay: index * 80,
+        duration: 300,
+        ease: 'Back.easeOut'
+      });
+    }
+  }
+
+  /**
+   * Create the button back to the menu
+   */
+  createBackButton(width, height) {
+    const bg = this.add.rectangle(width / 2, height - 30, 200, 44, 0x2196F3);
+    bg.setStrokeStyle(4, 0x333333);
+
+    const label = this.add.text(width / 2, height - 30, 'Back to Menu', {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: '22px',
+      fontStyle: 'bold',
+      color: '#FFFFFF'
+    });
+    label.setOrigin(0.5);
+
+    bg.setInteractive({ useHandCursor: true });
+    bg.on('pointerover', () => bg.setFillStyle(0x1976D2));
+    bg.on('pointerout', () => bg.setFillStyle(0x2196F3));
+    bg.on('pointerdown', () => this.returnToMenu());
+  }
+
+  /**
+   * Go back to the main menu
+   */
+  returnToMenu() {
+    this.audioManager.playSound('button-click');
+    this.scene.start('MenuScene');
+  }
+
+  /**
+   * Setup keyboard shortcuts
+   */
+  setupKeyboardShortcuts() {
+    // Press ESC to go back to the menu
+    this.input.keyboard.on('keydown-ESC', () => {
+      this.returnToMenu();
+    });
+  }
+}
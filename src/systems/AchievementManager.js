@@ -0,0 +1,165 @@
+/**
+ * AchievementManager.js
+ * Event-driven badge rules for the Gorilla Tag Fun Math Game.
+ * Listens for GameScene events, keeps the counters the rules need and
+ * unlocks badges through ProgressManager so they last between sessions.
+ */
+
+import { ACHIEVEMENTS, ACHIEVEMENT_EVENTS } from '../utils/constants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export default class AchievementManager {
+  /**
+   * @param {ProgressManager} progressManager - Progress of the player earning badges
+   */
+  constructor(progressManager) {
+    this.progressManager = progressManager;
+    this.unlockCallbacks = [];
+    this.emitter = null;
+    this.handlers = {};
+  }
+
+  /**
+   * Listen for achievement events on an event emitter (e.g. scene.events)
+   * @param {Phaser.Events.EventEmitter} emitter - Emitter GameScene sends events on
+   */
+  listen(emitter) {
+    this.stopListening();
+    this.emitter = emitter;
+
+    Object.values(ACHIEVEMENT_EVENTS).forEach(event => {
+      this.handlers[event] = (payload) => this.handleEvent(event, payload);
+      emitter.on(event, this.handlers[event]);
+    });
+  }
+
+  /**
+   * Stop listening for achievement events
+   */
+  stopListening() {
+    if (!this.emitter) {
+      return;
+    }
+
+    Object.entries(this.handlers).forEach(([event, handler]) => this.emitter.off(event, handler));
+    this.emitter = null;
+    this.handlers = {};
+  }
+
+  /**
+   * Register a callback for newly unlocked badges
+   * @param {Function} callback - Called with each unlocked achievement
+   */
+  onUnlock(callback) {
+    this.unlockCallbacks.push(callback);
+  }
+
+  /**
+   * Update counters for an event, then unlock any badge whose rule now holds
+   * @param {string} event - One of ACHIEVEMENT_EVENTS
+   * @param {Object} payload - Event details, e.g. { stars } for a finished level
+   * @param {number} now - Current time in ms (for testing)
+   * @returns {Array} Achievements unlocked by this event
+   */
+  handleEvent(event, payload = {}, now = Date.now()) {
+    this.updateCounters(event, now);
+
+    const unlocked = Object.values(ACHIEVEMENTS).filter(achievement =>
+      achievement.event === event &&
+      !this.progressManager.isAchievementUnlocked(achievement.id) &&
+      this.getStat(achievement.stat, payload) >= achievement.atLeast
+    );
+
+    unlocked.forEach(achievement => {
+      this.progressManager.unlockAchievement(achievement.id, now);
+      this.unlockCallbacks.forEach(callback => callback(achievement));
+    });
+
+    return unlocked;
+  }
+
+  /**
+   * Keep the answer streak and the days-in-a-row count up to date.
+   * The level's progress is already saved by then, so the day count is saved here.
+   * @param {string} event - One of ACHIEVEMENT_EVENTS
+   * @param {number} now - Current time in ms
+   */
+  updateCounters(event, now) {
+    const state = this.progressManager.getAchievementState();
+
+    if (event === ACHIEVEMENT_EVENTS.ANSWER_CORRECT) {
+      state.streak++;
+    } else if (event === ACHIEVEMENT_EVENTS.ANSWER_INCORRECT) {
+      state.streak = 0;
+    } else if (event === ACHIEVEMENT_EVENTS.LEVEL_COMPLETE) {
+      const today = this.getDayNumber(now);
+
+      if (state.lastPlayDay === today - 1) {
+        state.dayStreak++;
+      } else if (state.lastPlayDay !== today) {
+        state.dayStreak = 1;
+      }
+      state.lastPlayDay = today;
+      this.progressManager.saveProgress();
+    }
+  }
+
+  /**
+   * Read the value a rule compares against
+   * @param {string} stat - Stat name from an ACHIEVEMENTS rule
+   * @param {Object} payload - Event details
+   * @returns {number} Current value (0 for an unknown stat)
+   */
+  getStat(stat, payload) {
+    const persistent = this.progressManager.getPersistentStats();
+    const session = this.progressManager.getCurrentStats();
+    const state = this.progressManager.getAchievementState();
+
+    switch (stat) {
+      case 'stars':
+        return payload.stars || 0;
+      case 'streak':
+        return state.streak;
+      case 'bananas':
+        // Session bananas join the total when the level is finished
+        return persistent.totalBananas + session.bananasCollected;
+      case 'levels':
+        return persistent.totalSessions;
+      case 'dayStreak':
+        return state.dayStreak;
+      case 'skillsMastered':
+        return this.progressManager.getSkillMap().filter(skill => skill.mastered).length;
+      default:
+        console.warn('AchievementManager: Unknown stat', stat);
+        return 0;
+    }
+  }
+
+  /**
+   * Get every badge with whether and when it was unlocked, in shelf order
+   * @returns {Array} { id, icon, label, description, unlocked, unlockedAt } per badge
+   */
+  getAchievements() {
+    const unlocked = this.progressManager.getAchievementState().unlocked;
+
+    return Object.values(ACHIEVEMENTS).map(achievement => ({
+      id: achievement.id,
+      icon: achievement.icon,
+      label: achievement.label,
+      description: achievement.description,
+      unlocked: this.progressManager.isAchievementUnlocked(achievement.id),
+      unlockedAt: unlocked[achievement.id] || null
+    }));
+  }
+
+  /**
+   * Get the local calendar day for a time, counted in days since 1970
+   * @param {number} time - Time in ms
+   * @returns {number} Day number
+   */
+  getDayNumber(time) {
+    const offset = new Date(time).getTimezoneOffset() * 60 * 1000;
+    return Math.floor((time - offset) / DAY_MS);
+  }
+}
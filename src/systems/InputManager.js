@@ -3,15 +3,21 @@
  * Handles keyboard, mouse, and touch input for the Gorilla Tag Fun Math Game
  */
 
+import { COMPARISON_SYMBOLS, MULTIPLE_CHOICE } from '../utils/constants.js';
+import { isValidTimeEntry, parseTimeInput } from '../utils/validators.js';
+
 export default class InputManager {
   constructor() {
     this.scene = null;
     this.inputEnabled = false;
+    this.inputMode = 'digits'; // 'digits', 'symbols', 'time' or 'choices'
     this.currentInput = '';
-    this.maxInputLength = 3; // Maximum digits for answer
+    this.maxInputLength = 3; // Maximum digits for answer (time uses its own mask)
     this.keyboardListeners = [];
     this.callbacks = {
       onNumberInput: null,
+      onSymbolInput: null,
+      onChoiceInput: null,
       onSubmit: null,
       onBackspace: null,
       onClear: null
@@ -58,6 +64,29 @@ export default class InputManager {
       this.keyboardListeners.push(numpadKey);
     }
 
+    // Comparison symbols, on the keys that carry < > = on a US keyboard
+    const symbolKeys = {
+      COMMA: '<',
+      PERIOD: '>',
+      PLUS: '='
+    };
+    Object.keys(symbolKeys).forEach(keyName => {
+      const symbolKey = this.scene.input.keyboard.addKey(
+        Phaser.Input.Keyboard.KeyCodes[keyName]
+      );
+      symbolKey.on('down', () => this.handleSymbolKey(symbolKeys[keyName]));
+      this.keyboardListeners.push(symbolKey);
+    });
+
+    // Colon for times; most keyboards send SEMICOLON for shift+;
+    ['SEMICOLON', 'COLON'].forEach(keyName => {
+      const colonKey = this.scene.input.keyboard.addKey(
+        Phaser.Input.Keyboard.KeyCodes[keyName]
+      );
+      colonKey.on('down', () => this.handleColonKey());
+      this.keyboardListeners.push(colonKey);
+    });
+
     // Enter key (submit answer)
     const enterKey = this.scene.input.keyboard.addKey(
       Phaser.Input.Keyboard.KeyCodes.ENTER
@@ -92,7 +121,7 @@ export default class InputManager {
    * @param {string} digit - The digit pressed
    */
   handleNumberKey(digit) {
-    if (!this.inputEnabled) {
+    if (!this.inputEnabled || this.inputMode === 'symbols') {
       return;
     }
 
@@ -102,8 +131,18 @@ export default class InputManager {
       return;
     }
 
-    // Check max length
-    if (this.currentInput.length >= this.maxInputLength) {
+    // In multiple-choice mode, keys 1-4 pick a choice
+    if (this.inputMode === 'choices') {
+      this.handleChoiceKey(parseInt(digit, 10) - 1);
+      return;
+    }
+
+    // Times follow the time mask instead of the digit limit
+    if (this.inputMode === 'time') {
+      if (!isValidTimeEntry(this.currentInput + digit)) {
+        return;
+      }
+    } else if (this.currentInput.length >= this.maxInputLength) {
       console.log('InputManager: Max input length reached');
       return;
     }
@@ -117,6 +156,68 @@ export default class InputManager {
     }
   }
 
+  /**
+   * Handle colon key press (time entry)
+   */
+  handleColonKey() {
+    if (!this.inputEnabled || this.inputMode !== 'time') {
+      return;
+    }
+
+    if (!isValidTimeEntry(this.currentInput + ':')) {
+      return;
+    }
+
+    this.currentInput += ':';
+
+    // Trigger callback
+    if (this.callbacks.onNumberInput) {
+      this.callbacks.onNumberInput(this.currentInput, ':');
+    }
+  }
+
+  /**
+   * Handle a choice key press (multiple-choice mode)
+   * @param {number} index - Choice slot, 0 for key 1
+   */
+  handleChoiceKey(index) {
+    if (!this.inputEnabled || this.inputMode !== 'choices') {
+      return;
+    }
+
+    if (index < 0 || index >= MULTIPLE_CHOICE.CHOICE_COUNT) {
+      return;
+    }
+
+    // Trigger callback
+    if (this.callbacks.onChoiceInput) {
+      this.callbacks.onChoiceInput(index);
+    }
+  }
+
+  /**
+   * Handle comparison symbol key press
+   * @param {string} symbol - '<', '=' or '>'
+   */
+  handleSymbolKey(symbol) {
+    if (!this.inputEnabled || this.inputMode !== 'symbols') {
+      return;
+    }
+
+    if (!COMPARISON_SYMBOLS.includes(symbol)) {
+      console.warn('InputManager: Invalid symbol', symbol);
+      return;
+    }
+
+    // Only one symbol is ever needed, so replace rather than append
+    this.currentInput = symbol;
+
+    // Trigger callback
+    if (this.callbacks.onSymbolInput) {
+      this.callbacks.onSymbolInput(this.currentInput, symbol);
+    }
+  }
+
   /**
    * Handle backspace key press
    */
@@ -187,6 +288,29 @@ export default class InputManager {
     this.inputEnabled = false;
   }
 
+  /**
+   * Switch between digit entry, comparison symbol entry, time entry and
+   * multiple-choice picks
+   * @param {string} mode - 'digits', 'symbols', 'time' or 'choices'
+   */
+  setInputMode(mode) {
+    if (!['digits', 'symbols', 'time', 'choices'].includes(mode)) {
+      console.warn(`InputManager: Unknown input mode "${mode}"`);
+      return;
+    }
+
+    this.inputMode = mode;
+    this.currentInput = '';
+  }
+
+  /**
+   * Get the current input mode
+   * @returns {string} 'digits', 'symbols', 'time' or 'choices'
+   */
+  getInputMode() {
+    return this.inputMode;
+  }
+
   /**
    * Check if input is enabled
    * @returns {boolean} Input enabled status
@@ -215,9 +339,15 @@ export default class InputManager {
    * @param {string} value - Input value to set
    */
   setInput(value) {
-    const sanitized = this.sanitizeInput(value);
+    let sanitized = this.sanitizeInput(value);
 
-    if (sanitized.length > this.maxInputLength) {
+    if (this.inputMode === 'time') {
+      // Keep the longest start of the entry that still fits the time mask
+      while (!isValidTimeEntry(sanitized)) {
+        sanitized = sanitized.slice(0, -1);
+      }
+      this.currentInput = sanitized;
+    } else if (sanitized.length > this.maxInputLength) {
       this.currentInput = sanitized.substring(0, this.maxInputLength);
     } else {
       this.currentInput = sanitized;
@@ -225,11 +355,21 @@ export default class InputManager {
   }
 
   /**
-   * Sanitize input to only include digits
+   * Sanitize input to only include digits (a single symbol in symbols mode,
+   * digits and ":" in time mode)
    * @param {string} input - Raw input
    * @returns {string} Sanitized input
    */
   sanitizeInput(input) {
+    if (this.inputMode === 'symbols') {
+      const symbols = input.toString().split('').filter(char => COMPARISON_SYMBOLS.includes(char));
+      return symbols.length > 0 ? symbols[symbols.length - 1] : '';
+    }
+
+    if (this.inputMode === 'time') {
+      return input.toString().replace(/[^0-9:]/g, '');
+    }
+
     return input.toString().replace(/[^0-9]/g, '');
   }
 
@@ -243,6 +383,26 @@ export default class InputManager {
     }
   }
 
+  /**
+   * Register a callback for comparison symbol input
+   * @param {Function} callback - Callback function (input, symbol) => void
+   */
+  onSymbolInput(callback) {
+    if (typeof callback === 'function') {
+      this.callbacks.onSymbolInput = callback;
+    }
+  }
+
+  /**
+   * Register a callback for a picked choice
+   * @param {Function} callback - Callback function (index) => void
+   */
+  onChoiceInput(callback) {
+    if (typeof callback === 'function') {
+      this.callbacks.onChoiceInput = callback;
+    }
+  }
+
   /**
    * Register a callback for submit
    * @param {Function} callback - Callback function (input) => void
@@ -379,6 +539,8 @@ export default class InputManager {
     // Clear callbacks
     this.callbacks = {
       onNumberInput: null,
+      onSymbolInput: null,
+      onChoiceInput: null,
       onSubmit: null,
       onBackspace: null,
       onClear: null
@@ -405,10 +567,13 @@ export default class InputManager {
   getState() {
     return {
       enabled: this.inputEnabled,
+      inputMode: this.inputMode,
       currentInput: this.currentInput,
       maxLength: this.maxInputLength,
       hasCallbacks: {
         numberInput: this.callbacks.onNumberInput !== null,
+        symbolInput: this.callbacks.onSymbolInput !== null,
+        choiceInput: this.callbacks.onChoiceInput !== null,
         submit: this.callbacks.onSubmit !== null,
         backspace: this.callbacks.onBackspace !== null,
         clear: this.callbacks.onClear !== null
@@ -426,6 +591,14 @@ export default class InputManager {
       return false;
     }
 
+    if (this.inputMode === 'symbols') {
+      return COMPARISON_SYMBOLS.includes(input);
+    }
+
+    if (this.inputMode === 'time') {
+      return parseTimeInput(input) !== null;
+    }
+
     const num = parseInt(input, 10);
     return !isNaN(num) && isFinite(num);
   }
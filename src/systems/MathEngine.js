@@ -4,123 +4,1341 @@
  * for the Gorilla Tag Fun Math Game
  */
 
+import { COMPARISON_SYMBOLS, PARITY_ANSWERS, COINS, ADAPTIVE, REVIEW, MISCONCEPTIONS, MULTIPLE_CHOICE, MULTI_STEP, SEQUENCE, GRAPH, PROGRESSION } from '../utils/constants.js';
+import { parseTimeInput, formatTime } from '../utils/validators.js';
+import { createSeededRandom, shuffleArray } from '../utils/helpers.js';
+import { evaluateExpression } from '../utils/expressions.js';
+import MisconceptionAnalyzer from './MisconceptionAnalyzer.js';
+import WordProblemGenerator from './WordProblemGenerator.js';
+
 export default class MathEngine {
   constructor() {
     this.questionBank = null;
+    this.difficultyConfig = null;
     this.currentDifficulty = 'easy';
     this.recentQuestions = [];
     this.maxRecentQuestions = 3;
     this.currentQuestion = null;
+
+    // Random source for question generation; seeded via setSeed()
+    this.seed = null;
+    this.random = Math.random;
+
+    // Adaptive mode: index into ADAPTIVE.LEVELS, moved by updateAdaptiveLevel()
+    this.adaptiveEnabled = false;
+    this.adaptiveLevel = 0;
+    this.adaptiveCooldown = 0;
+
+    // Missed facts due for review (from ProgressManager.getDueFacts)
+    this.reviewQueue = [];
+    this.questionsServed = 0;
+
+    this.misconceptionAnalyzer = new MisconceptionAnalyzer();
+    this.multipleChoice = false;
+
+    this.wordProblemGenerator = new WordProblemGenerator(this.random);
+  }
+
+  /**
+   * Initialize the engine with question data. A difficulty with no templates
+   * in the data uses the built-in ones (see getTemplates).
+   * @param {Object} questionData - Question bank JSON data
+   * @param {Object} difficultyConfig - Difficulty settings JSON data (optional)
+   */
+  initialize(questionData, difficultyConfig = null) {
+    this.difficultyConfig = difficultyConfig;
+
+    if (!questionData) {
+      console.error('MathEngine: No question data provided');
+      this.questionBank = this.getDefaultQuestionBank();
+      return;
+    }
+
+    this.questionBank = questionData;
+
+    ['easy', 'medium', 'hard']
+      .filter(level => !Array.isArray(questionData[level]) || questionData[level].length === 0)
+      .forEach(level => console.warn(`MathEngine: No "${level}" templates provided. Using built-in ones.`));
+  }
+
+  /**
+   * Get the templates for a difficulty, falling back to the built-in
+   * templates when the loaded bank has none
+   * @param {string} difficulty - 'easy', 'medium', or 'hard'
+   * @returns {Array<Object>} Question templates
+   */
+  getTemplates(difficulty) {
+    const templates = this.questionBank && this.questionBank[difficulty];
+    if (Array.isArray(templates) && templates.length > 0) {
+      return templates;
+    }
+
+    return this.getDefaultQuestionBank()[difficulty] || [];
+  }
+
+  /**
+   * Seed question generation so the same seed gives the same questions.
+   * Pass null to go back to Math.random.
+   * @param {number|string|null} seed - Seed value
+   */
+  setSeed(seed) {
+    if (seed === null || seed === undefined || seed === '') {
+      this.seed = null;
+      this.random = Math.random;
+    } else {
+      this.seed = String(seed);
+      this.random = createSeededRandom(this.seed);
+    }
+
+    this.wordProblemGenerator.setRandom(this.random);
+
+    // Recent-question history changes which template comes next
+    this.recentQuestions = [];
+  }
+
+  /**
+   * Get the current seed
+   * @returns {string|null} Seed, or null when unseeded
+   */
+  getSeed() {
+    return this.seed;
+  }
+
+  /**
+   * Set the current difficulty level
+   * @param {string} level - 'easy', 'medium', or 'hard'
+   */
+  setDifficulty(level) {
+    const validLevels = ['easy', 'medium', 'hard'];
+
+    if (!validLevels.includes(level)) {
+      console.warn(`MathEngine: Invalid difficulty "${level}". Using "easy".`);
+      this.currentDifficulty = 'easy';
+      return;
+    }
+
+    this.currentDifficulty = level;
+    this.recentQuestions = []; // Reset recent questions on difficulty change
+  }
+
+  /**
+   * Turn adaptive difficulty on or off. The starting level follows the
+   * current difficulty unless one is given.
+   * @param {boolean} enabled - Whether to adapt to the child's answers
+   * @param {number} startLevel - Index into ADAPTIVE.LEVELS (optional)
+   */
+  setAdaptive(enabled, startLevel = null) {
+    this.adaptiveEnabled = Boolean(enabled);
+    this.adaptiveCooldown = 0;
+
+    const level = startLevel !== null ? startLevel : ADAPTIVE.START_LEVEL[this.currentDifficulty];
+    this.adaptiveLevel = this.clampAdaptiveLevel(level || 0);
+  }
+
+  /**
+   * Turn multiple-choice answers on or off. When on, number questions come
+   * with a `choices` list (see generateChoices).
+   * @param {boolean} enabled - Whether to offer answer choices
+   */
+  setMultipleChoice(enabled) {
+    this.multipleChoice = Boolean(enabled);
+  }
+
+  /**
+   * Get the current adaptive level
+   * @returns {number} Index into ADAPTIVE.LEVELS
+   */
+  getAdaptiveLevel() {
+    return this.adaptiveLevel;
+  }
+
+  /**
+   * Keep an adaptive level inside the level table
+   * @param {number} level - Level to clamp
+   * @returns {number} Valid level index
+   */
+  clampAdaptiveLevel(level) {
+    return Math.max(0, Math.min(ADAPTIVE.LEVELS.length - 1, level));
+  }
+
+  /**
+   * Move the adaptive level up or down from recent performance.
+   * After a change, waits a full window so the next decision only looks
+   * at questions asked at the new level.
+   * @param {Object} performance - From ProgressManager.getRecentPerformance()
+   *   { count, accuracy, averageAttempts }
+   * @returns {number} Change applied: -1, 0 or 1
+   */
+  updateAdaptiveLevel(performance) {
+    if (!this.adaptiveEnabled || !performance) {
+      return 0;
+    }
+
+    if (this.adaptiveCooldown > 0) {
+      this.adaptiveCooldown--;
+      return 0;
+    }
+
+    if (performance.count < ADAPTIVE.WINDOW) {
+      return 0;
+    }
+
+    let change = 0;
+    if (performance.accuracy >= ADAPTIVE.RAISE_ACCURACY &&
+        performance.averageAttempts <= ADAPTIVE.RAISE_MAX_AVERAGE_ATTEMPTS) {
+      change = 1;
+    } else if (performance.accuracy < ADAPTIVE.LOWER_ACCURACY ||
+        performance.averageAttempts >= ADAPTIVE.LOWER_MIN_AVERAGE_ATTEMPTS) {
+      change = -1;
+    }
+
+    const level = this.clampAdaptiveLevel(this.adaptiveLevel + change);
+    if (level === this.adaptiveLevel) {
+      return 0;
+    }
+
+    this.adaptiveLevel = level;
+    this.adaptiveCooldown = ADAPTIVE.WINDOW - 1;
+    return change;
+  }
+
+  /**
+   * Get the templates to choose from at the current adaptive level
+   * @returns {Array<Object>} Question templates
+   */
+  getAdaptivePool() {
+    const level = ADAPTIVE.LEVELS[this.adaptiveLevel];
+    const pool = this.getTemplates(level.difficulty);
+    const allowed = pool.filter(template => level.operations.includes(template.operation));
+
+    return allowed.length > 0 ? allowed : pool;
+  }
+
+  /**
+   * Give an addition or subtraction template the current adaptive range,
+   * kept inside the grade band
+   * @param {Object} template - Question template
+   * @returns {Object} Template to generate from
+   */
+  applyAdaptiveRange(template) {
+    if (template.operation !== 'addition' && template.operation !== 'subtraction') {
+      return template;
+    }
+
+    const level = ADAPTIVE.LEVELS[this.adaptiveLevel];
+
+    // Shrink each number when there are more than two, so three or four
+    // of them add up to about what two would
+    const scale = Math.max(1, this.getNumberCount(template) / 2);
+
+    return {
+      ...template,
+      minValue: Math.floor(Math.max(ADAPTIVE.GRADE_BAND.min, level.minValue) / scale),
+      maxValue: Math.floor(Math.min(ADAPTIVE.GRADE_BAND.max, level.maxValue) / scale)
+    };
+  }
+
+  /**
+   * Count the numbers a template's questions are made from
+   * @param {Object} template - Question template
+   * @returns {number} 3 for a two-step story, "operands" if set, otherwise 2
+   */
+  getNumberCount(template) {
+    if (template.story && template.story.situation === 'two-step') {
+      return 3;
+    }
+
+    return template.operands || 2;
+  }
+
+  /**
+   * Queue missed facts to mix into this session
+   * @param {Array<Object>} items - Question snapshots from ProgressManager.getDueFacts()
+   */
+  setReviewItems(items) {
+    this.reviewQueue = Array.isArray(items) ? items.slice() : [];
+    this.questionsServed = 0;
+  }
+
+  /**
+   * Get the number of review items still waiting to be asked
+   * @returns {number} Queued review items
+   */
+  getPendingReviewCount() {
+    return this.reviewQueue.length;
+  }
+
+  /**
+   * Take the next review item if this question slot is a review slot
+   * @returns {Object|null} Review question, or null for a new question
+   */
+  takeReviewQuestion() {
+    const slot = this.questionsServed % REVIEW.EVERY_NTH_QUESTION;
+
+    if (this.reviewQueue.length === 0 || slot !== REVIEW.EVERY_NTH_QUESTION - 1) {
+      return null;
+    }
+
+    const item = this.reviewQueue.shift();
+    return { ...item, values: { ...item.values }, isReview: true };
+  }
+
+  /**
+   * Get the next question based on current difficulty
+   * (or the adaptive level, when adaptive mode is on).
+   * Due review items are mixed in every few questions.
+   * @returns {Object} Question object with text, answer, and metadata
+   */
+  getNextQuestion() {
+    if (!this.questionBank) {
+      console.error('MathEngine: Question bank not initialized. Using default.');
+      this.questionBank = this.getDefaultQuestionBank();
+    }
+
+    const review = this.takeReviewQuestion();
+    this.questionsServed++;
+
+    if (review) {
+      this.currentQuestion = this.attachChoices(review);
+      return this.currentQuestion;
+    }
+
+    const difficulty = this.currentDifficulty;
+    const pool = this.adaptiveEnabled ? this.getAdaptivePool() : this.getTemplates(difficulty);
+
+    if (!pool || pool.length === 0) {
+      console.error(`MathEngine: No questions available for difficulty "${difficulty}"`);
+      return this.generateFallbackQuestion();
+    }
+
+    // Filter out recently used questions to avoid repetition
+    const available = pool.filter(template =>
+      !this.recentQuestions.includes(template.id)
+    );
+
+    // If all questions were recently used, reset the recent list
+    const questionPool = available.length > 0 ? available : pool;
+
+    // Select random question template
+    const template = this.getRandomElement(questionPool);
+
+    // Generate question with random values
+    const question = this.adaptiveEnabled
+      ? { ...this.generateQuestion(this.applyAdaptiveRange(template)), adaptiveLevel: this.adaptiveLevel }
+      : this.generateQuestion(template);
+
+    // Track this question as recently used
+    this.addToRecentQuestions(template.id);
+
+    // Store current question for validation
+    this.currentQuestion = this.attachChoices(question);
+
+    return this.currentQuestion;
+  }
+
+  /**
+   * Add answer choices to a number question when multiple choice is on
+   * @param {Object} question - Generated question
+   * @returns {Object} The same question, with `choices` if they apply
+   */
+  attachChoices(question) {
+    if (this.multipleChoice && question.answerType === 'number') {
+      question.choices = this.generateChoices(question);
+    }
+
+    return question;
+  }
+
+  /**
+   * Build answer choices for a number question. Distractors come from likely
+   * mistakes (wrong operation, off by ten, off by one) and are tagged with
+   * the misconception they stand for, so a pick can be recorded.
+   * @param {Object} question - Generated question with a numeric answer
+   * @param {number} count - Number of choices including the answer (default: 4)
+   * @returns {Array<Object>} Shuffled { value, misconception } choices
+   */
+  generateChoices(question, count = MULTIPLE_CHOICE.CHOICE_COUNT) {
+    const answer = question.answer;
+    const values = [answer];
+    const choices = [{ value: answer, misconception: null }];
+
+    const addChoice = (value, misconception) => {
+      if (choices.length >= count || !Number.isInteger(value) || value < 0 || values.includes(value)) {
+        return false;
+      }
+      values.push(value);
+      choices.push({ value, misconception });
+      return true;
+    };
+
+    // One distractor from each kind of mistake, in a random direction
+    const wrongOperation = ['addition', 'subtraction'].includes(question.operation) && !(question.stepCount > 1)
+      ? this.getWrongOperationAnswer(question)
+      : null;
+    // In a counting pattern, the number one step along is the likely slip
+    const skipBy = question.operation === 'sequence' ? question.values.skipBy : null;
+    const groups = [
+      [[wrongOperation, MISCONCEPTIONS.WRONG_OPERATION.id]],
+      skipBy ? shuffleArray([[answer + skipBy, null], [answer - skipBy, null]], this.random) : [],
+      shuffleArray([[answer + 10, MISCONCEPTIONS.OFF_BY_TEN.id], [answer - 10, MISCONCEPTIONS.OFF_BY_TEN.id]], this.random),
+      shuffleArray([[answer + 1, MISCONCEPTIONS.OFF_BY_ONE.id], [answer - 1, MISCONCEPTIONS.OFF_BY_ONE.id]], this.random)
+    ];
+    groups.forEach(group => group.some(([value, misconception]) => addChoice(value, misconception)));
+
+    // Top up with nearby numbers when a mistake gives no usable value
+    for (let offset = 2; choices.length < count; offset++) {
+      addChoice(answer + offset, null);
+      addChoice(answer - offset, null);
+    }
+
+    return shuffleArray(choices, this.random);
+  }
+
+  /**
+   * Get the answer a child would give by using the other operation
+   * @param {Object} question - Addition or subtraction question
+   * @returns {number} Sum or difference of the numbers shown
+   */
+  getWrongOperationAnswer(question) {
+    const [first, second] = this.misconceptionAnalyzer.getKnownNumbers(question);
+    const sum = first + second;
+
+    return question.answer === sum ? Math.abs(first - second) : sum;
+  }
+
+  /**
+   * Generate a question from a template
+   * @param {Object} template - Question template
+   * @returns {Object} Generated question
+   */
+  generateQuestion(template) {
+    // Templates with named variables describe their own values and answer
+    if (template.variables) {
+      return this.generateExpressionQuestion(template);
+    }
+
+    // Story templates get a freshly written word problem
+    if (template.story) {
+      return this.generateStoryQuestion(template);
+    }
+
+    // Three or four numbers, e.g. "{a} + {b} + {c} = ?"
+    if (template.operands > 2) {
+      return this.generateMultiOperandQuestion(template);
+    }
+
+    switch (template.operation) {
+      case 'equal-groups':
+      case 'array':
+      case 'repeated-addition':
+        return this.generateMultiplicationReadinessQuestion(template);
+      case 'comparison':
+        return this.generateComparisonQuestion(template);
+      case 'place-value':
+        return this.generatePlaceValueQuestion(template);
+      case 'money':
+        return this.generateMoneyQuestion(template);
+      case 'time':
+        return this.generateTimeQuestion(template);
+      case 'sequence':
+        return this.generateSequenceQuestion(template);
+      case 'even-odd':
+        return this.generateEvenOddQuestion(template);
+      case 'graph':
+        return this.generateGraphQuestion(template);
+      default:
+        return this.generateArithmeticQuestion(template);
+    }
+  }
+
+  /**
+   * Generate a question from a template with named variables, e.g.
+   *   "variables": { "a": { "min": 10, "max": 40 }, "b": { "min": 1, "max": "a - 1" } },
+   *   "derived": { "c": "a - b" },
+   *   "constraints": ["a % 10 != 0", "c >= 5"],
+   *   "answer": "c"
+   * Variables are drawn in order, so a range may use earlier variables.
+   * Values are redrawn until every constraint holds.
+   * @param {Object} template - Question template with variables and an answer expression
+   * @returns {Object} Generated question
+   */
+  generateExpressionQuestion(template) {
+    const variables = template.variables;
+    const derived = template.derived || {};
+    const constraints = template.constraints || [];
+    let chosen = null;
+
+    if (template.answer === undefined) {
+      console.error(`MathEngine: Template "${template.id}" has variables but no answer expression`);
+      return this.generateFallbackQuestion();
+    }
+
+    try {
+      for (let attempt = 0; attempt < 100 && !chosen; attempt++) {
+        const scope = {};
+
+        const inRange = Object.keys(variables).every(name => {
+          scope[name] = this.sampleVariable(variables[name], scope);
+          return scope[name] !== null;
+        });
+        if (!inRange) {
+          continue;
+        }
+
+        Object.keys(derived).forEach(name => {
+          scope[name] = evaluateExpression(derived[name], scope);
+        });
+
+        // Answers are whole numbers a 2nd grader can type
+        const answer = evaluateExpression(template.answer, scope);
+        if (constraints.every(rule => evaluateExpression(rule, scope)) && Number.isInteger(answer) && answer >= 0) {
+          chosen = { scope, answer };
+        }
+      }
+    } catch (error) {
+      console.error(`MathEngine: Invalid expression in template "${template.id}": ${error.message}`);
+      return this.generateFallbackQuestion();
+    }
+
+    if (!chosen) {
+      console.warn(`MathEngine: Could not meet constraints for template "${template.id}"`);
+      return this.generateFallbackQuestion();
+    }
+
+    const questionText = this.fillTemplate(template.template, chosen.scope);
+
+    return this.buildQuestion(template, questionText, chosen.answer, chosen.scope, {
+      unknown: template.unknown || 'result'
+    });
+  }
+
+  /**
+   * Generate a word problem from the story grammar. template.story may name
+   * a situation, e.g. { "situation": "compare", "unknown": "difference",
+   * "direction": "fewer" }, or be true to pick one solved by the template's
+   * operation.
+   * @param {Object} template - Question template with a story
+   * @returns {Object} Generated question
+   */
+  generateStoryQuestion(template) {
+    const story = template.story === true ? {} : { ...template.story };
+
+    if (!story.situation) {
+      const picked = this.wordProblemGenerator.pickSituation(template.operation);
+      if (!picked) {
+        console.warn(`MathEngine: No word problems for operation "${template.operation}" (template "${template.id}")`);
+        return this.generateFallbackQuestion();
+      }
+      Object.assign(story, picked);
+    }
+
+    if (story.situation === 'two-step') {
+      return this.generateTwoStepStoryQuestion(template, story);
+    }
+
+    // Stories start from at least one of something
+    const min = Math.max(1, template.minValue);
+    let x = this.randomInt(min, template.maxValue);
+    let y = this.randomInt(min, template.maxValue);
+
+    // Compare stories need two different amounts
+    for (let attempt = 0; attempt < 20 && story.situation === 'compare' && x === y; attempt++) {
+      y = this.randomInt(min, template.maxValue);
+    }
+
+    let first = x;
+    let second = y;
+    if (story.situation === 'separate') {
+      first = Math.max(x, y);
+      second = Math.min(x, y);
+    } else if (story.situation === 'compare') {
+      first = Math.min(x, y);
+      second = Math.max(Math.abs(x - y), 1);
+    }
+
+    const problem = this.wordProblemGenerator.generate(story, first, second);
+    if (!problem) {
+      return this.generateFallbackQuestion();
+    }
+
+    return this.buildQuestion(template, problem.text, problem.answer, problem.values, {
+      type: 'word-problem',
+      operation: problem.operation,
+      unknown: problem.unknown,
+      story: { situation: story.situation, unknown: story.unknown || 'result' }
+    });
+  }
+
+  /**
+   * Generate a two-step story, e.g. picked some more and then ate some.
+   * Numbers are redrawn until nobody has to give away more than they have.
+   * @param {Object} template - Question template
+   * @param {Object} story - Story settings; "steps" may name the two actions
+   * @returns {Object} Generated question
+   */
+  generateTwoStepStoryQuestion(template, story) {
+    const actions = story.steps || this.wordProblemGenerator.pickTwoStepActions();
+    const min = Math.max(1, template.minValue);
+    let numbers = null;
+
+    for (let attempt = 0; attempt < 100 && !numbers; attempt++) {
+      const drawn = [0, 1, 2].map(() => this.randomInt(min, template.maxValue));
+
+      let amount = drawn[0];
+      const fits = actions.every((action, index) => {
+        amount += action === 'separate' ? -drawn[index + 1] : drawn[index + 1];
+        return amount >= 0;
+      });
+
+      if (fits) {
+        numbers = drawn;
+      }
+    }
+
+    if (!numbers) {
+      console.warn(`MathEngine: Could not fit a two-step story to the range of "${template.id}"`);
+      return this.generateFallbackQuestion();
+    }
+
+    const problem = this.wordProblemGenerator.generate({ ...story, steps: actions }, ...numbers);
+    if (!problem) {
+      return this.generateFallbackQuestion();
+    }
+
+    return this.buildQuestion(template, problem.text, problem.answer, problem.values, {
+      type: 'word-problem',
+      operation: problem.operation || template.operation,
+      unknown: 'result',
+      operands: problem.operands,
+      steps: problem.steps,
+      stepCount: problem.steps.length,
+      story: { situation: 'two-step', unknown: 'result', steps: actions }
+    });
+  }
+
+  /**
+   * Draw one template variable
+   * @param {Object} spec - { min, max, step }; min and max may be expressions
+   * @param {Object} scope - Variables drawn so far
+   * @returns {number|null} Value, or null if the range is empty
+   */
+  sampleVariable(spec, scope) {
+    const min = evaluateExpression(spec.min, scope);
+    const max = evaluateExpression(spec.max, scope);
+    const step = spec.step || 1;
+
+    if (!Number.isFinite(min) || !Number.isFinite(max) || max < min) {
+      return null;
+    }
+
+    return min + step * this.randomInt(0, Math.floor((max - min) / step));
+  }
+
+  /**
+   * Generate a question with three or four numbers, e.g. "{a} + {b} + {c} = ?"
+   * or "{a} - {b} - {c} = ?". The operands fill {a}, {b}, {c} and {d} in
+   * order; each + or - counts as one step.
+   * @param {Object} template - Question template with "operands" (3-4)
+   * @returns {Object} Generated question
+   */
+  generateMultiOperandQuestion(template) {
+    const count = Math.min(template.operands, MULTI_STEP.MAX_OPERANDS);
+    const isSubtraction = template.operation === 'subtraction';
+    let operands = [];
+
+    // Subtraction takes every other number from the first, so the first
+    // has to be at least their sum
+    for (let attempt = 0; attempt < 100; attempt++) {
+      operands = [];
+      for (let i = 0; i < count; i++) {
+        operands.push(this.randomInt(template.minValue, template.maxValue));
+      }
+
+      const rest = operands.slice(1).reduce((sum, value) => sum + value, 0);
+      if (!isSubtraction || operands[0] >= rest) {
+        break;
+      }
+      if (attempt === 99) {
+        console.warn(`MathEngine: Could not keep "${template.id}" from going below zero`);
+        operands[0] = rest;
+      }
+    }
+
+    const steps = operands.slice(1).map(() => (isSubtraction ? 'subtraction' : 'addition'));
+    const answer = operands.slice(1).reduce(
+      (total, value) => (isSubtraction ? total - value : total + value),
+      operands[0]
+    );
+
+    const values = {};
+    operands.forEach((value, index) => {
+      values[MULTI_STEP.OPERAND_NAMES[index]] = value;
+    });
+
+    return this.buildQuestion(template, this.fillTemplate(template.template, values), answer, values, {
+      unknown: 'result',
+      operands,
+      steps,
+      stepCount: steps.length
+    });
+  }
+
+  /**
+   * Generate an addition or subtraction question.
+   * Templates may put the unknown in any slot, e.g. "{a} + ? = {c}"
+   * or "? - {b} = {c}", where {c} is the result of the equation.
+   * @param {Object} template - Question template
+   * @returns {Object} Generated question
+   */
+  generateArithmeticQuestion(template) {
+    const policy = this.getRegroupingPolicy(template);
+    let a;
+    let b;
+    let matchesPolicy = false;
+
+    // Generate random values within the template's range, redrawing until
+    // the regrouping rule is met
+    for (let attempt = 0; attempt < 100 && !matchesPolicy; attempt++) {
+      a = this.randomInt(template.minValue, template.maxValue);
+      b = this.randomInt(template.minValue, template.maxValue);
+      matchesPolicy = policy === 'any' ||
+        this.requiresRegrouping(template.operation, Math.max(a, b), Math.min(a, b)) === (policy === 'required');
+    }
+
+    if (!matchesPolicy) {
+      console.warn(`MathEngine: Could not meet regrouping "${policy}" for template "${template.id}"`);
+    }
+
+    const unknown = template.unknown || this.getUnknownSlot(template.template);
+
+    // Calculate the correct answer
+    let answer;
+    if (template.operation === 'addition') {
+      answer = a + b;
+    } else if (template.operation === 'subtraction') {
+      // Ensure non-negative results for 2nd graders
+      answer = Math.max(a, b) - Math.min(a, b);
+    } else {
+      console.warn(`MathEngine: Unknown operation "${template.operation}"`);
+      answer = a + b;
+    }
+
+    // For subtraction, ensure we format with larger - smaller
+    const first = template.operation === 'subtraction' ? Math.max(a, b) : a;
+    const second = template.operation === 'subtraction' ? Math.min(a, b) : b;
+    const regrouping = this.requiresRegrouping(template.operation, first, second);
+
+    if (unknown === 'a' || unknown === 'b') {
+      const values = { a: first, b: second, c: answer };
+      const questionText = this.fillTemplate(template.template, values);
+
+      return this.buildQuestion(template, questionText, values[unknown], values, { unknown, regrouping });
+    }
+
+    // Format the question text
+    const questionText = this.fillTemplate(template.template, { a: first, b: second });
+
+    return this.buildQuestion(template, questionText, answer, { a: first, b: second }, { unknown: 'result', regrouping });
+  }
+
+  /**
+   * Work out the regrouping rule for a template: the template's own
+   * "regrouping" setting, then the current difficulty's, then "any"
+   * @param {Object} template - Question template
+   * @returns {string} 'none', 'required' or 'any'
+   */
+  getRegroupingPolicy(template) {
+    const levelConfig = this.difficultyConfig && this.difficultyConfig[this.currentDifficulty];
+    const policy = template.regrouping || (levelConfig && levelConfig.regrouping) || 'any';
+
+    if (!['none', 'required', 'any'].includes(policy)) {
+      console.warn(`MathEngine: Unknown regrouping "${policy}". Using "any".`);
+      return 'any';
+    }
+
+    return policy;
+  }
+
+  /**
+   * Check whether working a problem column by column needs carrying
+   * (addition) or borrowing (subtraction)
+   * @param {string} operation - 'addition' or 'subtraction'
+   * @param {number} first - First operand (the larger one for subtraction)
+   * @param {number} second - Second operand
+   * @returns {boolean} True if any column regroups
+   */
+  requiresRegrouping(operation, first, second) {
+    let x = first;
+    let y = second;
+
+    while (x > 0 || y > 0) {
+      const digitX = x % 10;
+      const digitY = y % 10;
+
+      if (operation === 'addition' && digitX + digitY >= 10) {
+        return true;
+      }
+      if (operation === 'subtraction' && digitX < digitY) {
+        return true;
+      }
+
+      x = Math.floor(x / 10);
+      y = Math.floor(y / 10);
+    }
+
+    return false;
+  }
+
+  /**
+   * Work out which slot of an equation template is left empty
+   * @param {string} text - Template text
+   * @returns {string} 'a', 'b', or 'result'
+   */
+  getUnknownSlot(text) {
+    if (!text.includes('{c}') || !text.includes('=')) {
+      return 'result';
+    }
+
+    const leftSide = text.split('=')[0];
+    if (!leftSide.includes('?')) {
+      return 'result';
+    }
+
+    return leftSide.includes('{a}') ? 'b' : 'a';
+  }
+
+  /**
+   * Generate an equal-groups, array or repeated-addition question (2.OA.C.4).
+   * Both factors come from the template range, so keep it at 5 or below.
+   * @param {Object} template - Question template
+   * @returns {Object} Generated question
+   */
+  generateMultiplicationReadinessQuestion(template) {
+    // a = number of groups (rows), b = objects in each group (columns)
+    const a = this.randomInt(template.minValue, template.maxValue);
+    const b = this.randomInt(template.minValue, template.maxValue);
+    const repeated = Array(a).fill(b).join(' + ');
+
+    const questionText = this.fillTemplate(template.template, { a, b, repeated });
+
+    return this.buildQuestion(template, questionText, a * b, { a, b });
+  }
+
+  /**
+   * Generate a comparison question such as "45 ? 54" or "12 + 3 ? 20 - 5".
+   * The "?" marks where the child places <, = or >.
+   * @param {Object} template - Question template
+   * @returns {Object} Generated question
+   */
+  generateComparisonQuestion(template) {
+    const [leftTemplate, rightTemplate] = template.template.split('?');
+    const placeholders = this.getPlaceholders(template.template);
+
+    // Aim for roughly a third of questions being equal, otherwise "="
+    // would almost never come up
+    const wantEqual = this.randomInt(0, 2) === 0;
+    const maxAttempts = 100;
+
+    let chosen = null;
+    let fallback = null;
+
+    for (let attempt = 0; attempt < maxAttempts && !chosen; attempt++) {
+      const values = {};
+      placeholders.forEach(key => {
+        values[key] = this.randomInt(template.minValue, template.maxValue);
+      });
+
+      const left = this.evaluateArithmetic(this.fillTemplate(leftTemplate, values));
+
+      // A lone number on the right can simply be made to match
+      const rightKeys = this.getPlaceholders(rightTemplate);
+      if (wantEqual && rightKeys.length === 1 && rightTemplate.trim() === `{${rightKeys[0]}}`) {
+        values[rightKeys[0]] = left;
+      }
+
+      const right = this.evaluateArithmetic(this.fillTemplate(rightTemplate, values));
+
+      // Keep both sides non-negative for 2nd graders
+      if (left < 0 || right < 0) {
+        continue;
+      }
+
+      const sample = { values, left, right };
+      fallback = fallback || sample;
+
+      if (!wantEqual || left === right) {
+        chosen = sample;
+      }
+    }
+
+    if (!chosen && !fallback) {
+      console.warn(`MathEngine: Could not build comparison from "${template.id}"`);
+      return this.generateFallbackQuestion();
+    }
+
+    const { values, left, right } = chosen || fallback;
+
+    let answer = '=';
+    if (left < right) {
+      answer = '<';
+    } else if (left > right) {
+      answer = '>';
+    }
+
+    const questionText = this.fillTemplate(template.template, values);
+
+    return this.buildQuestion(
+      template,
+      questionText,
+      answer,
+      { ...values, left, right },
+      { answerType: 'symbol' }
+    );
   }
 
   /**
-   * Initialize the engine with question data
-   * @param {Object} questionData - Question bank JSON data
+   * Generate a telling-time question (2.MD.C.7). The clock is drawn by
+   * QuestionDisplay from question.figureType; the answer is { hours, minutes }.
+   * template.minuteStep sets how precise the time is (60, 30, 15 or 5).
+   * minValue/maxValue limit the hour (1-12).
+   * @param {Object} template - Question template
+   * @returns {Object} Generated question
    */
-  initialize(questionData) {
-    if (!questionData) {
-      console.error('MathEngine: No question data provided');
-      this.questionBank = this.getDefaultQuestionBank();
-      return;
+  generateTimeQuestion(template) {
+    const minuteStep = template.minuteStep || 5;
+    const hours = this.randomInt(Math.max(1, template.minValue), Math.min(12, template.maxValue));
+    const minutes = this.randomInt(0, Math.floor(59 / minuteStep)) * minuteStep;
+    const answer = { hours, minutes };
+
+    const questionText = this.fillTemplate(template.template, { time: formatTime(answer) });
+
+    return this.buildQuestion(template, questionText, answer, { hours, minutes }, {
+      answerType: 'time',
+      figureType: 'clock'
+    });
+  }
+
+  /**
+   * Generate a skip-counting question (2.NBT.A.2): a row of numbers counting
+   * by 5s, 10s or 100s with one left blank, e.g. "35, 40, __, 50".
+   * The row starts on a multiple of the step and stays inside the
+   * template's range. Template options:
+   * - skipBy: step, or a list of steps to pick from (default 10)
+   * - tiles: numbers in the row, including the blank (default 5)
+   * - direction: 'up', 'down' or 'any' (default 'up')
+   * - blank: 'any' or 'last' (default 'any')
+   * @param {Object} template - Question template
+   * @returns {Object} Generated question
+   */
+  generateSequenceQuestion(template) {
+    const skipBy = Array.isArray(template.skipBy)
+      ? this.getRandomElement(template.skipBy)
+      : (template.skipBy || SEQUENCE.DEFAULT_SKIP);
+    const count = template.tiles || SEQUENCE.DEFAULT_TILES;
+
+    // Leave room for the whole row below maxValue
+    const lowest = Math.ceil(template.minValue / skipBy);
+    const highest = Math.floor((template.maxValue - skipBy * (count - 1)) / skipBy);
+
+    if (highest < lowest) {
+      console.warn(`MathEngine: Range of "${template.id}" is too small for ${count} numbers counting by ${skipBy}`);
+      return this.generateFallbackQuestion();
     }
 
-    this.questionBank = questionData;
+    const start = this.randomInt(lowest, highest) * skipBy;
+    const numbers = [];
+    for (let i = 0; i < count; i++) {
+      numbers.push(start + i * skipBy);
+    }
+
+    const direction = template.direction === 'any'
+      ? this.getRandomElement(['up', 'down'])
+      : (template.direction || 'up');
+    if (direction === 'down') {
+      numbers.reverse();
+    }
+
+    const missingIndex = template.blank === 'last' ? count - 1 : this.randomInt(0, count - 1);
+    const sequence = numbers.map((n, index) => (index === missingIndex ? '__' : n)).join(', ');
+    const questionText = this.fillTemplate(template.template, { step: skipBy, sequence });
+
+    return this.buildQuestion(template, questionText, numbers[missingIndex], {
+      numbers,
+      missingIndex,
+      skipBy,
+      direction
+    }, {
+      figureType: 'number-tiles'
+    });
   }
 
   /**
-   * Set the current difficulty level
-   * @param {string} level - 'easy', 'medium', or 'hard'
+   * Generate an even/odd question (2.OA.C.3). Forms:
+   * - 'even-odd' (default): "Is {n} even or odd?" -> 'even' or 'odd', answered with buttons
+   * - 'pairs': "How many pairs can you make with {n} bananas?" -> pairs
+   * - 'equal-addends': "{n} = ? + ?" (the same number twice) -> half of n; n is always even
+   * @param {Object} template - Question template
+   * @returns {Object} Generated question
    */
-  setDifficulty(level) {
-    const validLevels = ['easy', 'medium', 'hard'];
+  generateEvenOddQuestion(template) {
+    const form = template.form || 'even-odd';
+    let n = this.randomInt(template.minValue, template.maxValue);
 
-    if (!validLevels.includes(level)) {
-      console.warn(`MathEngine: Invalid difficulty "${level}". Using "easy".`);
-      this.currentDifficulty = 'easy';
-      return;
+    if (form === 'equal-addends' && n % 2 !== 0) {
+      n = n + 1 <= template.maxValue ? n + 1 : n - 1;
     }
 
-    this.currentDifficulty = level;
-    this.recentQuestions = []; // Reset recent questions on difficulty change
+    const values = { n, pairs: Math.floor(n / 2), leftover: n % 2 };
+    const questionText = this.fillTemplate(template.template, { n });
+
+    if (form === 'pairs' || form === 'equal-addends') {
+      return this.buildQuestion(template, questionText, values.pairs, values);
+    }
+
+    return this.buildQuestion(template, questionText, PARITY_ANSWERS[values.leftover], values, {
+      answerType: 'parity',
+      choices: PARITY_ANSWERS.map(answer => ({
+        value: answer,
+        label: answer.charAt(0).toUpperCase() + answer.slice(1),
+        misconception: null
+      }))
+    });
   }
 
   /**
-   * Get the next question based on current difficulty
-   * @returns {Object} Question object with text, answer, and metadata
+   * Generate a graph question (2.MD.D.10): a small data set drawn as a bar
+   * or picture graph, and a question about it. Template options:
+   * - graph: 'bar', 'picture' or 'any' (default 'bar')
+   * - ask: 'read', 'more', 'fewer', 'total' or 'any' (default 'any')
+   * - labels: category names (default: four gorillas); categories: how many to show (2-4)
+   * - unit: what is counted (default 'bananas'); title: heading drawn over the graph
+   * The template text fills {question}, e.g. "Look at the graph. {question}"
+   * @param {Object} template - Question template
+   * @returns {Object} Generated question
    */
-  getNextQuestion() {
-    if (!this.questionBank) {
-      console.error('MathEngine: Question bank not initialized. Using default.');
-      this.questionBank = this.getDefaultQuestionBank();
+  generateGraphQuestion(template) {
+    const labels = (template.labels || GRAPH.LABELS).slice(0, GRAPH.MAX_CATEGORIES);
+    const categories = Math.max(2, Math.min(template.categories || labels.length, labels.length));
+    const names = shuffleArray(labels.slice(), this.random).slice(0, categories);
+    const counts = names.map(() => this.randomInt(template.minValue, template.maxValue));
+    const unit = template.unit || 'bananas';
+
+    const graph = template.graph === 'any' ? this.getRandomElement(['bar', 'picture']) : (template.graph || 'bar');
+    const ask = !template.ask || template.ask === 'any' ? this.getRandomElement(GRAPH.ASKS) : template.ask;
+
+    // Two different categories to ask about
+    const [first, second] = shuffleArray(names.map((name, index) => index), this.random);
+
+    // "How many more" needs two different amounts
+    for (let attempt = 0; attempt < 20 && (ask === 'more' || ask === 'fewer') && counts[first] === counts[second]; attempt++) {
+      counts[second] = this.randomInt(template.minValue, template.maxValue);
     }
 
-    const difficulty = this.currentDifficulty;
-    const pool = this.questionBank[difficulty];
+    const bigger = counts[first] >= counts[second] ? first : second;
+    const smaller = bigger === first ? second : first;
 
-    if (!pool || pool.length === 0) {
-      console.error(`MathEngine: No questions available for difficulty "${difficulty}"`);
-      return this.generateFallbackQuestion();
+    let question;
+    let answer;
+    if (ask === 'more') {
+      question = `How many more ${unit} does ${names[bigger]} have than ${names[smaller]}?`;
+      answer = counts[bigger] - counts[smaller];
+    } else if (ask === 'fewer') {
+      question = `How many fewer ${unit} does ${names[smaller]} have than ${names[bigger]}?`;
+      answer = counts[bigger] - counts[smaller];
+    } else if (ask === 'total') {
+      question = `How many ${unit} do ${names[first]} and ${names[second]} have in all?`;
+      answer = counts[first] + counts[second];
+    } else {
+      question = `How many ${unit} does ${names[first]} have?`;
+      answer = counts[first];
     }
 
-    // Filter out recently used questions to avoid repetition
-    const available = pool.filter(template =>
-      !this.recentQuestions.includes(template.id)
+    const questionText = this.fillTemplate(template.template, { question });
+
+    return this.buildQuestion(template, questionText, answer, {
+      labels: names,
+      counts,
+      unit,
+      title: template.title || null,
+      ask
+    }, {
+      figureType: graph === 'picture' ? 'picture-graph' : 'bar-graph'
+    });
+  }
+
+  /**
+   * Generate a money question (2.MD.C.8). Answers are in cents.
+   * template.form picks the skill:
+   * - 'count': "The gorilla has {coins}. How many cents?" -> total
+   * - 'change': "A banana costs {price}¢. The gorilla pays with {coins}.
+   *   How much change?" -> template.paid - price
+   * @param {Object} template - Question template
+   * @returns {Object} Generated question
+   */
+  generateMoneyQuestion(template) {
+    if (template.form === 'change') {
+      const paid = template.paid || COINS.DOLLAR.cents;
+      const price = this.randomInt(template.minValue, Math.min(template.maxValue, paid - 1));
+      const coins = this.makeCoins(paid);
+      const questionText = this.fillTemplate(template.template, {
+        price,
+        paid,
+        coins: this.describeCoins(coins)
+      });
+
+      return this.buildQuestion(template, questionText, paid - price, { price, paid }, { coins });
+    }
+
+    const coinTypes = Object.values(COINS).filter(coin =>
+      !template.coinTypes || template.coinTypes.includes(coin.id)
     );
+    const minCoins = template.minCoins || 1;
+    const maxCoins = template.maxCoins || 5;
 
-    // If all questions were recently used, reset the recent list
-    const questionPool = available.length > 0 ? available : pool;
+    let coins = null;
+    let total = 0;
 
-    // Select random question template
-    const template = this.getRandomElement(questionPool);
+    for (let attempt = 0; attempt < 100 && !coins; attempt++) {
+      const candidate = {};
+      const count = this.randomInt(minCoins, maxCoins);
 
-    // Generate question with random values
-    const question = this.generateQuestion(template);
+      for (let i = 0; i < count; i++) {
+        const coin = this.getRandomElement(coinTypes);
+        candidate[coin.id] = (candidate[coin.id] || 0) + 1;
+      }
 
-    // Track this question as recently used
-    this.addToRecentQuestions(template.id);
+      total = this.countCents(candidate);
+      if (total >= template.minValue && total <= template.maxValue) {
+        coins = candidate;
+      }
+    }
 
-    // Store current question for validation
-    this.currentQuestion = question;
+    // Fall back to the fewest coins for an amount in range
+    if (!coins) {
+      total = this.randomInt(template.minValue, template.maxValue);
+      coins = this.makeCoins(total);
+    }
 
-    return question;
+    const questionText = this.fillTemplate(template.template, {
+      total,
+      coins: this.describeCoins(coins)
+    });
+
+    return this.buildQuestion(template, questionText, total, { total }, { coins });
   }
 
   /**
-   * Generate a question from a template
+   * Make an amount with the fewest coins and bills
+   * @param {number} cents - Amount in cents
+   * @returns {Object} Count of each coin, keyed by coin id
+   */
+  makeCoins(cents) {
+    const coins = {};
+    let remaining = cents;
+
+    Object.values(COINS).forEach(coin => {
+      const count = Math.floor(remaining / coin.cents);
+      if (count > 0) {
+        coins[coin.id] = count;
+        remaining -= count * coin.cents;
+      }
+    });
+
+    return coins;
+  }
+
+  /**
+   * Add up the value of a set of coins
+   * @param {Object} coins - Count of each coin, keyed by coin id
+   * @returns {number} Total in cents
+   */
+  countCents(coins) {
+    return Object.values(COINS).reduce(
+      (sum, coin) => sum + (coins[coin.id] || 0) * coin.cents,
+      0
+    );
+  }
+
+  /**
+   * Describe coins in words, largest first, e.g. "2 dimes and 1 penny"
+   * @param {Object} coins - Count of each coin, keyed by coin id
+   * @returns {string} Description
+   */
+  describeCoins(coins) {
+    const parts = Object.values(COINS)
+      .filter(coin => coins[coin.id] > 0)
+      .map(coin => {
+        const count = coins[coin.id];
+        return `${count} ${count === 1 ? coin.name : coin.plural}`;
+      });
+
+    if (parts.length <= 1) {
+      return parts.join('');
+    }
+
+    return `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}`;
+  }
+
+  /**
+   * Generate a place-value question (2.NBT.A.1-3).
+   * template.form picks the skill:
+   * - 'compose': "What is {hundreds} hundreds + {tens} tens + {ones} ones?" -> n
+   * - 'count': "How many tens are in {n}?" -> whole tens in n
+   * - 'digit': "What digit is in the {place} place of {n}?" -> digit
+   * - 'expanded': "{expanded} = ?" -> n
+   * - 'expanded-missing': "{n} = {expanded}" with one part shown as ? -> that part
    * @param {Object} template - Question template
    * @returns {Object} Generated question
    */
-  generateQuestion(template) {
-    // Generate random values within the template's range
-    const a = this.randomInt(template.minValue, template.maxValue);
-    const b = this.randomInt(template.minValue, template.maxValue);
+  generatePlaceValueQuestion(template) {
+    const placeValues = { hundreds: 100, tens: 10, ones: 1 };
+    const form = template.form || 'compose';
+    const place = template.place || 'tens';
+
+    let n = this.randomInt(template.minValue, template.maxValue);
+    let digits = this.getPlaceDigits(n);
+
+    // The missing part has to be something other than zero
+    if (form === 'expanded-missing') {
+      for (let attempt = 0; attempt < 50 && digits[place] === 0; attempt++) {
+        n = this.randomInt(template.minValue, template.maxValue);
+        digits = this.getPlaceDigits(n);
+      }
+    }
 
-    // Calculate the correct answer
     let answer;
-    if (template.operation === 'addition') {
-      answer = a + b;
-    } else if (template.operation === 'subtraction') {
-      // Ensure non-negative results for 2nd graders
-      answer = Math.max(a, b) - Math.min(a, b);
+    let expanded = this.formatExpandedForm(digits);
+
+    if (form === 'count') {
+      answer = Math.floor(n / placeValues[place]);
+    } else if (form === 'digit') {
+      answer = digits[place];
+    } else if (form === 'expanded-missing') {
+      answer = digits[place] * placeValues[place];
+      expanded = this.formatExpandedForm(digits, place);
     } else {
-      console.warn(`MathEngine: Unknown operation "${template.operation}"`);
-      answer = a + b;
+      answer = n;
     }
 
-    // Format the question text
-    let questionText = template.template
-      .replace('{a}', a)
-      .replace('{b}', b);
+    const values = { n, ...digits };
+    const text = this.matchPlaceUnits(template.template, digits);
+    const questionText = this.fillTemplate(text, { ...values, expanded, place });
 
-    // For subtraction, ensure we format with larger - smaller
-    if (template.operation === 'subtraction') {
-      const larger = Math.max(a, b);
-      const smaller = Math.min(a, b);
-      questionText = template.template
-        .replace('{a}', larger)
-        .replace('{b}', smaller);
+    return this.buildQuestion(template, questionText, answer, values);
+  }
+
+  /**
+   * Split a number into hundreds, tens and ones digits
+   * @param {number} n - Number to split
+   * @returns {Object} { hundreds, tens, ones }
+   */
+  getPlaceDigits(n) {
+    return {
+      hundreds: Math.floor(n / 100),
+      tens: Math.floor(n / 10) % 10,
+      ones: n % 10
+    };
+  }
+
+  /**
+   * Make the unit after each place placeholder agree with its digit,
+   * so "{tens} tens" reads "1 ten" as well as "2 tens"
+   * @param {string} text - Template text
+   * @param {Object} digits - { hundreds, tens, ones }
+   * @returns {string} Template text with matching units
+   */
+  matchPlaceUnits(text, digits) {
+    return ['hundreds', 'tens', 'ones'].reduce((result, place) => {
+      const singular = place.slice(0, -1);
+      const unit = digits[place] === 1 ? singular : place;
+      return result.replace(new RegExp(`\\{${place}\\} (${place}|${singular})\\b`, 'g'), `{${place}} ${unit}`);
+    }, text);
+  }
+
+  /**
+   * Write digits in expanded form, e.g. "300 + 40 + 2".
+   * Zero parts are left out, the way 2nd graders are taught to write it.
+   * @param {Object} digits - { hundreds, tens, ones }
+   * @param {string} hiddenPlace - Place to show as "?" (optional)
+   * @returns {string} Expanded form
+   */
+  formatExpandedForm(digits, hiddenPlace = null) {
+    const parts = [
+      { place: 'hundreds', value: digits.hundreds * 100 },
+      { place: 'tens', value: digits.tens * 10 },
+      { place: 'ones', value: digits.ones }
+    ]
+      .filter(part => part.value > 0)
+      .map(part => (part.place === hiddenPlace ? '?' : part.value));
+
+    return parts.length > 0 ? parts.join(' + ') : '0';
+  }
+
+  /**
+   * List the {placeholder} names used in a template, in order
+   * @param {string} text - Template text
+   * @returns {Array<string>} Placeholder names
+   */
+  getPlaceholders(text) {
+    const names = [];
+    const pattern = /\{(\w+)\}/g;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+      if (!names.includes(match[1])) {
+        names.push(match[1]);
+      }
     }
 
+    return names;
+  }
+
+  /**
+   * Evaluate a simple left-to-right sum like "12 + 3 - 5"
+   * @param {string} expression - Expression using only + and -
+   * @returns {number} Result
+   */
+  evaluateArithmetic(expression) {
+    const tokens = expression.match(/\d+|[+-]/g) || [];
+    let total = 0;
+    let sign = 1;
+
+    tokens.forEach(token => {
+      if (token === '+') {
+        sign = 1;
+      } else if (token === '-') {
+        sign = -1;
+      } else {
+        total += sign * parseInt(token, 10);
+      }
+    });
+
+    return total;
+  }
+
+  /**
+   * Replace every {placeholder} in a template with its value
+   * @param {string} text - Template text
+   * @param {Object} values - Placeholder values keyed by name
+   * @returns {string} Filled text
+   */
+  fillTemplate(text, values) {
+    return Object.keys(values).reduce(
+      (result, key) => result.split(`{${key}}`).join(values[key]),
+      text
+    );
+  }
+
+  /**
+   * Build the question object handed to the scene
+   * @param {Object} template - Source template
+   * @param {string} questionText - Display text
+   * @param {*} answer - Correct answer
+   * @param {Object} values - Values used for hints
+   * @param {Object} extra - Additional fields for specific question kinds
+   * @returns {Object} Question object
+   */
+  buildQuestion(template, questionText, answer, values, extra = {}) {
     return {
       id: `${template.id}_${Date.now()}`,
       type: template.type,
@@ -129,15 +1347,39 @@ export default class MathEngine {
       answer: answer,
       visualHint: template.visualHint || false,
       hintType: template.hintType || null,
-      values: { a, b },
-      difficulty: this.currentDifficulty
+      answerType: 'number',
+      values: values,
+      difficulty: this.currentDifficulty,
+      stepCount: 1,
+      ...extra
     };
   }
 
+  /**
+   * Decide whether a question's picture hint should come up after wrong tries.
+   * With answer choices it comes up before only one choice is left, so a
+   * wrong even/odd pick shows the pairs straight away.
+   * @param {Object} question - The question being answered
+   * @param {number} wrongAttempts - Wrong tries so far
+   * @returns {boolean} True if the hint should be shown
+   */
+  shouldShowHint(question, wrongAttempts) {
+    if (!question || !question.visualHint) {
+      return false;
+    }
+
+    const choiceCount = Array.isArray(question.choices) ? question.choices.length : 0;
+    const showAfter = choiceCount > 1
+      ? Math.min(PROGRESSION.SHOW_HINT_AFTER_ATTEMPTS, choiceCount - 1)
+      : PROGRESSION.SHOW_HINT_AFTER_ATTEMPTS;
+
+    return wrongAttempts >= showAfter;
+  }
+
   /**
    * Validate a user's answer
    * @param {string|number} userInput - User's answer
-   * @param {number} correctAnswer - The correct answer (optional, uses current question if not provided)
+   * @param {number|string} correctAnswer - The correct answer (optional, uses current question if not provided)
    * @returns {Object} Validation result
    */
   validateAnswer(userInput, correctAnswer = null) {
@@ -153,6 +1395,20 @@ export default class MathEngine {
       };
     }
 
+    const answerType = this.getAnswerType(correctAnswer);
+
+    if (answerType === 'symbol') {
+      return this.validateSymbolAnswer(userInput, expected);
+    }
+
+    if (answerType === 'time') {
+      return this.validateTimeAnswer(userInput, expected);
+    }
+
+    if (answerType === 'parity') {
+      return this.validateParityAnswer(userInput, expected);
+    }
+
     // Sanitize and convert input
     const cleaned = this.sanitizeInput(userInput);
     const userAnswer = parseInt(cleaned, 10);
@@ -172,16 +1428,135 @@ export default class MathEngine {
     // Check if close (within 2)
     const isClose = Math.abs(userAnswer - expected) <= 2;
 
+    // Look for a known error pattern (only when checking the current question)
+    const misconception = !isCorrect && correctAnswer === null
+      ? this.misconceptionAnalyzer.analyze(this.currentQuestion, userAnswer)
+      : null;
+
     return {
       valid: true,
       correct: isCorrect,
       close: !isCorrect && isClose,
       userAnswer: userAnswer,
       correctAnswer: expected,
+      misconception: misconception,
+      message: isCorrect ? this.getCorrectMessage() : this.getIncorrectMessage(isClose)
+    };
+  }
+
+  /**
+   * Work out what kind of answer is expected
+   * @param {*} correctAnswer - Explicit answer passed to validateAnswer, or null
+   * @returns {string} 'number', 'symbol', 'parity' or 'time'
+   */
+  getAnswerType(correctAnswer) {
+    if (correctAnswer !== null) {
+      if (typeof correctAnswer === 'object') {
+        return 'time';
+      }
+      if (PARITY_ANSWERS.includes(correctAnswer)) {
+        return 'parity';
+      }
+      return typeof correctAnswer === 'string' ? 'symbol' : 'number';
+    }
+
+    return (this.currentQuestion && this.currentQuestion.answerType) || 'number';
+  }
+
+  /**
+   * Validate a clock time typed as "3:45" or "345"
+   * @param {string} userInput - Time entered by the user
+   * @param {Object} expected - Correct time { hours, minutes }
+   * @returns {Object} Validation result
+   */
+  validateTimeAnswer(userInput, expected) {
+    const userAnswer = parseTimeInput(userInput);
+
+    if (!userAnswer) {
+      return {
+        valid: false,
+        correct: false,
+        message: 'Please enter a time like 3:45'
+      };
+    }
+
+    const isCorrect = userAnswer.hours === expected.hours && userAnswer.minutes === expected.minutes;
+
+    // Close: right minutes but the hour hand read one off, or minutes off by one tick
+    const hourDiff = Math.abs(userAnswer.hours - expected.hours);
+    const isClose = !isCorrect && (
+      (userAnswer.minutes === expected.minutes && (hourDiff === 1 || hourDiff === 11)) ||
+      (hourDiff === 0 && Math.abs(userAnswer.minutes - expected.minutes) <= 5)
+    );
+
+    return {
+      valid: true,
+      correct: isCorrect,
+      close: isClose,
+      userAnswer: formatTime(userAnswer),
+      correctAnswer: formatTime(expected),
       message: isCorrect ? this.getCorrectMessage() : this.getIncorrectMessage(isClose)
     };
   }
 
+  /**
+   * Validate a <, = or > answer for comparison questions
+   * @param {string} userInput - Symbol entered by the user
+   * @param {string} expected - Correct symbol
+   * @returns {Object} Validation result
+   */
+  validateSymbolAnswer(userInput, expected) {
+    const symbol = userInput === null || userInput === undefined ? '' : userInput.toString().trim();
+
+    if (!COMPARISON_SYMBOLS.includes(symbol)) {
+      return {
+        valid: false,
+        correct: false,
+        message: 'Please choose <, = or >'
+      };
+    }
+
+    const isCorrect = symbol === expected;
+
+    return {
+      valid: true,
+      correct: isCorrect,
+      close: false,
+      userAnswer: symbol,
+      correctAnswer: expected,
+      message: isCorrect ? this.getCorrectMessage() : this.getIncorrectMessage(false)
+    };
+  }
+
+  /**
+   * Validate an "even" or "odd" answer
+   * @param {string} userInput - Answer picked by the user
+   * @param {string} expected - 'even' or 'odd'
+   * @returns {Object} Validation result
+   */
+  validateParityAnswer(userInput, expected) {
+    const answer = userInput === null || userInput === undefined ? '' : userInput.toString().trim().toLowerCase();
+
+    if (!PARITY_ANSWERS.includes(answer)) {
+      return {
+        valid: false,
+        correct: false,
+        message: 'Please choose even or odd'
+      };
+    }
+
+    const isCorrect = answer === expected;
+
+    return {
+      valid: true,
+      correct: isCorrect,
+      close: false,
+      userAnswer: answer,
+      correctAnswer: expected,
+      message: isCorrect ? this.getCorrectMessage() : this.getIncorrectMessage(false)
+    };
+  }
+
   /**
    * Get a random encouraging message for correct answers
    * @returns {string} Encouraging message
@@ -197,7 +1572,7 @@ export default class MathEngine {
       'Excellent work!',
       'Banana-tastic!'
     ];
-    return this.getRandomElement(messages);
+    return this.pickMessage(messages);
   }
 
   /**
@@ -215,7 +1590,7 @@ export default class MathEngine {
         'Give it another try!',
         'Nearly got it!'
       ];
-      return this.getRandomElement(closeMessages);
+      return this.pickMessage(closeMessages);
     } else {
       const farMessages = [
         'Not quite, try again!',
@@ -224,7 +1599,7 @@ export default class MathEngine {
         'Keep trying!',
         "You're learning!"
       ];
-      return this.getRandomElement(farMessages);
+      return this.pickMessage(farMessages);
     }
   }
 
@@ -290,7 +1665,7 @@ export default class MathEngine {
    * @returns {number} Random integer
    */
   randomInt(min, max) {
-    return Math.floor(Math.random() * (max - min + 1)) + min;
+    return Math.floor(this.random() * (max - min + 1)) + min;
   }
 
   /**
@@ -302,7 +1677,17 @@ export default class MathEngine {
     if (!array || array.length === 0) {
       return null;
     }
-    return array[Math.floor(Math.random() * array.length)];
+    return array[Math.floor(this.random() * array.length)];
+  }
+
+  /**
+   * Pick a feedback message. Uses Math.random rather than the seeded source
+   * so that answering right or wrong never changes the question sequence.
+   * @param {Array<string>} messages - Messages to choose from
+   * @returns {string} Message
+   */
+  pickMessage(messages) {
+    return messages[Math.floor(Math.random() * messages.length)];
   }
 
   /**
@@ -322,6 +1707,7 @@ export default class MathEngine {
       answer: answer,
       visualHint: false,
       hintType: null,
+      answerType: 'number',
       values: { a, b },
       difficulty: 'easy'
     };
@@ -0,0 +1,153 @@
+/**
+ * MisconceptionAnalyzer.js
+ * Recognizes common 2nd-grade error patterns in wrong addition/subtraction
+ * answers so feedback can target the actual mistake
+ */
+
+import { MISCONCEPTIONS } from '../utils/constants.js';
+
+export default class MisconceptionAnalyzer {
+  constructor() {
+    // Checked in order; the first pattern that explains the answer wins
+    this.checks = [
+      { id: MISCONCEPTIONS.WRONG_OPERATION.id, test: (q, user, correct) => this.isWrongOperation(q, user, correct) },
+      { id: MISCONCEPTIONS.SMALLER_FROM_LARGER.id, test: (q, user, correct) => this.isSmallerFromLarger(q, user, correct) },
+      { id: MISCONCEPTIONS.OFF_BY_TEN.id, test: (q, user, correct) => this.isOffByTen(q, user, correct) },
+      { id: MISCONCEPTIONS.DIGIT_REVERSAL.id, test: (q, user, correct) => this.isDigitReversal(user, correct) },
+      { id: MISCONCEPTIONS.OFF_BY_ONE.id, test: (q, user, correct) => this.isOffByOne(user, correct) }
+    ];
+  }
+
+  /**
+   * Work out which misconception, if any, explains a wrong answer
+   * @param {Object} question - Generated question (operation, values, unknown, answer)
+   * @param {number} userAnswer - The child's numeric answer
+   * @returns {string|null} Misconception id, or null if no pattern matches
+   */
+  analyze(question, userAnswer) {
+    if (!question || !['addition', 'subtraction'].includes(question.operation)) {
+      return null;
+    }
+
+    const correct = question.answer;
+    if (typeof correct !== 'number' || typeof userAnswer !== 'number' || userAnswer === correct) {
+      return null;
+    }
+
+    const match = this.checks.find(check => check.test(question, userAnswer, correct));
+    return match ? match.id : null;
+  }
+
+  /**
+   * Get the two numbers shown in the question, larger first for subtraction
+   * @param {Object} question - Generated question
+   * @returns {Array<number>} The two known numbers
+   */
+  getKnownNumbers(question) {
+    const { a, b, c } = question.values || {};
+    const unknown = question.unknown || 'result';
+
+    if (unknown === 'a') {
+      return [b, c];
+    }
+    if (unknown === 'b') {
+      return [a, c];
+    }
+
+    return question.operation === 'subtraction' ? [Math.max(a, b), Math.min(a, b)] : [a, b];
+  }
+
+  /**
+   * Check for a question with more than one step, e.g. "{a} + {b} + {c}".
+   * Checks that compare two numbers don't apply to these.
+   * @param {Object} question - Generated question
+   * @returns {boolean} True if the question has more than one step
+   */
+  isMultiStep(question) {
+    return (question.stepCount || 1) > 1;
+  }
+
+  /**
+   * Added when it should have subtracted, or the other way round
+   * @param {Object} question - Generated question
+   * @param {number} user - User answer
+   * @param {number} correct - Correct answer
+   * @returns {boolean} True if the answer matches the other operation
+   */
+  isWrongOperation(question, user, correct) {
+    if (this.isMultiStep(question)) {
+      return false;
+    }
+
+    const [first, second] = this.getKnownNumbers(question);
+    const sum = first + second;
+    const difference = Math.abs(first - second);
+
+    // Whichever of the two the answer should have been, the other is the mistake
+    const wrong = correct === sum ? difference : sum;
+    return wrong !== correct && user === wrong;
+  }
+
+  /**
+   * Took the smaller digit from the larger in every column instead of
+   * borrowing, e.g. 52 - 27 = 35
+   * @param {Object} question - Generated question
+   * @param {number} user - User answer
+   * @param {number} correct - Correct answer
+   * @returns {boolean} True if the answer matches column-wise differences
+   */
+  isSmallerFromLarger(question, user, correct) {
+    if (question.operation !== 'subtraction' || (question.unknown && question.unknown !== 'result') ||
+      this.isMultiStep(question)) {
+      return false;
+    }
+
+    let [x, y] = this.getKnownNumbers(question);
+    let result = 0;
+    let place = 1;
+
+    while (x > 0 || y > 0) {
+      result += Math.abs((x % 10) - (y % 10)) * place;
+      x = Math.floor(x / 10);
+      y = Math.floor(y / 10);
+      place *= 10;
+    }
+
+    return result !== correct && user === result;
+  }
+
+  /**
+   * Ten too few or too many: a carry or borrow was missed
+   * @param {Object} question - Generated question
+   * @param {number} user - User answer
+   * @param {number} correct - Correct answer
+   * @returns {boolean} True if the answer is off by exactly ten
+   */
+  isOffByTen(question, user, correct) {
+    return question.regrouping !== false && Math.abs(user - correct) === 10;
+  }
+
+  /**
+   * Wrote the digits the wrong way round, e.g. 21 for 12
+   * @param {number} user - User answer
+   * @param {number} correct - Correct answer
+   * @returns {boolean} True if the answer is the correct digits reversed
+   */
+  isDigitReversal(user, correct) {
+    if (correct < 10 || user < 10) {
+      return false;
+    }
+
+    return String(user) === String(correct).split('').reverse().join('');
+  }
+
+  /**
+   * One off, usually from counting the starting number when counting on
+   * @param {number} user - User answer
+   * @param {number} correct - Correct answer
+   * @returns {boolean} True if the answer is off by one
+   */
+  isOffByOne(user, correct) {
+    return Math.abs(user - correct) === 1;
+  }
+}
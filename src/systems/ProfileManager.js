@@ -0,0 +1,254 @@
+/**
+ * ProfileManager.js
+ * Keeps the list of player profiles on a shared device and which one is playing.
+ * Each profile's stars and scores live in their own ProgressManager storage key.
+ */
+
+import ProgressManager from './ProgressManager.js';
+import { STORAGE_KEYS, PROFILES } from '../utils/constants.js';
+import { validatePlayerName } from '../utils/validators.js';
+
+export default class ProfileManager {
+  constructor() {
+    this.storageKey = STORAGE_KEYS.PROFILES;
+    this.profiles = [];
+    this.activeProfileId = null;
+  }
+
+  /**
+   * Initialize the profile manager and load saved profiles
+   */
+  initialize() {
+    this.loadProfiles();
+  }
+
+  /**
+   * Load profiles from localStorage
+   * @returns {boolean} Success status
+   */
+  loadProfiles() {
+    try {
+      const saved = localStorage.getItem(this.storageKey);
+
+      if (!saved) {
+        return false;
+      }
+
+      const data = JSON.parse(saved);
+      this.profiles = Array.isArray(data.profiles)
+        ? data.profiles.filter(profile => profile && typeof profile.id === 'string' && typeof profile.name === 'string')
+        : [];
+      this.activeProfileId = this.getProfile(data.activeProfileId) ? data.activeProfileId : null;
+      return true;
+    } catch (error) {
+      console.error('ProfileManager: Failed to load profiles', error);
+      return false;
+    }
+  }
+
+  /**
+   * Save profiles to localStorage
+   * @returns {boolean} Success status
+   */
+  saveProfiles() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify({
+        profiles: this.profiles,
+        activeProfileId: this.activeProfileId
+      }));
+      return true;
+    } catch (error) {
+      console.error('ProfileManager: Failed to save profiles', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get all profiles, most recently played first
+   * @returns {Array} Profiles { id, name, avatar, createdAt, lastPlayed }
+   */
+  getProfiles() {
+    return [...this.profiles].sort((a, b) => b.lastPlayed - a.lastPlayed);
+  }
+
+  /**
+   * Find a profile by id
+   * @param {string} id - Profile id
+   * @returns {Object|null} The profile, or null if there is none
+   */
+  getProfile(id) {
+    return this.profiles.find(profile => profile.id === id) || null;
+  }
+
+  /**
+   * Get the profile that played last
+   * @returns {Object|null} The active profile, or null if none is chosen
+   */
+  getActiveProfile() {
+    return this.getProfile(this.activeProfileId);
+  }
+
+  /**
+   * Choose who is playing, and remember it for next time
+   * @param {string} id - Profile id
+   * @returns {boolean} True if the profile exists
+   */
+  setActiveProfile(id) {
+    const profile = this.getProfile(id);
+    if (!profile) {
+      console.warn('ProfileManager: Unknown profile', id);
+      return false;
+    }
+
+    profile.lastPlayed = Date.now();
+    this.activeProfileId = id;
+    this.saveProfiles();
+    return true;
+  }
+
+  /**
+   * Check a name for a new or renamed profile
+   * @param {string} name - Player name
+   * @param {string|null} exceptId - Profile being renamed (may keep its own name)
+   * @returns {Object} Validation result {valid: boolean, message: string}
+   */
+  validateName(name, exceptId = null) {
+    const result = validatePlayerName(name);
+    if (!result.valid) {
+      return result;
+    }
+
+    const taken = this.profiles.some(profile =>
+      profile.id !== exceptId && profile.name.toLowerCase() === name.trim().toLowerCase()
+    );
+    if (taken) {
+      return { valid: false, message: 'Someone already has that name' };
+    }
+
+    return result;
+  }
+
+  /**
+   * Add a profile and make it the active one
+   * @param {string} name - Player name
+   * @param {string} avatar - One of PROFILES.AVATARS
+   * @returns {Object} { success: boolean, message: string, profile: Object|null }
+   */
+  addProfile(name, avatar = PROFILES.AVATARS[0]) {
+    if (this.profiles.length >= PROFILES.MAX_PROFILES) {
+      return { success: false, message: `There can be up to ${PROFILES.MAX_PROFILES} players`, profile: null };
+    }
+
+    const check = this.validateName(name);
+    if (!check.valid) {
+      return { success: false, message: check.message, profile: null };
+    }
+
+    const profile = {
+      id: this.generateProfileId(),
+      name: name.trim(),
+      avatar: PROFILES.AVATARS.includes(avatar) ? avatar : PROFILES.AVATARS[0],
+      createdAt: Date.now(),
+      lastPlayed: Date.now()
+    };
+
+    // The first player keeps whatever was saved before profiles existed
+    if (this.profiles.length === 0) {
+      this.adoptSharedProgress(profile.id);
+    }
+
+    this.profiles.push(profile);
+    this.activeProfileId = profile.id;
+    this.saveProfiles();
+
+    return { success: true, message: 'Profile added', profile };
+  }
+
+  /**
+   * Rename a profile
+   * @param {string} id - Profile id
+   * @param {string} name - New player name
+   * @returns {Object} { success: boolean, message: string }
+   */
+  renameProfile(id, name) {
+    const profile = this.getProfile(id);
+    if (!profile) {
+      return { success: false, message: 'Profile not found' };
+    }
+
+    const check = this.validateName(name, id);
+    if (!check.valid) {
+      return { success: false, message: check.message };
+    }
+
+    profile.name = name.trim();
+    this.saveProfiles();
+    return { success: true, message: 'Profile renamed' };
+  }
+
+  /**
+   * Change a profile's avatar
+   * @param {string} id - Profile id
+   * @param {string} avatar - One of PROFILES.AVATARS
+   * @returns {boolean} True if the avatar was changed
+   */
+  setAvatar(id, avatar) {
+    const profile = this.getProfile(id);
+    if (!profile || !PROFILES.AVATARS.includes(avatar)) {
+      console.warn('ProfileManager: Invalid avatar change', id, avatar);
+      return false;
+    }
+
+    profile.avatar = avatar;
+    this.saveProfiles();
+    return true;
+  }
+
+  /**
+   * Delete a profile along with its saved progress and any backups of it
+   * @param {string} id - Profile id
+   * @returns {boolean} True if the profile was deleted
+   */
+  deleteProfile(id) {
+    if (!this.getProfile(id)) {
+      console.warn('ProfileManager: Unknown profile', id);
+      return false;
+    }
+
+    const progress = new ProgressManager(id);
+    progress.resetAllProgress();
+    progress.clearQuarantinedSaves();
+
+    this.profiles = this.profiles.filter(profile => profile.id !== id);
+    if (this.activeProfileId === id) {
+      this.activeProfileId = null;
+    }
+
+    this.saveProfiles();
+    return true;
+  }
+
+  /**
+   * Move progress saved under the shared key to a profile's own key
+   * @param {string} id - Profile id
+   */
+  adoptSharedProgress(id) {
+    try {
+      const shared = localStorage.getItem(STORAGE_KEYS.PROGRESS);
+      if (shared) {
+        localStorage.setItem(new ProgressManager(id).storageKey, shared);
+        localStorage.removeItem(STORAGE_KEYS.PROGRESS);
+      }
+    } catch (error) {
+      console.error('ProfileManager: Failed to move saved progress', error);
+    }
+  }
+
+  /**
+   * Generate a unique profile ID
+   * @returns {string} Unique profile ID
+   */
+  generateProfileId() {
+    return `profile_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+  }
+}
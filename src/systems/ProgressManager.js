@@ -4,9 +4,59 @@
  * for the Gorilla Tag Fun Math Game
  */
 
+import { REVIEW, STORAGE_KEYS, SAVE_FORMAT, HISTORY, SKILLS, MASTERY } from '../utils/constants.js';
+import { isValidSession, isValidStorageData } from '../utils/validators.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Skills for operations that aren't split any further (see getSkillKey())
+const SKILL_BY_OPERATION = {
+  'equal-groups': SKILLS.EQUAL_GROUPS.id,
+  'array': SKILLS.EQUAL_GROUPS.id,
+  'repeated-addition': SKILLS.EQUAL_GROUPS.id,
+  'even-odd': SKILLS.EVEN_ODD.id,
+  'place-value': SKILLS.PLACE_VALUE.id,
+  'comparison': SKILLS.COMPARISON.id,
+  'sequence': SKILLS.SKIP_COUNTING.id,
+  'money': SKILLS.MONEY.id,
+  'time': SKILLS.TIME.id,
+  'graph': SKILLS.GRAPHS.id
+};
+
+/**
+ * Save-format upgrades, in order. Each step takes a save at version `from`
+ * and returns it at version `from + 1`.
+ */
+const MIGRATIONS = [
+  {
+    // lastSession gains the sessionId and startTime that isValidSession expects
+    from: 1,
+    migrate: data => {
+      if (!data.lastSession) {
+        return data;
+      }
+
+      const timestamp = data.lastSession.timestamp;
+      return {
+        ...data,
+        lastSession: {
+          sessionId: `session_${timestamp}`,
+          startTime: timestamp,
+          ...data.lastSession
+        }
+      };
+    }
+  }
+];
+
 export default class ProgressManager {
-  constructor() {
-    this.storageKey = 'gorilla-math-progress';
+  /**
+   * @param {string|null} profileId - Player profile whose progress to use (null: the shared key)
+   */
+  constructor(profileId = null) {
+    this.profileId = profileId;
+    // Each profile saves under its own key so players on one device don't overwrite each other
+    this.storageKey = profileId ? `${STORAGE_KEYS.PROGRESS}-${profileId}` : STORAGE_KEYS.PROGRESS;
     this.sessionData = this.getDefaultSessionData();
     this.persistentData = this.getDefaultPersistentData();
   }
@@ -24,6 +74,7 @@ export default class ProgressManager {
    */
   getDefaultSessionData() {
     return {
+      sessionId: `session_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`,
       difficulty: 'easy',
       currentQuestion: 0,
       totalQuestions: 5,
@@ -34,7 +85,10 @@ export default class ProgressManager {
       bananasCollected: 0,
       startTime: Date.now(),
       elapsedTime: 0,
-      starsEarned: 0
+      starsEarned: 0,
+      breakdowns: {}, // dimension -> bucket -> { correct, total }
+      questionOutcomes: [], // one record per finished question, see recordQuestionOutcome()
+      choicePicks: [] // one { questionId, value, correct, distractor } per multiple-choice pick
     };
   }
 
@@ -63,10 +117,41 @@ export default class ProgressManager {
       preferences: {
         soundEnabled: true,
         musicEnabled: true
+      },
+      factMemory: {}, // fact key -> Leitner review entry, see updateFactMemory()
+      misconceptions: {}, // misconception id -> { count, lastSeen, examples }
+      skills: {}, // skill id -> { mastery, attempts, correct, lastPracticed }, see updateSkillMastery()
+      achievements: {
+        unlocked: {}, // achievement id -> time unlocked
+        streak: 0, // correct answers in a row, across sessions
+        lastPlayDay: null, // local day number of the last finished level
+        dayStreak: 0 // days in a row with a finished level
+      },
+      history: {
+        sessions: [], // newest first, see recordSessionHistory()
+        rollup: this.getEmptyRollup() // everything older than HISTORY.MAX_SESSIONS sessions
       }
     };
   }
 
+  /**
+   * Get an empty rollup of older sessions
+   * @returns {Object} Rollup totals
+   */
+  getEmptyRollup() {
+    return {
+      sessions: 0,
+      questions: 0,
+      correct: 0,
+      attempts: 0,
+      hintsShown: 0,
+      timeMs: 0,
+      byOperation: {}, // operation -> { questions, correct }
+      firstPlayed: null,
+      lastPlayed: null
+    };
+  }
+
   /**
    * Start a new game session
    * @param {string} difficulty - Game difficulty level
@@ -95,8 +180,9 @@ export default class ProgressManager {
   /**
    * Record an answer (correct or incorrect)
    * @param {boolean} isCorrect - Whether the answer was correct
+   * @param {Object} question - The question answered (optional, for breakdowns)
    */
-  recordAnswer(isCorrect) {
+  recordAnswer(isCorrect, question = null) {
     this.sessionData.totalAnswers++;
 
     if (isCorrect) {
@@ -104,6 +190,416 @@ export default class ProgressManager {
     } else {
       this.sessionData.incorrectAnswers++;
     }
+
+    // Carrying/borrowing is a separate skill from plain addition/subtraction
+    if (question && typeof question.regrouping === 'boolean') {
+      this.recordBreakdown('regrouping', question.regrouping ? 'with' : 'without', isCorrect);
+    }
+
+    // Two-step and three-addend questions are reported apart from one-step ones
+    if (question && typeof question.stepCount === 'number') {
+      this.recordBreakdown('steps', String(question.stepCount), isCorrect);
+    }
+
+    if (question) {
+      this.updateSkillMastery(question, isCorrect);
+    }
+  }
+
+  /**
+   * Work out which skill a question practices
+   * @param {Object} question - The question asked
+   * @returns {string|null} Skill id from SKILLS, or null if it maps to none
+   */
+  getSkillKey(question) {
+    if (!question || !question.operation) {
+      return null;
+    }
+
+    if (question.type === 'word-problem' || question.story) {
+      return SKILLS.WORD_PROBLEMS.id;
+    }
+
+    const isAddition = question.operation === 'addition';
+    if (!isAddition && question.operation !== 'subtraction') {
+      return SKILL_BY_OPERATION[question.operation] || null;
+    }
+
+    if (question.stepCount > 1) {
+      return SKILLS.SEVERAL_NUMBERS.id;
+    }
+
+    // Facts within 20 are one skill; beyond that, carrying/borrowing is its own
+    const values = question.values || {};
+    const numbers = ['a', 'b', 'c'].map(key => values[key]).filter(value => typeof value === 'number');
+    if (numbers.length === 0 || Math.max(...numbers) <= 20) {
+      return isAddition ? SKILLS.ADD_WITHIN_20.id : SKILLS.SUB_WITHIN_20.id;
+    }
+
+    if (question.regrouping) {
+      return isAddition ? SKILLS.ADD_REGROUPING.id : SKILLS.SUB_REGROUPING.id;
+    }
+
+    return isAddition ? SKILLS.ADD_WITHIN_100.id : SKILLS.SUB_WITHIN_100.id;
+  }
+
+  /**
+   * Update a skill's mastery estimate from one answer (Bayesian knowledge tracing):
+   * weigh the answer against the chance of a slip or a guess, then allow for
+   * learning from the practice
+   * @param {Object} question - The question answered
+   * @param {boolean} isCorrect - Whether the answer was correct
+   * @param {number} now - Current time in ms (for testing)
+   */
+  updateSkillMastery(question, isCorrect, now = Date.now()) {
+    const skill = this.getSkillKey(question);
+    if (!skill) {
+      return;
+    }
+
+    const entry = this.persistentData.skills[skill] ||
+      { mastery: MASTERY.P_INITIAL, attempts: 0, correct: 0, lastPracticed: null };
+
+    // Picking from a few choices is easier to guess than typing a number
+    const guess = Array.isArray(question.choices) && question.choices.length > 0
+      ? Math.max(MASTERY.P_GUESS, 1 / question.choices.length)
+      : MASTERY.P_GUESS;
+    const known = entry.mastery;
+
+    const evidence = isCorrect
+      ? (known * (1 - MASTERY.P_SLIP)) / (known * (1 - MASTERY.P_SLIP) + (1 - known) * guess)
+      : (known * MASTERY.P_SLIP) / (known * MASTERY.P_SLIP + (1 - known) * (1 - guess));
+
+    entry.mastery = evidence + (1 - evidence) * MASTERY.P_LEARN;
+    entry.attempts++;
+    entry.correct += isCorrect ? 1 : 0;
+    entry.lastPracticed = now;
+
+    this.persistentData.skills[skill] = entry;
+  }
+
+  /**
+   * Get the mastery estimate for a skill
+   * @param {string} skill - Skill id from SKILLS
+   * @returns {number} Chance the skill is known (0-1)
+   */
+  getSkillMastery(skill) {
+    const entry = this.persistentData.skills[skill];
+    return entry ? entry.mastery : MASTERY.P_INITIAL;
+  }
+
+  /**
+   * Get every skill with its mastery, in skill-map order
+   * @returns {Array} { id, label, standard, mastery, attempts, mastered } per skill
+   */
+  getSkillMap() {
+    return Object.values(SKILLS).map(skill => {
+      const entry = this.persistentData.skills[skill.id];
+      const mastery = entry ? entry.mastery : MASTERY.P_INITIAL;
+
+      return {
+        ...skill,
+        mastery,
+        attempts: entry ? entry.attempts : 0,
+        mastered: mastery >= MASTERY.MASTERED
+      };
+    });
+  }
+
+  /**
+   * Record how a question finished: solved or given up, after how many tries,
+   * what was tried and how long it took. Saves straight away so skill mastery
+   * and review boxes aren't lost if the player leaves mid-level.
+   * @param {Object} question - The question asked
+   * @param {Object} outcome - { correct: boolean, attempts: number, answers?: string[], timeMs?: number, hintShown?: boolean }
+   */
+  recordQuestionOutcome(question, outcome) {
+    if (!outcome || typeof outcome.attempts !== 'number' || outcome.attempts < 1) {
+      console.warn('ProgressManager: Invalid question outcome');
+      return;
+    }
+
+    this.sessionData.questionOutcomes.push({
+      questionId: question ? question.id : null,
+      operation: question ? question.operation : null,
+      stepCount: question && question.stepCount ? question.stepCount : 1,
+      questionText: question ? question.questionText : null,
+      operands: this.getOperands(question),
+      answer: question ? question.answer : null,
+      answers: Array.isArray(outcome.answers) ? [...outcome.answers] : [],
+      correct: Boolean(outcome.correct),
+      attempts: outcome.attempts,
+      timeMs: typeof outcome.timeMs === 'number' ? outcome.timeMs : null,
+      hintShown: Boolean(outcome.hintShown)
+    });
+
+    if (question) {
+      this.updateFactMemory(question, outcome);
+    }
+
+    this.saveProgress();
+  }
+
+  /**
+   * Get the numbers a question was built from, for the history log
+   * @param {Object} question - The question asked
+   * @returns {Array|null} e.g. [23, 45], or null for questions without operands (graphs, clocks)
+   */
+  getOperands(question) {
+    if (!question) {
+      return null;
+    }
+
+    if (Array.isArray(question.operands)) {
+      return [...question.operands];
+    }
+
+    const values = question.values || {};
+    return typeof values.a === 'number' && typeof values.b === 'number' ? [values.a, values.b] : null;
+  }
+
+  /**
+   * Record a multiple-choice pick, including which distractor it was
+   * @param {Object} question - The question answered
+   * @param {Object} choice - The picked { value, misconception } choice
+   */
+  recordChoicePick(question, choice) {
+    if (!choice) {
+      console.warn('ProgressManager: Invalid choice pick', choice);
+      return;
+    }
+
+    const correct = Boolean(question) && choice.value === question.answer;
+
+    this.sessionData.choicePicks.push({
+      questionId: question ? question.id : null,
+      value: choice.value,
+      correct,
+      distractor: correct ? null : (choice.misconception || 'other')
+    });
+  }
+
+  /**
+   * Count wrong multiple-choice picks by distractor this session
+   * @returns {Object} distractor -> count, e.g. { 'off-by-one': 2 }
+   */
+  getDistractorCounts() {
+    return this.sessionData.choicePicks
+      .filter(pick => !pick.correct)
+      .reduce((counts, pick) => {
+        counts[pick.distractor] = (counts[pick.distractor] || 0) + 1;
+        return counts;
+      }, {});
+  }
+
+  /**
+   * Remember a misconception so teachers can see which ones keep coming back
+   * @param {string} misconception - Misconception id from MisconceptionAnalyzer
+   * @param {Object} question - The question answered
+   * @param {number} userAnswer - The wrong answer given
+   */
+  recordMisconception(misconception, question, userAnswer) {
+    if (!misconception) {
+      return;
+    }
+
+    const entry = this.persistentData.misconceptions[misconception] || { count: 0, lastSeen: 0, examples: [] };
+
+    // Keep the last few examples, e.g. "52 - 27 = ?" answered 35
+    const examples = entry.examples.concat({
+      questionText: question ? question.questionText : '',
+      answer: userAnswer
+    }).slice(-3);
+
+    this.persistentData.misconceptions[misconception] = {
+      count: entry.count + 1,
+      lastSeen: Date.now(),
+      examples
+    };
+  }
+
+  /**
+   * Get recorded misconceptions, most frequent first
+   * @returns {Array<Object>} { id, count, lastSeen, examples }
+   */
+  getMisconceptionSummary() {
+    const misconceptions = this.persistentData.misconceptions || {};
+
+    return Object.keys(misconceptions)
+      .map(id => ({ id, ...misconceptions[id] }))
+      .sort((x, y) => y.count - x.count);
+  }
+
+  /**
+   * Build the review key for an addition/subtraction fact, e.g. "addition:8,7".
+   * Subtraction is keyed larger number first, the way it is shown.
+   * @param {Object} question - Generated question
+   * @returns {string|null} Fact key, or null if the question is not a fact
+   */
+  getFactKey(question) {
+    if (!question || !question.values || !REVIEW.FACT_OPERATIONS.includes(question.operation)) {
+      return null;
+    }
+
+    // Only two-number facts are scheduled for review
+    if ((question.stepCount || 1) > 1) {
+      return null;
+    }
+
+    const { a, b } = question.values;
+    if (typeof a !== 'number' || typeof b !== 'number') {
+      return null;
+    }
+
+    const operands = question.operation === 'subtraction' ? [Math.max(a, b), Math.min(a, b)] : [a, b];
+    return `${question.operation}:${operands.join(',')}`;
+  }
+
+  /**
+   * Schedule a fact for review. Anything not solved on the first try goes
+   * back to box 0 (due next session); a first-try success on a fact under
+   * review moves it up a box, and past the last box it is dropped.
+   * Facts that were never missed are not tracked.
+   * @param {Object} question - Generated question
+   * @param {Object} outcome - { correct: boolean, attempts: number }
+   * @param {number} now - Current timestamp (for testing)
+   */
+  updateFactMemory(question, outcome, now = Date.now()) {
+    const key = this.getFactKey(question);
+    if (!key) {
+      return;
+    }
+
+    const memory = this.persistentData.factMemory;
+    const missed = !outcome.correct || outcome.attempts > 1;
+    const entry = memory[key];
+
+    if (missed) {
+      memory[key] = {
+        key,
+        box: 0,
+        dueAt: now,
+        misses: (entry ? entry.misses : 0) + 1,
+        lastSeen: now,
+        question: this.createFactSnapshot(question)
+      };
+      return;
+    }
+
+    if (!entry) {
+      return;
+    }
+
+    const box = entry.box + 1;
+    if (box >= REVIEW.BOX_INTERVAL_DAYS.length) {
+      delete memory[key];
+      return;
+    }
+
+    memory[key] = {
+      ...entry,
+      box,
+      dueAt: now + REVIEW.BOX_INTERVAL_DAYS[box] * DAY_MS,
+      lastSeen: now
+    };
+  }
+
+  /**
+   * Copy the parts of a question needed to ask it again later
+   * @param {Object} question - Generated question
+   * @returns {Object} Question snapshot
+   */
+  createFactSnapshot(question) {
+    const fields = ['id', 'type', 'operation', 'questionText', 'answer', 'answerType', 'values',
+      'unknown', 'visualHint', 'hintType', 'difficulty', 'regrouping'];
+    const snapshot = {};
+
+    fields.forEach(field => {
+      if (question[field] !== undefined) {
+        snapshot[field] = field === 'values' ? { ...question[field] } : question[field];
+      }
+    });
+
+    return snapshot;
+  }
+
+  /**
+   * Get facts that are due for review, most overdue first
+   * @param {number} now - Current timestamp
+   * @param {number} limit - Maximum number of facts to return
+   * @returns {Array<Object>} Question snapshots to ask again
+   */
+  getDueFacts(now = Date.now(), limit = REVIEW.MAX_PER_SESSION) {
+    return Object.values(this.persistentData.factMemory || {})
+      .filter(entry => entry.dueAt <= now && entry.question)
+      .sort((x, y) => x.dueAt - y.dueAt)
+      .slice(0, limit)
+      .map(entry => ({ ...entry.question, values: { ...entry.question.values } }));
+  }
+
+  /**
+   * Summarize the most recent question outcomes
+   * @param {number} window - How many recent questions to look at
+   * @returns {Object} { count, accuracy, averageAttempts }
+   */
+  getRecentPerformance(window = 5) {
+    const recent = this.sessionData.questionOutcomes.slice(-window);
+
+    if (recent.length === 0) {
+      return { count: 0, accuracy: 0, averageAttempts: 0 };
+    }
+
+    const solved = recent.filter(outcome => outcome.correct).length;
+    const attempts = recent.reduce((sum, outcome) => sum + outcome.attempts, 0);
+
+    return {
+      count: recent.length,
+      accuracy: (solved / recent.length) * 100,
+      averageAttempts: attempts / recent.length
+    };
+  }
+
+  /**
+   * Count an answer towards one bucket of a reporting breakdown
+   * @param {string} dimension - What the breakdown splits on, e.g. 'regrouping'
+   * @param {string} bucket - Which side of the split, e.g. 'with'
+   * @param {boolean} isCorrect - Whether the answer was correct
+   */
+  recordBreakdown(dimension, bucket, isCorrect) {
+    const breakdowns = this.sessionData.breakdowns;
+
+    if (!breakdowns[dimension]) {
+      breakdowns[dimension] = {};
+    }
+    if (!breakdowns[dimension][bucket]) {
+      breakdowns[dimension][bucket] = { correct: 0, total: 0 };
+    }
+
+    breakdowns[dimension][bucket].total++;
+    if (isCorrect) {
+      breakdowns[dimension][bucket].correct++;
+    }
+  }
+
+  /**
+   * Get session results for one breakdown
+   * @param {string} dimension - Breakdown name, e.g. 'regrouping'
+   * @returns {Object} bucket -> { correct, total, accuracy }
+   */
+  getBreakdown(dimension) {
+    const buckets = this.sessionData.breakdowns[dimension] || {};
+    const result = {};
+
+    Object.keys(buckets).forEach(bucket => {
+      const { correct, total } = buckets[bucket];
+      result[bucket] = {
+        correct,
+        total,
+        accuracy: total > 0 ? (correct / total) * 100 : 0
+      };
+    });
+
+    return result;
   }
 
   /**
@@ -193,6 +689,9 @@ export default class ProgressManager {
       this.persistentData.levelsCompleted[difficulty].push(levelNumber);
     }
 
+    // Keep every question of this session for parents and reports
+    this.recordSessionHistory();
+
     // Save progress
     this.saveProgress();
 
@@ -203,10 +702,110 @@ export default class ProgressManager {
       bananas: this.sessionData.bananasCollected,
       correctAnswers: this.sessionData.correctAnswers,
       totalAnswers: this.sessionData.totalAnswers,
-      elapsedTime: this.sessionData.elapsedTime
+      elapsedTime: this.sessionData.elapsedTime,
+      breakdowns: this.sessionData.breakdowns,
+      distractorPicks: this.getDistractorCounts()
     };
   }
 
+  /**
+   * Add the finished session to the history log, folding the oldest
+   * sessions into the rollup once there are more than HISTORY.MAX_SESSIONS
+   */
+  recordSessionHistory() {
+    const history = this.persistentData.history;
+
+    history.sessions.unshift({
+      sessionId: this.sessionData.sessionId,
+      difficulty: this.sessionData.difficulty,
+      startTime: this.sessionData.startTime,
+      endTime: Date.now(),
+      score: this.sessionData.score,
+      stars: this.sessionData.starsEarned,
+      accuracy: this.calculateAccuracy(),
+      questions: this.sessionData.questionOutcomes.map(outcome => ({ ...outcome }))
+    });
+
+    while (history.sessions.length > HISTORY.MAX_SESSIONS) {
+      this.rollUpSession(history.rollup, history.sessions.pop());
+    }
+  }
+
+  /**
+   * Fold one logged session into the rollup totals
+   * @param {Object} rollup - Rollup from getEmptyRollup()
+   * @param {Object} session - Session from the history log
+   */
+  rollUpSession(rollup, session) {
+    rollup.sessions++;
+    rollup.firstPlayed = rollup.firstPlayed === null ? session.startTime : Math.min(rollup.firstPlayed, session.startTime);
+    rollup.lastPlayed = rollup.lastPlayed === null ? session.endTime : Math.max(rollup.lastPlayed, session.endTime);
+
+    session.questions.forEach(question => {
+      rollup.questions++;
+      rollup.correct += question.correct ? 1 : 0;
+      rollup.attempts += question.attempts;
+      rollup.hintsShown += question.hintShown ? 1 : 0;
+      rollup.timeMs += question.timeMs || 0;
+
+      const operation = question.operation || 'unknown';
+      const entry = rollup.byOperation[operation] || { questions: 0, correct: 0 };
+      entry.questions++;
+      entry.correct += question.correct ? 1 : 0;
+      rollup.byOperation[operation] = entry;
+    });
+  }
+
+  /**
+   * Get the logged sessions, newest first
+   * @param {number} limit - Most sessions to return
+   * @returns {Array} Sessions with their per-question records
+   */
+  getSessionHistory(limit = HISTORY.MAX_SESSIONS) {
+    return this.persistentData.history.sessions.slice(0, limit);
+  }
+
+  /**
+   * Get the totals for sessions too old to keep in full
+   * @returns {Object} Rollup totals
+   */
+  getHistoryRollup() {
+    return { ...this.persistentData.history.rollup };
+  }
+
+  /**
+   * Get the saved achievement state (unlocked badges and the counters the rules use)
+   * @returns {Object} { unlocked, streak, lastPlayDay, dayStreak }
+   */
+  getAchievementState() {
+    return this.persistentData.achievements;
+  }
+
+  /**
+   * Check whether a badge has been unlocked
+   * @param {string} id - Achievement id from ACHIEVEMENTS
+   * @returns {boolean} True if unlocked
+   */
+  isAchievementUnlocked(id) {
+    return Object.prototype.hasOwnProperty.call(this.persistentData.achievements.unlocked, id);
+  }
+
+  /**
+   * Unlock a badge and save straight away so it is never lost
+   * @param {string} id - Achievement id from ACHIEVEMENTS
+   * @param {number} now - Current time in ms (for testing)
+   * @returns {boolean} True if it was newly unlocked
+   */
+  unlockAchievement(id, now = Date.now()) {
+    if (this.isAchievementUnlocked(id)) {
+      return false;
+    }
+
+    this.persistentData.achievements.unlocked[id] = now;
+    this.saveProgress();
+    return true;
+  }
+
   /**
    * Get current session statistics
    * @returns {Object} Current session data
@@ -233,8 +832,11 @@ export default class ProgressManager {
   saveProgress() {
     try {
       const data = {
+        schemaVersion: SAVE_FORMAT.VERSION,
         persistent: this.persistentData,
         lastSession: {
+          sessionId: this.sessionData.sessionId,
+          startTime: this.sessionData.startTime,
           difficulty: this.sessionData.difficulty,
           score: this.sessionData.score,
           stars: this.sessionData.starsEarned,
@@ -252,33 +854,180 @@ export default class ProgressManager {
   }
 
   /**
-   * Load progress from localStorage
+   * Load progress from localStorage, upgrading older saves.
+   * A save that can't be read or upgraded is quarantined and play starts fresh.
    * @returns {boolean} Success status
    */
   loadProgress() {
+    let saved = null;
+
     try {
-      const saved = localStorage.getItem(this.storageKey);
+      saved = localStorage.getItem(this.storageKey);
 
       if (!saved) {
         console.log('ProgressManager: No saved progress found');
         return false;
       }
 
-      const data = JSON.parse(saved);
+      const data = this.migrateSaveData(JSON.parse(saved));
 
-      if (data.persistent) {
-        this.persistentData = {
-          ...this.getDefaultPersistentData(),
-          ...data.persistent
-        };
+      if (!this.isValidSaveData(data)) {
+        this.quarantineSave(saved, 'Save could not be upgraded to version ' + SAVE_FORMAT.VERSION);
+        return false;
       }
 
+      this.persistentData = this.mergePersistentData(data.persistent);
+
       console.log('ProgressManager: Progress loaded successfully');
       return true;
     } catch (error) {
       console.error('ProgressManager: Failed to load progress', error);
+      if (saved) {
+        this.quarantineSave(saved, error.message);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Upgrade a save one version at a time to SAVE_FORMAT.VERSION
+   * @param {Object} data - Parsed save data
+   * @returns {Object|null} Upgraded save data, or null if it can't be upgraded
+   */
+  migrateSaveData(data) {
+    if (!isValidStorageData(data, 'object')) {
+      return null;
+    }
+
+    // Saves from before versioning have no schemaVersion
+    let version = data.schemaVersion === undefined ? 1 : data.schemaVersion;
+
+    // A save from a newer game can't be read safely
+    if (!Number.isInteger(version) || version < 1 || version > SAVE_FORMAT.VERSION) {
+      return null;
+    }
+
+    let upgraded = data;
+    while (version < SAVE_FORMAT.VERSION) {
+      const step = MIGRATIONS.find(migration => migration.from === version);
+      if (!step) {
+        return null;
+      }
+
+      upgraded = { ...step.migrate(upgraded), schemaVersion: version + 1 };
+      version++;
+    }
+
+    return upgraded;
+  }
+
+  /**
+   * Check an upgraded save before using it
+   * @param {Object|null} data - Save data at SAVE_FORMAT.VERSION
+   * @returns {boolean} True if the save can be loaded
+   */
+  isValidSaveData(data) {
+    if (!isValidStorageData(data, 'object') || !isValidStorageData(data.persistent, 'object')) {
       return false;
     }
+
+    return data.lastSession === undefined || isValidSession(data.lastSession);
+  }
+
+  /**
+   * Fill a saved persistent blob in over the defaults, one level deep, so
+   * nested fields missing from an old save (a new difficulty, a new
+   * preference) get their default instead of dropping the whole object
+   * @param {Object} saved - Saved persistent data
+   * @returns {Object} Complete persistent data
+   */
+  mergePersistentData(saved) {
+    const defaults = this.getDefaultPersistentData();
+    const merged = { ...defaults, ...saved };
+
+    Object.keys(defaults).forEach(key => {
+      if (!isValidStorageData(defaults[key], 'object')) {
+        return;
+      }
+
+      if (!isValidStorageData(saved[key], 'object')) {
+        merged[key] = defaults[key];
+        return;
+      }
+
+      merged[key] = { ...defaults[key], ...saved[key] };
+
+      // e.g. levelsCompleted.easy must stay a list, history.rollup an object
+      Object.keys(defaults[key]).forEach(child => {
+        const type = Array.isArray(defaults[key][child]) ? 'array' : 'object';
+        if (isValidStorageData(defaults[key][child], type) && !isValidStorageData(merged[key][child], type)) {
+          merged[key][child] = defaults[key][child];
+        }
+      });
+    });
+
+    return merged;
+  }
+
+  /**
+   * Add a save that couldn't be loaded to the backup list, so neither the
+   * next save nor a later unreadable save overwrites it. Only the newest
+   * SAVE_FORMAT.MAX_BACKUPS are kept.
+   * The save is only removed once its backup has been written.
+   * @param {string} raw - The save exactly as stored
+   * @param {string} reason - Why it couldn't be loaded
+   */
+  quarantineSave(raw, reason) {
+    try {
+      const backups = this.getQuarantinedSaves()
+        .concat({ reason, quarantinedAt: Date.now(), raw })
+        .slice(-SAVE_FORMAT.MAX_BACKUPS);
+
+      localStorage.setItem(this.storageKey + SAVE_FORMAT.QUARANTINE_SUFFIX, JSON.stringify(backups));
+      localStorage.removeItem(this.storageKey);
+      console.warn('ProgressManager: Saved progress moved to backup -', reason);
+    } catch (error) {
+      console.error('ProgressManager: Failed to back up unreadable progress', error);
+    }
+  }
+
+  /**
+   * Get every save that was quarantined because it couldn't be loaded
+   * @returns {Array} { reason, quarantinedAt, raw } per backup, oldest first
+   */
+  getQuarantinedSaves() {
+    try {
+      const stored = localStorage.getItem(this.storageKey + SAVE_FORMAT.QUARANTINE_SUFFIX);
+      if (!stored) {
+        return [];
+      }
+
+      const backups = JSON.parse(stored);
+      return Array.isArray(backups) ? backups : [backups];
+    } catch (error) {
+      console.error('ProgressManager: Failed to read backup', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get the most recently quarantined save
+   * @returns {Object|null} { reason, quarantinedAt, raw }, or null if there is none
+   */
+  getQuarantinedSave() {
+    const backups = this.getQuarantinedSaves();
+    return backups.length > 0 ? backups[backups.length - 1] : null;
+  }
+
+  /**
+   * Remove every quarantined save, e.g. when the player's profile is deleted
+   */
+  clearQuarantinedSaves() {
+    try {
+      localStorage.removeItem(this.storageKey + SAVE_FORMAT.QUARANTINE_SUFFIX);
+    } catch (error) {
+      console.error('ProgressManager: Failed to remove backups', error);
+    }
   }
 
   /**
@@ -289,7 +1038,8 @@ export default class ProgressManager {
   }
 
   /**
-   * Reset all progress (session and persistent)
+   * Reset all progress (session and persistent).
+   * Quarantined saves are kept so a reset can't lose them.
    */
   resetAllProgress() {
     this.sessionData = this.getDefaultSessionData();
@@ -389,6 +1139,7 @@ export default class ProgressManager {
    */
   exportProgress() {
     return {
+      schemaVersion: SAVE_FORMAT.VERSION,
       persistent: this.persistentData,
       session: this.sessionData,
       exportedAt: Date.now()
@@ -414,10 +1165,14 @@ export default class ProgressManager {
         return false;
       }
 
-      this.persistentData = {
-        ...this.getDefaultPersistentData(),
-        ...data.persistent
-      };
+      // Exports from older versions are upgraded like saves
+      const upgraded = this.migrateSaveData(data);
+      if (!upgraded) {
+        console.warn('ProgressManager: Invalid import data - unsupported schemaVersion', data.schemaVersion);
+        return false;
+      }
+
+      this.persistentData = this.mergePersistentData(upgraded.persistent);
 
       this.saveProgress();
       return true;
@@ -9,6 +9,8 @@ export default class UIManager {
     this.hudElements = {};
     this.panels = {};
     this.modals = {};
+    this.toastQueue = []; // achievements waiting for their unlock toast
+    this.toastDoneCallbacks = []; // waiting for the last toast to leave
     this.initialized = false;
   }
 
@@ -295,6 +297,102 @@ export default class UIManager {
     }
   }
 
+  /**
+   * Show an "unlocked" toast for a badge. Toasts slide in at the top right
+   * one after another, so several unlocks at once don't stack up.
+   * @param {Object} achievement - Achievement from ACHIEVEMENTS
+   * @param {number} duration - How long each toast stays in milliseconds
+   */
+  showAchievementToast(achievement, duration = 2500) {
+    this.toastQueue.push(achievement);
+
+    if (!this.panels.achievementToast) {
+      this.showNextToast(duration);
+    }
+  }
+
+  /**
+   * Show the next queued achievement toast
+   * @param {number} duration - How long the toast stays in milliseconds
+   */
+  showNextToast(duration) {
+    const achievement = this.toastQueue.shift();
+    if (!achievement) {
+      this.panels.achievementToast = null;
+
+      const callbacks = this.toastDoneCallbacks;
+      this.toastDoneCallbacks = [];
+      callbacks.forEach(callback => callback());
+      return;
+    }
+
+    const width = this.scene.game.config.width;
+    const toastWidth = 320;
+    const x = width - toastWidth / 2 - 20;
+
+    const toast = this.scene.add.container(width + toastWidth, 110);
+    toast.setDepth(200);
+
+    const bg = this.scene.add.rectangle(0, 0, toastWidth, 80, 0x333333, 0.92);
+    bg.setStrokeStyle(4, 0xFFD700);
+
+    const icon = this.scene.add.text(-toastWidth / 2 + 40, 0, achievement.icon, { fontSize: '40px' });
+    icon.setOrigin(0.5);
+
+    const heading = this.scene.add.text(-toastWidth / 2 + 80, -16, 'Badge unlocked!', {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: '16px',
+      color: '#FFD700'
+    });
+    heading.setOrigin(0, 0.5);
+
+    const label = this.scene.add.text(-toastWidth / 2 + 80, 12, achievement.label, {
+      fontFamily: 'Arial, sans-serif',
+      fontSize: '24px',
+      fontStyle: 'bold',
+      color: '#FFFFFF'
+    });
+    label.setOrigin(0, 0.5);
+
+    toast.add([bg, icon, heading, label]);
+    this.panels.achievementToast = toast;
+
+    // Slide in, wait, slide out, then show the next one
+    this.scene.tweens.add({
+      targets: toast,
+      x,
+      duration: 300,
+      ease: 'Back.easeOut',
+      onComplete: () => {
+        this.scene.tweens.add({
+          targets: toast,
+          x: width + toastWidth,
+          delay: duration,
+          duration: 300,
+          ease: 'Cubic.easeIn',
+          onComplete: () => {
+            toast.destroy();
+            this.showNextToast(duration);
+          }
+        });
+      }
+    });
+  }
+
+  /**
+   * Call back once every queued achievement toast has been shown,
+   * e.g. so a scene change doesn't cut a toast off
+   * @param {Function} callback - Called straight away if no toast is showing
+   */
+  whenToastsDone(callback) {
+    if (!this.panels.achievementToast) {
+      callback();
+      return;
+    }
+
+    this.toastDoneCallbacks.push(callback);
+  }
+
   /**
    * Show number pad for input
    * @param {Function} onNumberClick - Callback when number is clicked
@@ -679,6 +777,8 @@ export default class UIManager {
     this.hudElements = {};
     this.panels = {};
     this.modals = {};
+    this.toastQueue = [];
+    this.toastDoneCallbacks = [];
     this.scene = null;
   }
 }
@@ -0,0 +1,476 @@
+/**
+ * WordProblemGenerator.js
+ * Builds word problems from a small story grammar: characters, objects and
+ * action verbs put together for each Common Core addition/subtraction
+ * situation (join, separate, put-together/take-apart, compare) with the
+ * unknown in any position, two-step join/separate stories, and equal groups
+ * for multiplication readiness
+ */
+
+export default class WordProblemGenerator {
+  /**
+   * Create a WordProblemGenerator
+   * @param {Function} random - Random source returning [0, 1) (default: Math.random)
+   */
+  constructor(random = Math.random) {
+    this.random = random;
+
+    this.characters = [
+      { id: 'gorilla', name: 'the gorilla' },
+      { id: 'monkey', name: 'the monkey' },
+      { id: 'parrot', name: 'the parrot' }
+    ];
+
+    // Each object knows its plural and a pair of describing words for
+    // put-together problems ("green bananas and yellow bananas")
+    this.objects = [
+      { id: 'banana', singular: 'banana', plural: 'bananas', edible: true, kinds: ['green', 'yellow'] },
+      { id: 'coconut', singular: 'coconut', plural: 'coconuts', edible: true, kinds: ['big', 'small'] },
+      { id: 'mango', singular: 'mango', plural: 'mangoes', edible: true, kinds: ['ripe', 'green'] },
+      { id: 'berry', singular: 'berry', plural: 'berries', edible: true, kinds: ['red', 'blue'] },
+      { id: 'vine', singular: 'vine', plural: 'vines', edible: false, kinds: ['long', 'short'] },
+      { id: 'leaf', singular: 'leaf', plural: 'leaves', edible: false, kinds: ['green', 'brown'] }
+    ];
+
+    this.containers = [
+      { singular: 'basket', plural: 'baskets' },
+      { singular: 'tree', plural: 'trees' },
+      { singular: 'box', plural: 'boxes' }
+    ];
+
+    this.verbs = {
+      join: [
+        { past: 'found', base: 'find' },
+        { past: 'picked', base: 'pick' },
+        { past: 'collected', base: 'collect' }
+      ],
+      separate: [
+        { past: 'gave away', base: 'give away' },
+        { past: 'dropped', base: 'drop' },
+        { past: 'ate', base: 'eat', edibleOnly: true }
+      ]
+    };
+
+    // Which situations a template's operation can be told as. Each is
+    // solved with that operation, e.g. "join, change unknown" is solved by
+    // subtracting.
+    this.situationsByOperation = {
+      addition: [
+        { situation: 'join', unknown: 'result' },
+        { situation: 'separate', unknown: 'start' },
+        { situation: 'put-together', unknown: 'total' },
+        { situation: 'compare', unknown: 'bigger', direction: 'more' },
+        { situation: 'compare', unknown: 'bigger', direction: 'fewer' }
+      ],
+      subtraction: [
+        { situation: 'separate', unknown: 'result' },
+        { situation: 'separate', unknown: 'change' },
+        { situation: 'join', unknown: 'change' },
+        { situation: 'join', unknown: 'start' },
+        { situation: 'put-together', unknown: 'addend' },
+        { situation: 'compare', unknown: 'difference', direction: 'more' },
+        { situation: 'compare', unknown: 'difference', direction: 'fewer' },
+        { situation: 'compare', unknown: 'smaller', direction: 'more' },
+        { situation: 'compare', unknown: 'smaller', direction: 'fewer' }
+      ],
+      'equal-groups': [{ situation: 'equal-groups', unknown: 'result' }],
+      array: [{ situation: 'equal-groups', unknown: 'result' }],
+      'repeated-addition': [{ situation: 'equal-groups', unknown: 'result' }]
+    };
+
+    // Two-step stories chain two of these actions, e.g. picked some more
+    // and then ate some
+    this.twoStepActions = [
+      ['join', 'join'],
+      ['join', 'separate'],
+      ['separate', 'join'],
+      ['separate', 'separate']
+    ];
+
+    // Where each story unknown sits in the equation a (+/-) b = c
+    this.unknownSlots = {
+      start: 'a',
+      change: 'b',
+      result: 'result',
+      total: 'result',
+      addend: 'b',
+      smaller: 'a',
+      difference: 'b',
+      bigger: 'result'
+    };
+  }
+
+  /**
+   * Use a different random source (e.g. MathEngine's seeded one)
+   * @param {Function} random - Random source returning [0, 1)
+   */
+  setRandom(random) {
+    this.random = random;
+  }
+
+  /**
+   * Check whether stories can be told for an operation
+   * @param {string} operation - Template operation
+   * @returns {boolean} True if supported
+   */
+  supportsOperation(operation) {
+    return Boolean(this.situationsByOperation[operation]);
+  }
+
+  /**
+   * Pick a situation that is solved with the given operation
+   * @param {string} operation - Template operation
+   * @returns {Object|null} { situation, unknown, direction }, or null if unsupported
+   */
+  pickSituation(operation) {
+    const options = this.situationsByOperation[operation];
+    return options ? { ...this.pick(options) } : null;
+  }
+
+  /**
+   * Write a word problem.
+   * The numbers are the equation a (+/-) b = c behind the story:
+   * - join / separate: a = start, b = change
+   * - put-together: a and b are the two parts
+   * - compare: a = smaller amount, b = difference (c is the bigger amount)
+   * - equal-groups: a = groups, b = in each group
+   * - two-step: a = start, b and c = the amounts each action changes it by
+   * @param {Object} story - { situation, unknown, direction, steps, character, object }
+   * @param {number} a - First number
+   * @param {number} b - Second number
+   * @param {number} c - Third number, for two-step stories (optional)
+   * @returns {Object|null} { text, answer, operation, values, unknown }, or null if the story is unknown
+   */
+  generate(story, a, b, c = null) {
+    if (story.situation === 'two-step') {
+      this.chooseCast(story);
+      return this.generateTwoStep(story.steps || this.pickTwoStepActions(), a, b, c);
+    }
+
+    const writers = {
+      join: () => this.writeJoin(story.unknown, a, b),
+      separate: () => this.writeSeparate(story.unknown, a, b),
+      'put-together': () => this.writePutTogether(story.unknown, a, b),
+      compare: () => this.writeCompare(story.unknown, story.direction || 'more', a, b),
+      'equal-groups': () => this.writeEqualGroups(a, b)
+    };
+
+    const write = writers[story.situation];
+    const unknown = story.situation === 'equal-groups' ? 'result' : (story.unknown || 'result');
+    if (!write || !this.unknownSlots[unknown]) {
+      console.warn(`WordProblemGenerator: Unknown story "${story.situation}" / "${story.unknown}"`);
+      return null;
+    }
+
+    this.chooseCast(story);
+
+    const operation = {
+      separate: 'subtraction',
+      'equal-groups': 'equal-groups'
+    }[story.situation] || 'addition';
+
+    const result = operation === 'subtraction' ? a - b : (operation === 'equal-groups' ? a * b : a + b);
+    const values = { a, b, c: result };
+    const slot = this.unknownSlots[unknown];
+
+    return {
+      text: write(),
+      answer: slot === 'result' ? result : values[slot],
+      operation,
+      values,
+      unknown: slot
+    };
+  }
+
+  /**
+   * Pick two actions for a two-step story
+   * @returns {Array<string>} e.g. ['join', 'separate']
+   */
+  pickTwoStepActions() {
+    return this.pick(this.twoStepActions).slice();
+  }
+
+  /**
+   * Choose who the story is about and what they have
+   * @param {Object} story - { character, object }; either may be left out to pick at random
+   */
+  chooseCast(story) {
+    this.actor = this.findOrPick(this.characters, story.character);
+    this.other = this.pick(this.characters.filter(character => character !== this.actor));
+    this.object = this.findOrPick(this.objects, story.object);
+  }
+
+  /**
+   * Two-step: someone gets or loses some, then gets or loses some more.
+   * The numbers are the operands of start (+/-) first (+/-) second.
+   * @param {Array<string>} actions - Two of 'join' and 'separate'
+   * @param {number} start - Amount at first
+   * @param {number} first - Amount changed by the first action
+   * @param {number} second - Amount changed by the second action
+   * @returns {Object|null} { text, answer, operation, values, unknown, operands, steps }, or null if the actions are unknown
+   */
+  generateTwoStep(actions, start, first, second) {
+    if (!Array.isArray(actions) || actions.length !== 2 || !actions.every(action => this.verbs[action])) {
+      console.warn(`WordProblemGenerator: Unknown two-step actions "${actions}"`);
+      return null;
+    }
+
+    const who = this.actor.name;
+    const amounts = [first, second];
+    const connectors = ['Then', 'After that,'];
+    const steps = actions.map(action => (action === 'join' ? 'addition' : 'subtraction'));
+
+    const parts = actions.map((action, index) => {
+      if (action === 'join') {
+        const verb = this.pick(this.verbs.join);
+        return `${connectors[index]} ${who} ${verb.past} ${amounts[index]} more.`;
+      }
+
+      const verb = this.pick(this.verbs.separate.filter(item => !item.edibleOnly || this.object.edible));
+      return `${connectors[index]} ${who} ${verb.past} ${amounts[index]} of them.`;
+    });
+
+    const answer = amounts.reduce(
+      (total, amount, index) => (actions[index] === 'join' ? total + amount : total - amount),
+      start
+    );
+
+    return {
+      text: this.sentences(
+        `${who} had ${this.count(start)}.`,
+        ...parts,
+        `How many ${this.object.plural} does ${who} have now?`
+      ),
+      answer,
+      // Only named when both steps use the same operation
+      operation: steps[0] === steps[1] ? steps[0] : null,
+      values: { a: start, b: first, c: second },
+      unknown: 'result',
+      operands: [start, first, second],
+      steps
+    };
+  }
+
+  /**
+   * Join: someone gets more
+   * @param {string} unknown - 'result', 'change' or 'start'
+   * @param {number} start - Amount at first
+   * @param {number} change - Amount added
+   * @returns {string} Problem text
+   */
+  writeJoin(unknown, start, change) {
+    const verb = this.pick(this.verbs.join);
+    const who = this.actor.name;
+    const result = start + change;
+
+    if (unknown === 'change') {
+      return this.sentences(
+        `${who} had ${this.count(start)}.`,
+        `${who} ${verb.past} some more.`,
+        `Now ${who} has ${this.count(result)}.`,
+        `How many ${this.object.plural} did ${who} ${verb.base}?`
+      );
+    }
+
+    if (unknown === 'start') {
+      return this.sentences(
+        `${who} had some ${this.object.plural}.`,
+        `Then ${who} ${verb.past} ${change} more.`,
+        `Now ${who} has ${this.count(result)}.`,
+        `How many ${this.object.plural} did ${who} have at first?`
+      );
+    }
+
+    return this.sentences(
+      `${who} had ${this.count(start)}.`,
+      `Then ${who} ${verb.past} ${change} more.`,
+      `How many ${this.object.plural} does ${who} have now?`
+    );
+  }
+
+  /**
+   * Separate: someone loses some
+   * @param {string} unknown - 'result', 'change' or 'start'
+   * @param {number} start - Amount at first
+   * @param {number} change - Amount taken away
+   * @returns {string} Problem text
+   */
+  writeSeparate(unknown, start, change) {
+    const verbs = this.verbs.separate.filter(verb => !verb.edibleOnly || this.object.edible);
+    const verb = this.pick(verbs);
+    const who = this.actor.name;
+    const result = start - change;
+
+    if (unknown === 'change') {
+      return this.sentences(
+        `${who} had ${this.count(start)}.`,
+        `${who} ${verb.past} some of them.`,
+        `Now ${who} has ${this.count(result)} left.`,
+        `How many ${this.object.plural} did ${who} ${verb.base}?`
+      );
+    }
+
+    if (unknown === 'start') {
+      return this.sentences(
+        `${who} had some ${this.object.plural}.`,
+        `${who} ${verb.past} ${change} of them.`,
+        `Now ${who} has ${this.count(result)} left.`,
+        `How many ${this.object.plural} did ${who} have at first?`
+      );
+    }
+
+    return this.sentences(
+      `${who} had ${this.count(start)}.`,
+      `${who} ${verb.past} ${change} of them.`,
+      `How many ${this.object.plural} does ${who} have now?`
+    );
+  }
+
+  /**
+   * Put together / take apart: two kinds make a whole
+   * @param {string} unknown - 'total' or 'addend'
+   * @param {number} first - Amount of the first kind
+   * @param {number} second - Amount of the second kind
+   * @returns {string} Problem text
+   */
+  writePutTogether(unknown, first, second) {
+    const [kindA, kindB] = this.object.kinds;
+    const who = this.actor.name;
+
+    if (unknown === 'addend') {
+      return this.sentences(
+        `${who} has ${this.count(first + second)}.`,
+        `${first} ${this.isAre(first)} ${kindA} and the rest ${this.isAre(second)} ${kindB}.`,
+        `How many ${this.object.plural} are ${kindB}?`
+      );
+    }
+
+    return this.sentences(
+      `${who} has ${this.count(first, kindA)} and ${this.count(second, kindB)}.`,
+      `How many ${this.object.plural} does ${who} have in all?`
+    );
+  }
+
+  /**
+   * Compare: one has more (or fewer) than the other
+   * @param {string} unknown - 'difference', 'bigger' or 'smaller'
+   * @param {string} direction - 'more' or 'fewer', the word used in the problem
+   * @param {number} smaller - Smaller amount
+   * @param {number} difference - How many more the bigger amount has
+   * @returns {string} Problem text
+   */
+  writeCompare(unknown, direction, smaller, difference) {
+    const bigger = smaller + difference;
+    const more = this.actor.name; // has the bigger amount
+    const fewer = this.other.name;
+
+    if (unknown === 'bigger') {
+      return direction === 'fewer'
+        ? this.sentences(
+          `${fewer} has ${this.count(smaller)}.`,
+          `${fewer} has ${difference} fewer ${this.noun(difference)} than ${more}.`,
+          `How many ${this.object.plural} does ${more} have?`
+        )
+        : this.sentences(
+          `${fewer} has ${this.count(smaller)}.`,
+          `${more} has ${difference} more ${this.noun(difference)} than ${fewer}.`,
+          `How many ${this.object.plural} does ${more} have?`
+        );
+    }
+
+    if (unknown === 'smaller') {
+      return direction === 'fewer'
+        ? this.sentences(
+          `${more} has ${this.count(bigger)}.`,
+          `${fewer} has ${difference} fewer ${this.noun(difference)} than ${more}.`,
+          `How many ${this.object.plural} does ${fewer} have?`
+        )
+        : this.sentences(
+          `${more} has ${this.count(bigger)}.`,
+          `${more} has ${difference} more ${this.noun(difference)} than ${fewer}.`,
+          `How many ${this.object.plural} does ${fewer} have?`
+        );
+    }
+
+    return this.sentences(
+      `${more} has ${this.count(bigger)}.`,
+      `${fewer} has ${this.count(smaller)}.`,
+      direction === 'fewer'
+        ? `How many fewer ${this.object.plural} does ${fewer} have than ${more}?`
+        : `How many more ${this.object.plural} does ${more} have than ${fewer}?`
+    );
+  }
+
+  /**
+   * Equal groups: the same number in each group
+   * @param {number} groups - Number of groups
+   * @param {number} each - Number in each group
+   * @returns {string} Problem text
+   */
+  writeEqualGroups(groups, each) {
+    const container = this.pick(this.containers);
+    const containerWord = groups === 1 ? container.singular : container.plural;
+
+    return this.sentences(
+      `${this.actor.name} has ${groups} ${containerWord}.`,
+      `Each ${container.singular} has ${this.count(each)}.`,
+      `How many ${this.object.plural} are there in all?`
+    );
+  }
+
+  /**
+   * Say a number of the current object, e.g. "1 banana", "3 ripe mangoes"
+   * @param {number} amount - How many
+   * @param {string} kind - Describing word (optional)
+   * @returns {string} Counted noun phrase
+   */
+  count(amount, kind = null) {
+    return [amount, kind, this.noun(amount)].filter(part => part !== null).join(' ');
+  }
+
+  /**
+   * Singular or plural form of the current object
+   * @param {number} amount - How many
+   * @returns {string} "banana" for 1, "bananas" otherwise
+   */
+  noun(amount) {
+    return amount === 1 ? this.object.singular : this.object.plural;
+  }
+
+  /**
+   * "is" for one, "are" for any other amount
+   * @param {number} amount - How many
+   * @returns {string} Verb form
+   */
+  isAre(amount) {
+    return amount === 1 ? 'is' : 'are';
+  }
+
+  /**
+   * Join sentences, capitalizing the start of each
+   * @param {...string} parts - Sentences
+   * @returns {string} Paragraph
+   */
+  sentences(...parts) {
+    return parts.map(part => part.charAt(0).toUpperCase() + part.slice(1)).join(' ');
+  }
+
+  /**
+   * Pick a random item
+   * @param {Array} items - Items to pick from
+   * @returns {*} Random item
+   */
+  pick(items) {
+    return items[Math.floor(this.random() * items.length)];
+  }
+
+  /**
+   * Find an item by id, or pick one at random if none is asked for
+   * @param {Array<Object>} items - Items with ids
+   * @param {string} id - Wanted id (optional)
+   * @returns {Object} Item
+   */
+  findOrPick(items, id) {
+    return items.find(item => item.id === id) || this.pick(items);
+  }
+}
@@ -0,0 +1,237 @@
+/**
+ * AnswerChoices.js
+ * Large tappable answer buttons for multiple-choice mode
+ * Replaces the NumberPad for kids who can't yet type two-digit numbers
+ */
+
+import { MULTIPLE_CHOICE } from '../utils/constants.js';
+
+export default class AnswerChoices {
+  /**
+   * Create an AnswerChoices panel
+   * @param {Phaser.Scene} scene - The scene this panel belongs to
+   * @param {number} x - X position (left edge, same as the NumberPad)
+   * @param {number} y - Y position
+   */
+  constructor(scene, x, y) {
+    this.scene = scene;
+    this.x = x;
+    this.y = y;
+    this.container = null;
+    this.buttons = [];
+    this.choices = [];
+    this.ruledOut = [];
+    this.isVisible = false;
+    this.onSelectCallback = null;
+
+    // Styling constants - a 2x2 grid as wide as the NumberPad
+    this.BUTTON_WIDTH = 125;
+    this.BUTTON_HEIGHT = 110;
+    this.BUTTON_SPACING = 10;
+    this.BUTTON_COLORS = [0x2196F3, 0xFF9800, 0x9C27B0, 0x4CAF50];
+    this.RULED_OUT_COLOR = 0xBDBDBD;
+    this.BUTTON_TEXT_COLOR = '#FFFFFF';
+
+    this.create();
+  }
+
+  /**
+   * Create one button per choice slot
+   */
+  create() {
+    this.container = this.scene.add.container(this.x, this.y);
+
+    for (let index = 0; index < MULTIPLE_CHOICE.CHOICE_COUNT; index++) {
+      const col = index % 2;
+      const row = Math.floor(index / 2);
+      const x = col * (this.BUTTON_WIDTH + this.BUTTON_SPACING) + this.BUTTON_WIDTH / 2;
+      const y = 80 + row * (this.BUTTON_HEIGHT + this.BUTTON_SPACING) + this.BUTTON_HEIGHT / 2;
+
+      this.buttons.push(this.createButton(index, x, y));
+    }
+
+    // Initially hidden
+    this.container.setVisible(false);
+  }
+
+  /**
+   * Create a single choice button
+   * @param {number} index - Choice slot (0-3)
+   * @param {number} x - X position
+   * @param {number} y - Y position
+   * @returns {Object} Button entry { button, text, keyLabel }
+   */
+  createButton(index, x, y) {
+    const color = this.BUTTON_COLORS[index % this.BUTTON_COLORS.length];
+
+    const button = this.scene.add.rectangle(x, y, this.BUTTON_WIDTH, this.BUTTON_HEIGHT, color);
+    button.setStrokeStyle(3, 0x333333);
+    button.setInteractive({ useHandCursor: true });
+    button.setData('defaultColor', color);
+
+    const text = this.scene.add.text(x, y, '', {
+      fontSize: '44px',
+      fontFamily: 'Comic Sans MS, Comic Neue, cursive',
+      color: this.BUTTON_TEXT_COLOR,
+      fontStyle: 'bold'
+    });
+    text.setOrigin(0.5);
+
+    // Small key number in the corner so keyboard users know to press 1-4
+    const keyLabel = this.scene.add.text(
+      x - this.BUTTON_WIDTH / 2 + 8,
+      y - this.BUTTON_HEIGHT / 2 + 4,
+      (index + 1).toString(),
+      {
+        fontSize: '18px',
+        fontFamily: 'Comic Sans MS, Comic Neue, cursive',
+        color: this.BUTTON_TEXT_COLOR
+      }
+    );
+
+    button.on('pointerover', () => button.setScale(1.05));
+    button.on('pointerout', () => button.setScale(1));
+
+    button.on('pointerdown', () => {
+      button.setScale(0.95);
+      if (this.scene.audioManager) {
+        this.scene.audioManager.playSound('button-click', 0.3);
+      }
+    });
+
+    button.on('pointerup', () => {
+      button.setScale(1.05);
+      this.select(index);
+    });
+
+    this.container.add(button);
+    this.container.add(text);
+    this.container.add(keyLabel);
+
+    return { button, text, keyLabel };
+  }
+
+  /**
+   * Show a new set of choices
+   * @param {Array<Object>} choices - { value, label, misconception } choices from MathEngine; label is optional
+   */
+  setChoices(choices) {
+    this.choices = Array.isArray(choices) ? choices.slice(0, this.buttons.length) : [];
+    this.ruledOut = [];
+
+    this.buttons.forEach((entry, index) => {
+      const choice = this.choices[index];
+      const visible = Boolean(choice);
+
+      entry.button.setVisible(visible);
+      entry.text.setVisible(visible);
+      entry.keyLabel.setVisible(visible);
+      entry.button.setFillStyle(entry.button.getData('defaultColor'));
+      entry.text.setText(visible ? (choice.label || choice.value.toString()) : '');
+    });
+  }
+
+  /**
+   * Pick a choice by slot (tap or keys 1-4)
+   * @param {number} index - Choice slot (0-3)
+   */
+  select(index) {
+    const choice = this.choices[index];
+    if (!choice || this.ruledOut.includes(index)) {
+      return;
+    }
+
+    if (this.onSelectCallback) {
+      this.onSelectCallback(choice, index);
+    }
+  }
+
+  /**
+   * Grey out a wrong choice so a retry picks from what's left
+   * @param {number} index - Choice slot (0-3)
+   */
+  ruleOut(index) {
+    const entry = this.buttons[index];
+    if (!entry || this.ruledOut.includes(index)) {
+      return;
+    }
+
+    this.ruledOut.push(index);
+    entry.button.setFillStyle(this.RULED_OUT_COLOR);
+    entry.button.disableInteractive();
+  }
+
+  /**
+   * Set the callback for a picked choice
+   * @param {Function} callback - Function (choice, index) => void
+   */
+  setSelectCallback(callback) {
+    this.onSelectCallback = callback;
+  }
+
+  /**
+   * Show the choices
+   */
+  show() {
+    this.container.setVisible(true);
+    this.isVisible = true;
+
+    // Animate entrance
+    this.container.setAlpha(0);
+    this.container.setY(this.y + 50);
+
+    this.scene.tweens.add({
+      targets: this.container,
+      alpha: 1,
+      y: this.y,
+      duration: 300,
+      ease: 'Back.easeOut'
+    });
+  }
+
+  /**
+   * Hide the choices
+   */
+  hide() {
+    this.scene.tweens.add({
+      targets: this.container,
+      alpha: 0,
+      y: this.y + 50,
+      duration: 200,
+      ease: 'Power2',
+      onComplete: () => {
+        this.container.setVisible(false);
+        this.isVisible = false;
+      }
+    });
+  }
+
+  /**
+   * Enable input on choices that are still in play
+   */
+  enableInput() {
+    this.buttons.forEach(({ button }, index) => {
+      if (this.choices[index] && !this.ruledOut.includes(index)) {
+        button.setInteractive();
+      }
+    });
+  }
+
+  /**
+   * Disable input
+   */
+  disableInput() {
+    this.buttons.forEach(({ button }) => {
+      button.disableInteractive();
+    });
+  }
+
+  /**
+   * Destroy the panel
+   */
+  destroy() {
+    if (this.container) {
+      this.container.destroy();
+    }
+  }
+}
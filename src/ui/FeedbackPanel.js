@@ -4,6 +4,8 @@
  * Shows correct/incorrect messages with positive reinforcement
  */
 
+import { MISCONCEPTIONS } from '../utils/constants.js';
+
 export default class FeedbackPanel {
   /**
    * Create a FeedbackPanel
@@ -57,6 +59,15 @@ export default class FeedbackPanel {
       'You\'re learning!'
     ];
 
+    // Targeted nudges for misconceptions found by MisconceptionAnalyzer
+    this.misconceptionNudges = {
+      [MISCONCEPTIONS.WRONG_OPERATION.id]: 'Look at the sign. Is it + or -?',
+      [MISCONCEPTIONS.SMALLER_FROM_LARGER.id]: 'Can you take the bottom ones from the top ones? If not, borrow a ten!',
+      [MISCONCEPTIONS.OFF_BY_TEN.id]: 'Check your tens. Did you carry or borrow a ten?',
+      [MISCONCEPTIONS.DIGIT_REVERSAL.id]: 'Check which digit goes in the tens place!',
+      [MISCONCEPTIONS.OFF_BY_ONE.id]: 'So close! When you count on, start counting after the first number.'
+    };
+
     this.encouragementMessages = [
       'You\'re doing great!',
       'Keep going!',
@@ -118,10 +129,11 @@ export default class FeedbackPanel {
    * Show incorrect answer feedback
    * @param {number} correctAnswer - The correct answer to show
    * @param {boolean} isClose - Whether answer was close
+   * @param {string} misconception - Misconception id from the validation result (optional)
    */
-  showIncorrectFeedback(correctAnswer, isClose = false) {
+  showIncorrectFeedback(correctAnswer, isClose = false, misconception = null) {
     const messages = isClose ? this.incorrectCloseMessages : this.incorrectFarMessages;
-    const message = this.getRandomMessage(messages);
+    const message = this.misconceptionNudges[misconception] || this.getRandomMessage(messages);
     const fullMessage = `${message}\n\nThe answer is ${correctAnswer}`;
 
     this.showFeedback(fullMessage, this.INCORRECT_COLOR, 'incorrect');
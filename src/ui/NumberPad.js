@@ -4,6 +4,9 @@
  * Designed for 2nd graders - large buttons, colorful, friendly
  */
 
+import { COMPARISON_SYMBOLS } from '../utils/constants.js';
+import { isValidTimeEntry } from '../utils/validators.js';
+
 export default class NumberPad {
   /**
    * Create a NumberPad
@@ -21,6 +24,15 @@ export default class NumberPad {
     this.inputDisplay = null;
     this.isVisible = false;
 
+    // Alternate key layouts; action buttons are shared by all layouts.
+    // A button may belong to more than one layout (digits are reused for time).
+    this.layout = 'digits';
+    this.layoutButtons = {
+      digits: [],
+      symbols: [],
+      time: []
+    };
+
     // Styling constants
     this.BUTTON_SIZE = 80;
     this.BUTTON_SPACING = 10;
@@ -46,9 +58,17 @@ export default class NumberPad {
     // Create number buttons (0-9) in a 3x4 grid
     this.createNumberButtons();
 
+    // Create <, =, > buttons for comparison questions
+    this.createSymbolButtons();
+
+    // Create the colon button for telling-time questions
+    this.createColonButton();
+
     // Create action buttons (backspace, clear, submit)
     this.createActionButtons();
 
+    this.setLayout('digits');
+
     // Initially hidden
     this.hide();
   }
@@ -113,17 +133,60 @@ export default class NumberPad {
 
         yPos = startY + rowIndex * (this.BUTTON_SIZE + this.BUTTON_SPACING);
 
-        this.createButton(
+        const entry = this.createButton(
           number.toString(),
           xPos + this.BUTTON_SIZE / 2,
           yPos + this.BUTTON_SIZE / 2,
           this.BUTTON_COLOR,
           () => this.onNumberPress(number)
         );
+        this.layoutButtons.digits.push(entry);
+        this.layoutButtons.time.push(entry);
       });
     });
   }
 
+  /**
+   * Create the ":" button, left of the 0 button
+   */
+  createColonButton() {
+    const startY = 80;
+    const yPos = startY + 3 * (this.BUTTON_SIZE + this.BUTTON_SPACING);
+
+    const entry = this.createButton(
+      ':',
+      this.BUTTON_SIZE / 2,
+      yPos + this.BUTTON_SIZE / 2,
+      0x9C27B0,
+      () => this.onColonPress(),
+      'Colon'
+    );
+    this.layoutButtons.time.push(entry);
+  }
+
+  /**
+   * Create <, =, > buttons, one per row across the two left columns
+   */
+  createSymbolButtons() {
+    const startY = 80;
+    const symbolWidth = this.BUTTON_SIZE * 2 + this.BUTTON_SPACING;
+
+    COMPARISON_SYMBOLS.forEach((symbol, rowIndex) => {
+      const yPos = startY + rowIndex * (this.BUTTON_SIZE + this.BUTTON_SPACING);
+
+      const entry = this.createButton(
+        symbol,
+        symbolWidth / 2,
+        yPos + this.BUTTON_SIZE / 2,
+        0x9C27B0, // Purple so the symbol pad looks different from digits
+        () => this.onSymbolPress(symbol),
+        symbol,
+        symbolWidth
+      );
+      this.layoutButtons.symbols.push(entry);
+    });
+  }
+
   /**
    * Create action buttons (backspace, clear, submit)
    */
@@ -175,6 +238,7 @@ export default class NumberPad {
    * @param {Function} callback - Click callback
    * @param {string} name - Button name for reference
    * @param {number} width - Optional custom width
+   * @returns {Object} Button entry { button, text }
    */
   createButton(label, x, y, color, callback, name = label, width = null) {
     const btnWidth = width || this.BUTTON_SIZE;
@@ -223,7 +287,10 @@ export default class NumberPad {
 
     this.container.add(button);
     this.container.add(text);
-    this.buttons.push({ button, text });
+
+    const entry = { button, text };
+    this.buttons.push(entry);
+    return entry;
   }
 
   /**
@@ -231,6 +298,15 @@ export default class NumberPad {
    * @param {number} number - The number pressed
    */
   onNumberPress(number) {
+    // Times follow their own input mask, e.g. 345 or 3:45
+    if (this.layout === 'time') {
+      if (isValidTimeEntry(this.currentInput + number)) {
+        this.currentInput += number.toString();
+        this.updateDisplay();
+      }
+      return;
+    }
+
     // Limit input to 3 digits (max answer in 2nd grade math is usually < 200)
     if (this.currentInput.length >= 3) {
       return;
@@ -245,6 +321,26 @@ export default class NumberPad {
     this.updateDisplay();
   }
 
+  /**
+   * Handle colon button press (time layout)
+   */
+  onColonPress() {
+    if (isValidTimeEntry(this.currentInput + ':')) {
+      this.currentInput += ':';
+      this.updateDisplay();
+    }
+  }
+
+  /**
+   * Handle symbol button press (comparison layout)
+   * @param {string} symbol - '<', '=' or '>'
+   */
+  onSymbolPress(symbol) {
+    // Only one symbol makes sense, so a new press replaces the old one
+    this.currentInput = symbol;
+    this.updateDisplay();
+  }
+
   /**
    * Handle backspace button press
    */
@@ -254,7 +350,7 @@ export default class NumberPad {
     }
 
     if (this.currentInput === '') {
-      this.currentInput = '0';
+      this.currentInput = this.getEmptyInput();
     }
 
     this.updateDisplay();
@@ -264,18 +360,74 @@ export default class NumberPad {
    * Clear all input
    */
   clear() {
-    this.currentInput = '0';
+    this.currentInput = this.getEmptyInput();
     this.updateDisplay();
   }
 
+  /**
+   * Get the input value that means "nothing entered" for the current layout
+   * @returns {string} '0' for digits, '' otherwise
+   */
+  getEmptyInput() {
+    return this.layout === 'digits' ? '0' : '';
+  }
+
   /**
    * Update the display with current input
    */
   updateDisplay() {
-    const displayValue = this.currentInput === '' ? '0' : this.currentInput;
+    const placeholder = this.layout === 'digits' ? '0' : '?';
+    const displayValue = this.currentInput === '' ? placeholder : this.currentInput;
     this.inputDisplay.setText(displayValue);
   }
 
+  /**
+   * Set input programmatically (e.g. to mirror keyboard entry)
+   * @param {string} value - Input value
+   */
+  setInput(value) {
+    this.currentInput = value === null || value === undefined || value === ''
+      ? this.getEmptyInput()
+      : value.toString();
+    this.updateDisplay();
+  }
+
+  /**
+   * Switch between the digit pad, the <, =, > pad and the time pad
+   * @param {string} layout - 'digits', 'symbols' or 'time'
+   */
+  setLayout(layout) {
+    if (!this.layoutButtons[layout]) {
+      console.warn(`NumberPad: Unknown layout "${layout}". Using "digits".`);
+      layout = 'digits';
+    }
+
+    this.layout = layout;
+
+    const active = this.layoutButtons[layout];
+    Object.keys(this.layoutButtons).forEach(name => {
+      this.layoutButtons[name].forEach(entry => {
+        entry.button.setVisible(active.includes(entry));
+        entry.text.setVisible(active.includes(entry));
+      });
+    });
+
+    this.clear();
+  }
+
+  /**
+   * Get buttons that belong to the active layout (plus shared action buttons)
+   * @returns {Array<Object>} Button entries
+   */
+  getActiveButtons() {
+    const active = this.layoutButtons[this.layout];
+    const inactive = Object.keys(this.layoutButtons)
+      .reduce((list, name) => list.concat(this.layoutButtons[name]), [])
+      .filter(entry => !active.includes(entry));
+
+    return this.buttons.filter(entry => !inactive.includes(entry));
+  }
+
   /**
    * Handle submit button press
    */
@@ -308,7 +460,7 @@ export default class NumberPad {
    * @returns {string} Current input
    */
   getCurrentInput() {
-    return this.currentInput === '' ? '0' : this.currentInput;
+    return this.currentInput === '' ? this.getEmptyInput() : this.currentInput;
   }
 
   /**
@@ -353,7 +505,7 @@ export default class NumberPad {
    * Enable input
    */
   enableInput() {
-    this.buttons.forEach(({ button }) => {
+    this.getActiveButtons().forEach(({ button }) => {
       button.setInteractive();
     });
   }
@@ -4,6 +4,8 @@
  * Large, clear text with optional visual hints
  */
 
+import { COINS } from '../utils/constants.js';
+
 export default class QuestionDisplay {
   /**
    * Create a QuestionDisplay
@@ -18,7 +20,9 @@ export default class QuestionDisplay {
     this.container = null;
     this.questionText = null;
     this.visualHintContainer = null;
+    this.figureContainer = null;
     this.currentQuestion = null;
+    this.hintShown = false; // whether the current question's hint has been shown
 
     // Styling constants
     this.PANEL_WIDTH = 600;
@@ -46,6 +50,10 @@ export default class QuestionDisplay {
     // Create visual hint container (hidden by default)
     this.visualHintContainer = this.scene.add.container(0, this.PANEL_HEIGHT / 2 + 80);
     this.container.add(this.visualHintContainer);
+
+    // Figures are part of the question itself (e.g. a clock), not a hint
+    this.figureContainer = this.scene.add.container(0, this.PANEL_HEIGHT / 2 + 120);
+    this.container.add(this.figureContainer);
   }
 
   /**
@@ -109,15 +117,36 @@ export default class QuestionDisplay {
     this.currentQuestion = questionData;
 
     // Update question text
-    this.questionText.setText(questionData.questionText);
+    this.questionText.setText(this.formatQuestionText(questionData));
 
     // Hide any existing visual hints
     this.hideVisualHint();
+    this.hintShown = false;
+
+    // Draw the figure the question refers to, if any
+    this.showFigure();
 
     // Animate question entrance
     this.animateEntrance();
   }
 
+  /**
+   * Format question text for display.
+   * Equations with a missing operand, and comparisons, show an empty box
+   * in that slot so it's clear what the child needs to fill in.
+   * @param {Object} questionData - Question data object
+   * @returns {string} Display text
+   */
+  formatQuestionText(questionData) {
+    const missingOperand = questionData.unknown === 'a' || questionData.unknown === 'b';
+
+    if (questionData.answerType === 'symbol' || (missingOperand && questionData.type === 'equation')) {
+      return questionData.questionText.replace('?', '\u25A1');
+    }
+
+    return questionData.questionText;
+  }
+
   /**
    * Animate question entrance
    */
@@ -157,14 +186,32 @@ export default class QuestionDisplay {
 
     const hintType = this.currentQuestion.hintType || 'bananas';
     const values = this.currentQuestion.values;
+    const unknown = this.currentQuestion.unknown || 'result';
+    const operands = this.currentQuestion.operands;
+
+    // Keep the hint clear of a figure drawn under the question
+    this.visualHintContainer.setY(this.PANEL_HEIGHT / 2 + (this.figureContainer.length > 0 ? 200 : 80));
 
-    if (hintType === 'bananas') {
-      this.createBananaHint(values.a, values.b);
+    if (this.currentQuestion.operation === 'sequence') {
+      this.createSkipCountHint(values.numbers, values.missingIndex);
+    } else if (Array.isArray(operands) && operands.length > 2 && ['bananas', 'blocks', 'number-line'].includes(hintType)) {
+      this.createMultiGroupHint(operands, this.currentQuestion.steps || [], hintType);
+    } else if (hintType === 'bananas') {
+      this.createBananaHint(values.a, values.b, unknown);
     } else if (hintType === 'blocks') {
-      this.createBlockHint(values.a, values.b);
+      this.createBlockHint(values.a, values.b, unknown);
     } else if (hintType === 'number-line') {
-      this.createNumberLineHint(values.a, values.b);
+      this.createNumberLineHint(values.a, values.b, unknown);
+    } else if (hintType === 'array') {
+      this.createArrayHint(values.a, values.b);
+    } else if (hintType === 'base-ten') {
+      this.createBaseTenHint(values.hundreds, values.tens, values.ones);
+    } else if (hintType === 'coins') {
+      this.createCoinHint(this.currentQuestion.coins || {});
+    } else if (hintType === 'pairs') {
+      this.createPairsHint(values.n);
     }
+    this.hintShown = true;
 
     // Animate hint entrance
     this.visualHintContainer.setAlpha(0);
@@ -180,96 +227,520 @@ export default class QuestionDisplay {
    * Create banana counting visual hint
    * @param {number} a - First value
    * @param {number} b - Second value
+   * @param {string} unknown - Slot the child is solving for ('a', 'b' or 'result')
    */
-  createBananaHint(a, b) {
+  createBananaHint(a, b, unknown = 'result') {
     const bananaSize = 30;
     const spacing = 10;
     const maxPerRow = 10;
 
     // Draw first group
-    this.drawObjectGroup(
-      -150,
-      0,
-      a,
-      0xFFD700, // Banana yellow
-      bananaSize,
-      spacing,
-      maxPerRow
-    );
+    if (unknown === 'a') {
+      this.drawMysteryGroup(-150, 0);
+    } else {
+      this.drawObjectGroup(
+        -150,
+        0,
+        a,
+        0xFFD700, // Banana yellow
+        bananaSize,
+        spacing,
+        maxPerRow
+      );
+    }
 
-    // Plus sign
-    const plusText = this.scene.add.text(0, 0, '+', {
-      fontSize: '48px',
-      fontFamily: 'Comic Sans MS, Comic Neue, cursive',
-      color: '#333333',
-      fontStyle: 'bold'
-    });
-    plusText.setOrigin(0.5);
-    this.visualHintContainer.add(plusText);
+    // Operator sign
+    this.drawOperatorSign(0, 0);
 
     // Draw second group
-    this.drawObjectGroup(
-      150,
+    if (unknown === 'b') {
+      this.drawMysteryGroup(150, 0);
+    } else {
+      this.drawObjectGroup(
+        150,
+        0,
+        b,
+        0xFFD700,
+        bananaSize,
+        spacing,
+        maxPerRow
+      );
+    }
+  }
+
+  /**
+   * Create a pairing hint: objects in pairs (one above the other), with
+   * any leftover object set apart so it's clear whether the count is odd
+   * @param {number} count - Number of objects
+   */
+  createPairsHint(count) {
+    const bananaSize = 26;
+    const spacing = 8;
+    const pairGap = 14;
+    const pairsPerRow = 10;
+    const rowGap = 30;
+
+    const pairs = Math.floor(count / 2);
+    const leftover = count % 2;
+    const rows = Math.max(1, Math.ceil(pairs / pairsPerRow));
+    const pairHeight = bananaSize * 2 + spacing;
+    const columns = Math.min(pairs, pairsPerRow) + leftover;
+    const rowWidth = columns * (bananaSize + pairGap) - pairGap + (leftover ? pairGap : 0);
+    const left = -rowWidth / 2 + bananaSize / 2;
+    const top = -((rows - 1) * (pairHeight + rowGap)) / 2;
+
+    // Each pair is a group of two, one above the other
+    for (let i = 0; i < pairs; i++) {
+      const row = Math.floor(i / pairsPerRow);
+      const col = i % pairsPerRow;
+
+      this.drawObjectGroup(
+        left + col * (bananaSize + pairGap),
+        top + row * (pairHeight + rowGap),
+        2,
+        0xFFD700, // Banana yellow
+        bananaSize,
+        spacing,
+        1
+      );
+    }
+
+    // The odd one out sits a little apart, in another color
+    if (leftover) {
+      this.drawObjectGroup(
+        left + Math.min(pairs, pairsPerRow) * (bananaSize + pairGap) + pairGap,
+        top + (rows - 1) * (pairHeight + rowGap) - (bananaSize + spacing) / 2,
+        1,
+        0xFF7043,
+        bananaSize,
+        spacing,
+        1
+      );
+    }
+
+    const label = this.scene.add.text(
       0,
-      b,
-      0xFFD700,
-      bananaSize,
-      spacing,
-      maxPerRow
+      top + (rows - 1) * (pairHeight + rowGap) + pairHeight / 2 + 20,
+      `${pairs} ${pairs === 1 ? 'pair' : 'pairs'}${leftover ? ' and 1 left over' : ', none left over'}`,
+      {
+        fontSize: '20px',
+        fontFamily: 'Comic Sans MS, Comic Neue, cursive',
+        color: '#333333'
+      }
     );
+    label.setOrigin(0.5);
+    this.visualHintContainer.add(label);
   }
 
   /**
    * Create block counting visual hint
    * @param {number} a - First value
    * @param {number} b - Second value
+   * @param {string} unknown - Slot the child is solving for ('a', 'b' or 'result')
    */
-  createBlockHint(a, b) {
+  createBlockHint(a, b, unknown = 'result') {
     const blockSize = 25;
     const spacing = 5;
     const maxPerRow = 10;
 
-    this.drawObjectGroup(
-      -150,
-      0,
-      a,
-      0x2196F3, // Blue blocks
-      blockSize,
-      spacing,
-      maxPerRow,
-      'square'
-    );
+    if (unknown === 'a') {
+      this.drawMysteryGroup(-150, 0);
+    } else {
+      this.drawObjectGroup(
+        -150,
+        0,
+        a,
+        0x2196F3, // Blue blocks
+        blockSize,
+        spacing,
+        maxPerRow,
+        'square'
+      );
+    }
+
+    this.drawOperatorSign(0, 0);
+
+    if (unknown === 'b') {
+      this.drawMysteryGroup(150, 0);
+    } else {
+      this.drawObjectGroup(
+        150,
+        0,
+        b,
+        0x4CAF50, // Green blocks
+        blockSize,
+        spacing,
+        maxPerRow,
+        'square'
+      );
+    }
+  }
+
+  /**
+   * Create a hint for a question with three or more numbers: a group of
+   * objects per number with signs between them, or one jump per number
+   * on a number line
+   * @param {Array<number>} operands - Numbers in the question, in order
+   * @param {Array<string>} steps - Operation between each pair ('addition' or 'subtraction')
+   * @param {string} hintType - 'bananas', 'blocks' or 'number-line'
+   */
+  createMultiGroupHint(operands, steps, hintType) {
+    if (hintType === 'number-line') {
+      this.createMultiJumpNumberLineHint(operands, steps);
+      return;
+    }
+
+    // Smaller objects so every group fits across the panel
+    const slotWidth = this.PANEL_WIDTH / operands.length;
+    const size = operands.length > 3 ? 18 : 22;
+    const spacing = 6;
+    const maxPerRow = Math.max(1, Math.floor((slotWidth - 40) / (size + spacing)));
+    const colors = hintType === 'blocks' ? [0x2196F3, 0x4CAF50] : [0xFFD700];
+
+    operands.forEach((count, index) => {
+      const x = -this.PANEL_WIDTH / 2 + slotWidth * (index + 0.5);
+
+      this.drawObjectGroup(
+        x,
+        0,
+        count,
+        colors[index % colors.length],
+        size,
+        spacing,
+        maxPerRow,
+        hintType === 'blocks' ? 'square' : 'circle'
+      );
+
+      if (index > 0) {
+        this.drawOperatorSign(x - slotWidth / 2, 0, steps[index - 1] === 'subtraction' ? '-' : '+');
+      }
+    });
+  }
+
+  /**
+   * Create a number line with one jump per number, forward for + and back for -
+   * @param {Array<number>} operands - Numbers in the question, in order
+   * @param {Array<string>} steps - Operation between each pair ('addition' or 'subtraction')
+   */
+  createMultiJumpNumberLineHint(operands, steps) {
+    const lineWidth = 400;
+    const lineY = 0;
+    const colors = [0xFF5722, 0x4CAF50, 0x2196F3, 0x9C27B0];
+
+    // Running totals: where each jump lands
+    const stops = [operands[0]];
+    operands.slice(1).forEach((value, index) => {
+      const previous = stops[stops.length - 1];
+      stops.push(steps[index] === 'subtraction' ? previous - value : previous + value);
+    });
+
+    const max = Math.max(...stops, 20);
+    const step = lineWidth / max;
+
+    const line = this.scene.add.line(0, lineY, -lineWidth / 2, 0, lineWidth / 2, 0, 0x333333);
+    line.setLineWidth(3);
+    this.visualHintContainer.add(line);
+
+    for (let i = 0; i <= max; i += Math.max(1, Math.floor(max / 10))) {
+      const x = -lineWidth / 2 + i * step;
+      const tick = this.scene.add.line(x, lineY, 0, -10, 0, 10, 0x333333);
+      tick.setLineWidth(2);
+      this.visualHintContainer.add(tick);
+
+      const label = this.scene.add.text(x, lineY + 20, i.toString(), {
+        fontSize: '16px',
+        fontFamily: 'Comic Sans MS, Comic Neue, cursive',
+        color: '#333333'
+      });
+      label.setOrigin(0.5);
+      this.visualHintContainer.add(label);
+    }
+
+    // First jump from 0, then one per remaining number
+    stops.forEach((to, index) => {
+      const from = index === 0 ? 0 : stops[index - 1];
+      this.drawJumpArc(
+        -lineWidth / 2 + from * step,
+        lineY - 30,
+        -lineWidth / 2 + to * step,
+        lineY - 30,
+        colors[index % colors.length]
+      );
+    });
+  }
+
+  /**
+   * Create a skip-counting hint: the pattern on a number line with a jump
+   * between each pair of numbers and "?" where the blank is
+   * @param {Array<number>} numbers - The whole pattern, in the order shown
+   * @param {number} missingIndex - Position of the blank
+   */
+  createSkipCountHint(numbers, missingIndex) {
+    const lineWidth = 400;
+    const lineY = 0;
+    const low = Math.min(...numbers);
+    const high = Math.max(...numbers);
+    const step = lineWidth / Math.max(1, high - low);
+    const xOf = (n) => -lineWidth / 2 + (n - low) * step;
+
+    const line = this.scene.add.line(0, lineY, -lineWidth / 2, 0, lineWidth / 2, 0, 0x333333);
+    line.setLineWidth(3);
+    this.visualHintContainer.add(line);
+
+    numbers.forEach((n, index) => {
+      const tick = this.scene.add.line(xOf(n), lineY, 0, -10, 0, 10, 0x333333);
+      tick.setLineWidth(2);
+      this.visualHintContainer.add(tick);
+
+      const label = this.scene.add.text(xOf(n), lineY + 20, index === missingIndex ? '?' : n.toString(), {
+        fontSize: '16px',
+        fontFamily: 'Comic Sans MS, Comic Neue, cursive',
+        color: index === missingIndex ? '#9E9E9E' : '#333333',
+        fontStyle: index === missingIndex ? 'bold' : 'normal'
+      });
+      label.setOrigin(0.5);
+      this.visualHintContainer.add(label);
+
+      // Every jump is the same size, e.g. "+5"
+      if (index > 0) {
+        const from = numbers[index - 1];
+        this.drawJumpArc(xOf(from), lineY - 30, xOf(n), lineY - 30, 0x4CAF50);
+
+        const size = this.scene.add.text((xOf(from) + xOf(n)) / 2, lineY - 85, `${n > from ? '+' : '-'}${Math.abs(n - from)}`, {
+          fontSize: '16px',
+          fontFamily: 'Comic Sans MS, Comic Neue, cursive',
+          color: '#4CAF50'
+        });
+        size.setOrigin(0.5);
+        this.visualHintContainer.add(size);
+      }
+    });
+  }
+
+  /**
+   * Draw the + or - sign between two hint groups
+   * @param {number} x - X position
+   * @param {number} y - Y position
+   * @param {string} sign - Sign to draw (default: from the question's operation)
+   */
+  drawOperatorSign(x, y, sign = null) {
+    const isSubtraction = this.currentQuestion && this.currentQuestion.operation === 'subtraction';
 
-    const plusText = this.scene.add.text(0, 0, '+', {
+    const signText = this.scene.add.text(x, y, sign || (isSubtraction ? '-' : '+'), {
       fontSize: '48px',
       fontFamily: 'Comic Sans MS, Comic Neue, cursive',
       color: '#333333',
       fontStyle: 'bold'
     });
-    plusText.setOrigin(0.5);
-    this.visualHintContainer.add(plusText);
+    signText.setOrigin(0.5);
+    this.visualHintContainer.add(signText);
+  }
+
+  /**
+   * Draw a "mystery bag" standing in for the group the child must find
+   * @param {number} x - Center X position
+   * @param {number} y - Center Y position
+   */
+  drawMysteryGroup(x, y) {
+    const bag = this.scene.add.rectangle(x, y, 90, 90, 0xEEEEEE);
+    bag.setStrokeStyle(3, 0x9E9E9E);
+    this.visualHintContainer.add(bag);
+
+    const mark = this.scene.add.text(x, y, '?', {
+      fontSize: '56px',
+      fontFamily: 'Comic Sans MS, Comic Neue, cursive',
+      color: '#9E9E9E',
+      fontStyle: 'bold'
+    });
+    mark.setOrigin(0.5);
+    this.visualHintContainer.add(mark);
+  }
 
+  /**
+   * Create array visual hint (rows and columns of bananas)
+   * @param {number} rows - Number of rows (groups)
+   * @param {number} columns - Objects in each row
+   */
+  createArrayHint(rows, columns) {
+    const bananaSize = 30;
+    const spacing = 12;
+
+    // One row per group, so each row reads as "columns" bananas
     this.drawObjectGroup(
-      150,
       0,
-      b,
-      0x4CAF50, // Green blocks
-      blockSize,
+      0,
+      rows * columns,
+      0xFFD700, // Banana yellow
+      bananaSize,
       spacing,
-      maxPerRow,
-      'square'
+      columns
+    );
+
+    // Label the array, e.g. "3 rows of 4"
+    const label = this.scene.add.text(
+      0,
+      (rows * (bananaSize + spacing)) / 2 + 20,
+      `${rows} ${rows === 1 ? 'row' : 'rows'} of ${columns}`,
+      {
+        fontSize: '20px',
+        fontFamily: 'Comic Sans MS, Comic Neue, cursive',
+        color: '#333333'
+      }
     );
+    label.setOrigin(0.5);
+    this.visualHintContainer.add(label);
+  }
+
+  /**
+   * Create base-ten block hint: flats (hundreds), rods (tens) and units (ones)
+   * @param {number} hundreds - Number of flats
+   * @param {number} tens - Number of rods
+   * @param {number} ones - Number of units
+   */
+  createBaseTenHint(hundreds, tens, ones) {
+    const unit = 8; // Side of one unit cube
+    const gap = 6;
+    const groupGap = 40;
+    const blockColor = 0x2196F3;
+
+    const groups = [
+      { count: hundreds, width: unit * 10, label: 'hundreds' },
+      { count: tens, width: unit, label: 'tens' },
+      { count: ones, width: unit, label: 'ones' }
+    ];
+
+    const groupWidths = groups.map(group =>
+      group.count > 0 ? group.count * (group.width + gap) - gap : unit
+    );
+    const totalWidth = groupWidths.reduce((sum, width) => sum + width, 0) + groupGap * 2;
+
+    let x = -totalWidth / 2;
+    const top = -unit * 5;
+
+    groups.forEach((group, index) => {
+      for (let i = 0; i < group.count; i++) {
+        const left = x + i * (group.width + gap);
+
+        if (group.label === 'hundreds') {
+          this.drawBaseTenBlock(left, top, 10, 10, unit, blockColor);
+        } else if (group.label === 'tens') {
+          this.drawBaseTenBlock(left, top, 1, 10, unit, blockColor);
+        } else {
+          // Units sit at the bottom, like loose cubes on a table
+          this.drawBaseTenBlock(left, top + unit * 9, 1, 1, unit, blockColor);
+        }
+      }
+
+      const label = this.scene.add.text(x + groupWidths[index] / 2, top + unit * 10 + 20, `${group.count} ${group.label}`, {
+        fontSize: '18px',
+        fontFamily: 'Comic Sans MS, Comic Neue, cursive',
+        color: '#333333'
+      });
+      label.setOrigin(0.5);
+      this.visualHintContainer.add(label);
+
+      x += groupWidths[index] + groupGap;
+    });
+  }
+
+  /**
+   * Draw a base-ten block as a grid of unit cubes
+   * @param {number} left - Left edge
+   * @param {number} top - Top edge
+   * @param {number} columns - Cubes across
+   * @param {number} rows - Cubes down
+   * @param {number} unit - Cube size
+   * @param {number} color - Fill color
+   */
+  drawBaseTenBlock(left, top, columns, rows, unit, color) {
+    const graphics = this.scene.add.graphics();
+    graphics.fillStyle(color);
+    graphics.fillRect(left, top, columns * unit, rows * unit);
+
+    // Grid lines so each unit cube can be counted
+    graphics.lineStyle(1, 0x0D47A1);
+    for (let col = 0; col <= columns; col++) {
+      graphics.lineBetween(left + col * unit, top, left + col * unit, top + rows * unit);
+    }
+    for (let row = 0; row <= rows; row++) {
+      graphics.lineBetween(left, top + row * unit, left + columns * unit, top + row * unit);
+    }
+
+    this.visualHintContainer.add(graphics);
+  }
+
+  /**
+   * Create coin visual hint: bills and coins drawn largest first
+   * @param {Object} coins - Count of each coin, keyed by coin id
+   */
+  createCoinHint(coins) {
+    const spacing = 12;
+    const maxPerRow = 8;
+    const rowHeight = 64;
+
+    // Dimes really are smaller than nickels and pennies
+    const radii = { quarter: 26, nickel: 22, penny: 20, dime: 18 };
+    const billWidth = 76;
+    const billHeight = 40;
+
+    const items = [];
+    Object.values(COINS).forEach(coin => {
+      for (let i = 0; i < (coins[coin.id] || 0); i++) {
+        items.push(coin);
+      }
+    });
+
+    const itemWidth = (coin) => (coin.id === 'dollar' ? billWidth : radii[coin.id] * 2);
+    const rows = [];
+    for (let i = 0; i < items.length; i += maxPerRow) {
+      rows.push(items.slice(i, i + maxPerRow));
+    }
+
+    const startY = -((rows.length - 1) * rowHeight) / 2;
+
+    rows.forEach((row, rowIndex) => {
+      const rowWidth = row.reduce((sum, coin) => sum + itemWidth(coin) + spacing, -spacing);
+      let x = -rowWidth / 2;
+      const y = startY + rowIndex * rowHeight;
+
+      row.forEach(coin => {
+        const width = itemWidth(coin);
+        const centerX = x + width / 2;
+
+        let shape;
+        if (coin.id === 'dollar') {
+          shape = this.scene.add.rectangle(centerX, y, billWidth, billHeight, coin.color);
+        } else {
+          shape = this.scene.add.circle(centerX, y, radii[coin.id], coin.color);
+        }
+        shape.setStrokeStyle(2, 0x333333);
+
+        const label = this.scene.add.text(centerX, y, coin.label, {
+          fontSize: '14px',
+          fontFamily: 'Comic Sans MS, Comic Neue, cursive',
+          color: '#333333',
+          fontStyle: 'bold'
+        });
+        label.setOrigin(0.5);
+
+        this.visualHintContainer.add([shape, label]);
+        x += width + spacing;
+      });
+    });
   }
 
   /**
    * Create number line visual hint
    * @param {number} a - First value
    * @param {number} b - Second value
+   * @param {string} unknown - Slot the child is solving for ('a', 'b' or 'result')
    */
-  createNumberLineHint(a, b) {
+  createNumberLineHint(a, b, unknown = 'result') {
     const lineWidth = 400;
     const lineY = 0;
-    const max = Math.max(a + b, 20);
+    const isSubtraction = this.currentQuestion && this.currentQuestion.operation === 'subtraction';
+    const end = isSubtraction ? a - b : a + b;
+    const max = Math.max(a, end, 20);
     const step = lineWidth / max;
 
     // Draw number line
@@ -309,15 +780,29 @@ export default class QuestionDisplay {
       this.visualHintContainer.add(label);
     }
 
-    // Draw jump arc for addition
+    // Jumps: 0 -> a, then forward (addition) or back (subtraction) by b
     const startX = -lineWidth / 2;
-    const endX = startX + (a + b) * step;
+    const midX = startX + a * step;
+    const endX = startX + end * step;
 
     // First jump (value a)
-    this.drawJumpArc(startX, lineY - 30, startX + a * step, lineY - 30, 0xFF5722);
+    this.drawJumpArc(startX, lineY - 30, midX, lineY - 30, unknown === 'a' ? 0x9E9E9E : 0xFF5722);
 
     // Second jump (value b)
-    this.drawJumpArc(startX + a * step, lineY - 30, endX, lineY - 30, 0x4CAF50);
+    this.drawJumpArc(midX, lineY - 30, endX, lineY - 30, unknown === 'b' ? 0x9E9E9E : 0x4CAF50);
+
+    // Mark the jump the child is solving for
+    if (unknown === 'a' || unknown === 'b') {
+      const markX = unknown === 'a' ? (startX + midX) / 2 : (midX + endX) / 2;
+      const mark = this.scene.add.text(markX, lineY - 95, '?', {
+        fontSize: '28px',
+        fontFamily: 'Comic Sans MS, Comic Neue, cursive',
+        color: '#9E9E9E',
+        fontStyle: 'bold'
+      });
+      mark.setOrigin(0.5);
+      this.visualHintContainer.add(mark);
+    }
   }
 
   /**
@@ -392,6 +877,269 @@ export default class QuestionDisplay {
     this.visualHintContainer.add(graphics);
   }
 
+  /**
+   * Draw the figure for the current question (always shown, unlike hints)
+   */
+  showFigure() {
+    this.hideFigure();
+
+    if (!this.currentQuestion || !this.currentQuestion.figureType) {
+      return;
+    }
+
+    const figureType = this.currentQuestion.figureType;
+    const values = this.currentQuestion.values;
+
+    if (figureType === 'clock') {
+      this.createClockFigure(values.hours, values.minutes);
+    } else if (figureType === 'number-tiles') {
+      this.createNumberTilesFigure(values.numbers, values.missingIndex);
+    } else if (figureType === 'bar-graph') {
+      this.createBarGraphFigure(values.labels, values.counts, values.title);
+    } else if (figureType === 'picture-graph') {
+      this.createPictureGraphFigure(values.labels, values.counts, values.title);
+    } else {
+      console.warn(`QuestionDisplay: Unknown figure type "${figureType}"`);
+    }
+  }
+
+  /**
+   * Draw a row of number tiles with an empty tile for the missing number
+   * @param {Array<number>} numbers - The whole pattern, in the order shown
+   * @param {number} missingIndex - Position of the blank
+   */
+  createNumberTilesFigure(numbers, missingIndex) {
+    const tileWidth = 86;
+    const tileHeight = 70;
+    const gap = 12;
+    const rowWidth = numbers.length * (tileWidth + gap) - gap;
+
+    numbers.forEach((n, index) => {
+      const x = -rowWidth / 2 + index * (tileWidth + gap) + tileWidth / 2;
+      const isBlank = index === missingIndex;
+
+      const tile = this.scene.add.rectangle(x, 0, tileWidth, tileHeight, isBlank ? 0xEEEEEE : 0xFFF59D);
+      tile.setStrokeStyle(3, isBlank ? 0x9E9E9E : 0xF9A825);
+      this.figureContainer.add(tile);
+
+      const label = this.scene.add.text(x, 0, isBlank ? '?' : n.toString(), {
+        fontSize: n >= 100 ? '30px' : '36px',
+        fontFamily: 'Comic Sans MS, Comic Neue, cursive',
+        color: isBlank ? '#9E9E9E' : this.TEXT_COLOR,
+        fontStyle: 'bold'
+      });
+      label.setOrigin(0.5);
+      this.figureContainer.add(label);
+    });
+  }
+
+  /**
+   * Draw a bar graph with a counted scale, one bar per category
+   * @param {Array<string>} labels - Category names
+   * @param {Array<number>} counts - Value for each category
+   * @param {string} title - Heading over the graph (optional)
+   */
+  createBarGraphFigure(labels, counts, title = null) {
+    const plotWidth = 380;
+    const plotHeight = 150;
+    const plotLeft = -plotWidth / 2 + 20;
+    const plotBottom = 180;
+    const colors = [0xFFC107, 0x4CAF50, 0x2196F3, 0xE91E63];
+
+    // Count by 1s, 2s, 5s or 10s so the scale has at most 10 lines
+    const largest = Math.max(...counts, 1);
+    const step = [1, 2, 5, 10].find(size => largest / size <= 10) || 20;
+    const axisMax = Math.ceil(largest / step) * step;
+    const unitHeight = plotHeight / axisMax;
+
+    this.drawGraphTitle(title, 0);
+
+    const graphics = this.scene.add.graphics();
+
+    for (let value = 0; value <= axisMax; value += step) {
+      const y = plotBottom - value * unitHeight;
+      graphics.lineStyle(1, 0xBDBDBD);
+      graphics.lineBetween(plotLeft, y, plotLeft + plotWidth, y);
+
+      const tick = this.scene.add.text(plotLeft - 8, y, value.toString(), {
+        fontSize: '14px',
+        fontFamily: 'Comic Sans MS, Comic Neue, cursive',
+        color: '#333333'
+      });
+      tick.setOrigin(1, 0.5);
+      this.figureContainer.add(tick);
+    }
+
+    const slotWidth = plotWidth / counts.length;
+    counts.forEach((count, index) => {
+      const x = plotLeft + slotWidth * index + slotWidth * 0.2;
+      graphics.fillStyle(colors[index % colors.length]);
+      graphics.fillRect(x, plotBottom - count * unitHeight, slotWidth * 0.6, count * unitHeight);
+      graphics.lineStyle(2, 0x333333);
+      graphics.strokeRect(x, plotBottom - count * unitHeight, slotWidth * 0.6, count * unitHeight);
+
+      const label = this.scene.add.text(x + slotWidth * 0.3, plotBottom + 16, labels[index], {
+        fontSize: '16px',
+        fontFamily: 'Comic Sans MS, Comic Neue, cursive',
+        color: '#333333',
+        fontStyle: 'bold'
+      });
+      label.setOrigin(0.5);
+      this.figureContainer.add(label);
+    });
+
+    // Axes on top of the grid
+    graphics.lineStyle(3, 0x333333);
+    graphics.lineBetween(plotLeft, plotBottom - plotHeight - 5, plotLeft, plotBottom);
+    graphics.lineBetween(plotLeft, plotBottom, plotLeft + plotWidth, plotBottom);
+
+    this.figureContainer.addAt(graphics, 0);
+  }
+
+  /**
+   * Draw a picture graph: a row of pictures per category, one picture each
+   * @param {Array<string>} labels - Category names
+   * @param {Array<number>} counts - Value for each category
+   * @param {string} title - Heading over the graph (optional)
+   */
+  createPictureGraphFigure(labels, counts, title = null) {
+    const pictureSize = 18;
+    const spacing = 4;
+    const rowHeight = 34;
+    const labelRight = -150;
+    const top = 40;
+
+    this.drawGraphTitle(title, 0);
+
+    counts.forEach((count, index) => {
+      const y = top + index * rowHeight;
+
+      const label = this.scene.add.text(labelRight, y, labels[index], {
+        fontSize: '16px',
+        fontFamily: 'Comic Sans MS, Comic Neue, cursive',
+        color: '#333333',
+        fontStyle: 'bold'
+      });
+      label.setOrigin(1, 0.5);
+      this.figureContainer.add(label);
+
+      for (let i = 0; i < count; i++) {
+        const picture = this.scene.add.circle(
+          labelRight + 16 + i * (pictureSize + spacing) + pictureSize / 2,
+          y,
+          pictureSize / 2,
+          0xFFD700 // Banana yellow
+        );
+        picture.setStrokeStyle(2, 0x333333);
+        this.figureContainer.add(picture);
+      }
+    });
+
+    // Key: every picture stands for one
+    const keyY = top + counts.length * rowHeight;
+    const keyPicture = this.scene.add.circle(labelRight + 16 + pictureSize / 2, keyY, pictureSize / 2, 0xFFD700);
+    keyPicture.setStrokeStyle(2, 0x333333);
+    this.figureContainer.add(keyPicture);
+
+    const key = this.scene.add.text(labelRight + 16 + pictureSize + 8, keyY, '= 1', {
+      fontSize: '16px',
+      fontFamily: 'Comic Sans MS, Comic Neue, cursive',
+      color: '#333333'
+    });
+    key.setOrigin(0, 0.5);
+    this.figureContainer.add(key);
+  }
+
+  /**
+   * Draw the heading over a graph
+   * @param {string} title - Heading text; nothing is drawn if empty
+   * @param {number} y - Y position
+   */
+  drawGraphTitle(title, y) {
+    if (!title) {
+      return;
+    }
+
+    const heading = this.scene.add.text(0, y, title, {
+      fontSize: '20px',
+      fontFamily: 'Comic Sans MS, Comic Neue, cursive',
+      color: '#333333',
+      fontStyle: 'bold'
+    });
+    heading.setOrigin(0.5);
+    this.figureContainer.add(heading);
+  }
+
+  /**
+   * Draw an analog clock face showing a time
+   * @param {number} hours - Hour (1-12)
+   * @param {number} minutes - Minutes (0-59)
+   */
+  createClockFigure(hours, minutes) {
+    const radius = 90;
+    const graphics = this.scene.add.graphics();
+
+    // Face
+    graphics.fillStyle(0xFFFFFF);
+    graphics.fillCircle(0, 0, radius);
+    graphics.lineStyle(6, 0x2196F3);
+    graphics.strokeCircle(0, 0, radius);
+
+    // Minute ticks, longer at each hour
+    for (let tick = 0; tick < 60; tick++) {
+      const angle = (tick / 60) * Math.PI * 2 - Math.PI / 2;
+      const inner = tick % 5 === 0 ? radius - 12 : radius - 6;
+      graphics.lineStyle(tick % 5 === 0 ? 3 : 1, 0x333333);
+      graphics.lineBetween(
+        Math.cos(angle) * inner,
+        Math.sin(angle) * inner,
+        Math.cos(angle) * (radius - 2),
+        Math.sin(angle) * (radius - 2)
+      );
+    }
+
+    this.figureContainer.add(graphics);
+
+    // Hour numbers
+    for (let hour = 1; hour <= 12; hour++) {
+      const angle = (hour / 12) * Math.PI * 2 - Math.PI / 2;
+      const label = this.scene.add.text(
+        Math.cos(angle) * (radius - 26),
+        Math.sin(angle) * (radius - 26),
+        hour.toString(),
+        {
+          fontSize: '18px',
+          fontFamily: 'Comic Sans MS, Comic Neue, cursive',
+          color: '#333333',
+          fontStyle: 'bold'
+        }
+      );
+      label.setOrigin(0.5);
+      this.figureContainer.add(label);
+    }
+
+    // The hour hand moves along between numbers as the minutes pass
+    const minuteAngle = (minutes / 60) * Math.PI * 2 - Math.PI / 2;
+    const hourAngle = (((hours % 12) + minutes / 60) / 12) * Math.PI * 2 - Math.PI / 2;
+
+    const hands = this.scene.add.graphics();
+    hands.lineStyle(8, 0x333333);
+    hands.lineBetween(0, 0, Math.cos(hourAngle) * radius * 0.5, Math.sin(hourAngle) * radius * 0.5);
+    hands.lineStyle(4, 0xF44336);
+    hands.lineBetween(0, 0, Math.cos(minuteAngle) * radius * 0.8, Math.sin(minuteAngle) * radius * 0.8);
+    hands.fillStyle(0x333333);
+    hands.fillCircle(0, 0, 6);
+
+    this.figureContainer.add(hands);
+  }
+
+  /**
+   * Remove the question figure
+   */
+  hideFigure() {
+    this.figureContainer.removeAll(true);
+  }
+
   /**
    * Hide visual hint
    */
@@ -405,6 +1153,7 @@ export default class QuestionDisplay {
   clear() {
     this.questionText.setText('');
     this.hideVisualHint();
+    this.hideFigure();
     this.currentQuestion = null;
   }
 
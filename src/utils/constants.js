@@ -187,7 +187,28 @@ export const STORAGE_KEYS = {
     PROGRESS: 'gorilla-math-progress',
     HIGH_SCORES: 'gorilla-math-highscores',
     SETTINGS: 'gorilla-math-settings',
-    PLAYER_ID: 'gorilla-math-player-id'
+    PLAYER_ID: 'gorilla-math-player-id',
+    PROFILES: 'gorilla-math-profiles'
+};
+
+/**
+ * Saved-progress format. Bump VERSION and add a step to the migrations in
+ * ProgressManager whenever the saved shape changes. Saves that can't be
+ * upgraded are added to a list under their key + QUARANTINE_SUFFIX instead of being lost.
+ */
+export const SAVE_FORMAT = {
+    VERSION: 2, // 1: no schemaVersion field; 2: lastSession has sessionId and startTime
+    QUARANTINE_SUFFIX: '-backup',
+    MAX_BACKUPS: 3 // oldest backups are dropped so localStorage doesn't fill up
+};
+
+/**
+ * Player profiles for a shared tablet. Each profile keeps its progress
+ * under its own key: STORAGE_KEYS.PROGRESS + '-' + profile id.
+ */
+export const PROFILES = {
+    MAX_PROFILES: 6,
+    AVATARS: ['🦍', '🐵', '🐯', '🦁', '🐼', '🦜', '🐸', '🦊']
 };
 
 /**
@@ -204,7 +225,39 @@ export const QUESTION_TYPES = {
  */
 export const OPERATIONS = {
     ADDITION: 'addition',
-    SUBTRACTION: 'subtraction'
+    SUBTRACTION: 'subtraction',
+    EQUAL_GROUPS: 'equal-groups',
+    ARRAY: 'array',
+    REPEATED_ADDITION: 'repeated-addition',
+    COMPARISON: 'comparison',
+    PLACE_VALUE: 'place-value',
+    MONEY: 'money',
+    TIME: 'time',
+    SEQUENCE: 'sequence',
+    EVEN_ODD: 'even-odd',
+    GRAPH: 'graph'
+};
+
+/**
+ * Answer symbols for comparison questions
+ */
+export const COMPARISON_SYMBOLS = ['<', '=', '>'];
+
+/**
+ * Answers for even/odd questions, picked with answer buttons
+ */
+export const PARITY_ANSWERS = ['even', 'odd'];
+
+/**
+ * Coins and bills for money questions, largest first.
+ * Values are in cents so every money answer is a whole number.
+ */
+export const COINS = {
+    DOLLAR: { id: 'dollar', name: 'dollar bill', plural: 'dollar bills', cents: 100, color: 0x85BB65, label: '$1' },
+    QUARTER: { id: 'quarter', name: 'quarter', plural: 'quarters', cents: 25, color: 0xC0C0C0, label: '25¢' },
+    DIME: { id: 'dime', name: 'dime', plural: 'dimes', cents: 10, color: 0xD9D9D9, label: '10¢' },
+    NICKEL: { id: 'nickel', name: 'nickel', plural: 'nickels', cents: 5, color: 0xA8A8A8, label: '5¢' },
+    PENNY: { id: 'penny', name: 'penny', plural: 'pennies', cents: 1, color: 0xB87333, label: '1¢' }
 };
 
 /**
@@ -265,6 +318,156 @@ export const PROGRESSION = {
     SHOW_HINT_AFTER_ATTEMPTS: 2
 };
 
+/**
+ * Misconceptions recognized from wrong addition/subtraction answers.
+ * Labels are written for teachers; children get the nudges in FeedbackPanel.
+ */
+export const MISCONCEPTIONS = {
+    WRONG_OPERATION: { id: 'wrong-operation', label: 'Added instead of subtracted (or the reverse)' },
+    SMALLER_FROM_LARGER: { id: 'smaller-from-larger', label: 'Took the smaller digit from the larger' },
+    OFF_BY_TEN: { id: 'off-by-ten', label: 'Off by ten (missed a carry or borrow)' },
+    DIGIT_REVERSAL: { id: 'digit-reversal', label: 'Swapped the tens and ones digits' },
+    OFF_BY_ONE: { id: 'off-by-one', label: 'Off by one when counting on' }
+};
+
+/**
+ * Multiple-choice answer mode. Choices are picked with keys 1-4 or by tapping.
+ */
+export const MULTIPLE_CHOICE = {
+    CHOICE_COUNT: 4 // correct answer plus 3 distractors
+};
+
+/**
+ * Skip-counting patterns (2.NBT.A.2), e.g. 35, 40, __, 50
+ */
+export const SEQUENCE = {
+    DEFAULT_SKIP: 10,
+    DEFAULT_TILES: 5 // numbers shown in the row, including the blank
+};
+
+/**
+ * Picture and bar graphs (2.MD.D.10) with up to four categories
+ */
+export const GRAPH = {
+    LABELS: ['Koko', 'Bobo', 'Kiki', 'Momo'], // gorillas, used when a template gives no labels
+    MAX_CATEGORIES: 4,
+    ASKS: ['read', 'more', 'fewer', 'total']
+};
+
+/**
+ * Questions with more than two numbers, e.g. "{a} + {b} + {c} = ?" or a
+ * two-step story. Operands fill the placeholders in this order.
+ */
+export const MULTI_STEP = {
+    OPERAND_NAMES: ['a', 'b', 'c', 'd'],
+    MAX_OPERANDS: 4 // 2.NBT.B.6: add up to four two-digit numbers
+};
+
+/**
+ * Adaptive difficulty settings.
+ * Levels run from easiest to hardest. Addition and subtraction templates
+ * take the level's operand range; other templates keep their own range.
+ * Operand ranges stop at 50 so sums stay inside the 2nd-grade band (0-100).
+ */
+export const ADAPTIVE = {
+    WINDOW: 3, // Questions of recent performance considered (and wait after a change)
+    RAISE_ACCURACY: 100, // Percent solved in the window to move up
+    RAISE_MAX_AVERAGE_ATTEMPTS: 1.34, // ...and mostly on the first try
+    LOWER_ACCURACY: 50, // Percent solved below which we move down
+    LOWER_MIN_AVERAGE_ATTEMPTS: 2.5, // Or needing this many tries on average
+    GRADE_BAND: { min: 0, max: 100 },
+    START_LEVEL: { easy: 1, medium: 3, hard: 5 },
+    LEVELS: [
+        { difficulty: 'easy', minValue: 0, maxValue: 5, operations: ['addition'] },
+        { difficulty: 'easy', minValue: 0, maxValue: 10, operations: ['addition', 'subtraction', 'even-odd'] },
+        { difficulty: 'easy', minValue: 0, maxValue: 20, operations: ['addition', 'subtraction', 'comparison', 'place-value', 'sequence', 'even-odd'] },
+        { difficulty: 'medium', minValue: 10, maxValue: 30, operations: ['addition', 'subtraction', 'comparison', 'place-value', 'sequence', 'even-odd'] },
+        { difficulty: 'medium', minValue: 10, maxValue: 40, operations: ['addition', 'subtraction', 'comparison', 'place-value', 'money', 'sequence', 'graph'] },
+        { difficulty: 'hard', minValue: 20, maxValue: 50, operations: ['addition', 'subtraction', 'comparison', 'place-value', 'money', 'sequence', 'graph'] }
+    ]
+};
+
+/**
+ * Skills tracked for mastery, in skill-map order. ProgressManager.getSkillKey()
+ * decides which skill a question practices.
+ */
+export const SKILLS = {
+    ADD_WITHIN_20: { id: 'add-within-20', label: 'Add within 20', standard: '2.OA.B.2' },
+    SUB_WITHIN_20: { id: 'sub-within-20', label: 'Subtract within 20', standard: '2.OA.B.2' },
+    ADD_WITHIN_100: { id: 'add-within-100', label: 'Add within 100', standard: '2.NBT.B.5' },
+    ADD_REGROUPING: { id: 'add-regrouping', label: 'Add with carrying', standard: '2.NBT.B.5' },
+    SUB_WITHIN_100: { id: 'sub-within-100', label: 'Subtract within 100', standard: '2.NBT.B.5' },
+    SUB_REGROUPING: { id: 'sub-regrouping', label: 'Subtract with borrowing', standard: '2.NBT.B.5' },
+    SEVERAL_NUMBERS: { id: 'several-numbers', label: 'Three or four numbers', standard: '2.NBT.B.6' },
+    WORD_PROBLEMS: { id: 'word-problems', label: 'Word problems', standard: '2.OA.A.1' },
+    EQUAL_GROUPS: { id: 'equal-groups', label: 'Equal groups', standard: '2.OA.C.4' },
+    EVEN_ODD: { id: 'even-odd', label: 'Even and odd', standard: '2.OA.C.3' },
+    PLACE_VALUE: { id: 'place-value', label: 'Place value', standard: '2.NBT.A.1' },
+    COMPARISON: { id: 'comparison', label: 'Comparing numbers', standard: '2.NBT.A.4' },
+    SKIP_COUNTING: { id: 'skip-counting', label: 'Skip counting', standard: '2.NBT.A.2' },
+    MONEY: { id: 'money', label: 'Money', standard: '2.MD.C.8' },
+    TIME: { id: 'time', label: 'Telling time', standard: '2.MD.C.7' },
+    GRAPHS: { id: 'graphs', label: 'Graphs', standard: '2.MD.D.10' }
+};
+
+/**
+ * Per-skill mastery estimate (Bayesian knowledge tracing). Each answer
+ * updates the chance the skill is known, allowing for slips and guesses.
+ */
+export const MASTERY = {
+    P_INITIAL: 0.1, // Chance a skill is known before any answers
+    P_LEARN: 0.15, // Chance of learning it from one practice
+    P_SLIP: 0.1, // Chance of missing a known skill
+    P_GUESS: 0.2, // Chance of getting an unknown skill right (number answers)
+    MASTERED: 0.95 // Estimate at which a skill counts as mastered
+};
+
+/**
+ * GameScene events the achievement rules listen for
+ */
+export const ACHIEVEMENT_EVENTS = {
+    ANSWER_CORRECT: 'answer-correct',
+    ANSWER_INCORRECT: 'answer-incorrect',
+    BANANA_COLLECTED: 'banana-collected',
+    LEVEL_COMPLETE: 'level-complete'
+};
+
+/**
+ * Badges, in trophy-shelf order. Each one unlocks the first time `stat`
+ * reaches `atLeast` after one of its `event`s (see AchievementManager.getStat()).
+ */
+export const ACHIEVEMENTS = {
+    FIRST_LEVEL: { id: 'first-level', icon: '🦍', label: 'First Swing', description: 'Finish your first level', event: 'level-complete', stat: 'levels', atLeast: 1 },
+    THREE_STARS: { id: 'three-stars', icon: '⭐', label: 'Superstar', description: 'Get 3 stars on a level', event: 'level-complete', stat: 'stars', atLeast: 3 },
+    STREAK_10: { id: 'streak-10', icon: '🔥', label: 'On Fire', description: 'Get 10 right in a row', event: 'answer-correct', stat: 'streak', atLeast: 10 },
+    STREAK_25: { id: 'streak-25', icon: '🚀', label: 'Unstoppable', description: 'Get 25 right in a row', event: 'answer-correct', stat: 'streak', atLeast: 25 },
+    BANANAS_25: { id: 'bananas-25', icon: '🍌', label: 'Snack Time', description: 'Collect 25 bananas', event: 'banana-collected', stat: 'bananas', atLeast: 25 },
+    BANANAS_100: { id: 'bananas-100', icon: '🧺', label: 'Banana Bunch', description: 'Collect 100 bananas', event: 'banana-collected', stat: 'bananas', atLeast: 100 },
+    LEVELS_10: { id: 'levels-10', icon: '🗺️', label: 'Explorer', description: 'Finish 10 levels', event: 'level-complete', stat: 'levels', atLeast: 10 },
+    DAYS_5: { id: 'days-5', icon: '📅', label: 'Jungle Regular', description: 'Play 5 days in a row', event: 'level-complete', stat: 'dayStreak', atLeast: 5 },
+    SKILL_MASTERED: { id: 'skill-mastered', icon: '🌿', label: 'Skill Master', description: 'Master a skill', event: 'answer-correct', stat: 'skillsMastered', atLeast: 1 }
+};
+
+/**
+ * Per-question session history kept for parents and reports. The newest
+ * sessions are kept in full; older ones are folded into a running rollup.
+ */
+export const HISTORY = {
+    MAX_SESSIONS: 20
+};
+
+/**
+ * Spaced-repetition review of missed addition/subtraction facts (Leitner boxes).
+ * A miss puts a fact in box 0; each first-try success moves it up a box.
+ * A fact that passes the last box is dropped from review.
+ */
+export const REVIEW = {
+    BOX_INTERVAL_DAYS: [0, 1, 3, 7, 14], // Wait before review, per box (0 = next session)
+    FACT_OPERATIONS: ['addition', 'subtraction'],
+    EVERY_NTH_QUESTION: 2, // Review items fill every 2nd question slot
+    MAX_PER_SESSION: 2
+};
+
 export default {
     GAME_CONFIG,
     DIFFICULTY,
@@ -276,11 +479,28 @@ export default {
     AUDIO,
     GAME_STATES,
     STORAGE_KEYS,
+    SAVE_FORMAT,
+    PROFILES,
     QUESTION_TYPES,
     OPERATIONS,
+    COMPARISON_SYMBOLS,
+    PARITY_ANSWERS,
+    COINS,
+    MISCONCEPTIONS,
+    MULTIPLE_CHOICE,
+    MULTI_STEP,
+    SEQUENCE,
+    GRAPH,
     ASSETS,
     DEBUG,
     PERFORMANCE,
     GORILLA,
-    PROGRESSION
+    PROGRESSION,
+    ADAPTIVE,
+    REVIEW,
+    HISTORY,
+    SKILLS,
+    MASTERY,
+    ACHIEVEMENT_EVENTS,
+    ACHIEVEMENTS
 };
@@ -0,0 +1,375 @@
+/**
+ * Content Validation
+ * Checks question banks, difficulty settings and feedback messages against
+ * the schemas in src/data/schemas. Used by BootScene at load time and by
+ * the `npm run lint:content` command.
+ */
+
+import { getExpressionVariables } from './expressions.js';
+import { MULTI_STEP } from './constants.js';
+
+// Placeholders each kind of template gets filled with by MathEngine.
+// Comparison templates draw a value for every placeholder they use.
+const FILLED_PLACEHOLDERS = {
+    addition: ['a', 'b', 'c'],
+    subtraction: ['a', 'b', 'c'],
+    'equal-groups': ['a', 'b', 'repeated'],
+    array: ['a', 'b', 'repeated'],
+    'repeated-addition': ['a', 'b', 'repeated'],
+    'place-value': ['n', 'hundreds', 'tens', 'ones', 'expanded', 'place'],
+    money: ['total', 'coins'],
+    'money-change': ['price', 'paid', 'coins'],
+    time: ['time'],
+    sequence: ['step', 'sequence'],
+    'even-odd': ['n'],
+    graph: ['question']
+};
+
+/**
+ * Describe a value's JSON type the way schemas name it
+ * @param {*} value - Any JSON value
+ * @returns {string} 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ */
+function getJsonType(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (typeof value === 'number') {
+        return Number.isInteger(value) ? 'integer' : 'number';
+    }
+    return typeof value;
+}
+
+/**
+ * Check whether a value matches a schema "type" keyword
+ * @param {*} value - Value to check
+ * @param {string|Array<string>} type - Allowed type or types
+ * @returns {boolean} True if the value has an allowed type
+ */
+function matchesType(value, type) {
+    const actual = getJsonType(value);
+    const allowed = Array.isArray(type) ? type : [type];
+
+    return allowed.includes(actual) || (actual === 'integer' && allowed.includes('number'));
+}
+
+/**
+ * Resolve a local "$ref" such as "#/definitions/template"
+ * @param {string} ref - Reference
+ * @param {Object} root - Root schema
+ * @returns {Object} Referenced schema
+ */
+function resolveRef(ref, root) {
+    return ref
+        .replace(/^#\/?/, '')
+        .split('/')
+        .filter(Boolean)
+        .reduce((node, key) => (node ? node[key] : undefined), root) || {};
+}
+
+/**
+ * Turn a path into readable text, e.g. ['medium', 3, 'operation'] -> "medium[3].operation"
+ * @param {Array<string|number>} path - Keys from the root of the file
+ * @returns {string} Formatted path
+ */
+export function formatPath(path) {
+    if (path.length === 0) {
+        return '(root)';
+    }
+
+    return path.reduce((text, key) => {
+        if (typeof key === 'number') {
+            return `${text}[${key}]`;
+        }
+        return text ? `${text}.${key}` : key;
+    }, '');
+}
+
+/**
+ * Validate a value against a JSON Schema. Supports the keywords our schemas
+ * use: type, enum, required, properties, additionalProperties,
+ * minProperties, items, minItems, maxItems, minLength, pattern, minimum, maximum,
+ * anyOf, allOf and local $ref.
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema (or sub-schema)
+ * @param {Object} root - Root schema, for $ref (default: schema)
+ * @param {Array<string|number>} path - Path of value in the file (default: root)
+ * @returns {Array<Object>} Errors { path, message }; empty if valid
+ */
+export function validateSchema(value, schema, root = schema, path = []) {
+    if (schema.$ref) {
+        return validateSchema(value, resolveRef(schema.$ref, root), root, path);
+    }
+
+    const errors = [];
+    const fail = (message, at = path) => errors.push({ path: at, message });
+
+    if (schema.type && !matchesType(value, schema.type)) {
+        fail(`must be ${[].concat(schema.type).join(' or ')}, got ${getJsonType(value)}`);
+        return errors;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        fail(`must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}, got ${JSON.stringify(value)}`);
+        return errors;
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            fail(`must be at least ${schema.minimum}, got ${value}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            fail(`must be at most ${schema.maximum}, got ${value}`);
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            fail('must not be empty');
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            fail(`must match ${schema.pattern}, got ${JSON.stringify(value)}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            fail(`must have at least ${schema.minItems} item(s)`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            fail(`must have at most ${schema.maxItems} item(s)`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                errors.push(...validateSchema(item, schema.items, root, path.concat(index)));
+            });
+        }
+    }
+
+    if (getJsonType(value) === 'object') {
+        const keys = Object.keys(value);
+
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) {
+                fail(`is missing required "${key}"`);
+            }
+        });
+
+        if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+            fail(`must have at least ${schema.minProperties} entr${schema.minProperties === 1 ? 'y' : 'ies'}`);
+        }
+
+        keys.forEach(key => {
+            const properties = schema.properties || {};
+            if (properties[key]) {
+                errors.push(...validateSchema(value[key], properties[key], root, path.concat(key)));
+            } else if (schema.additionalProperties === false) {
+                fail(`has unknown property "${key}"`, path.concat(key));
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(...validateSchema(value[key], schema.additionalProperties, root, path.concat(key)));
+            }
+        });
+    }
+
+    if (schema.anyOf) {
+        const matches = schema.anyOf.some(option => validateSchema(value, option, root, path).length === 0);
+        if (!matches) {
+            const options = schema.anyOf
+                .map(option => (option.required ? option.required.join(' + ') : 'an allowed shape'))
+                .join(' or ');
+            fail(`must have ${options}`);
+        }
+    }
+
+    (schema.allOf || []).forEach(part => {
+        errors.push(...validateSchema(value, part, root, path));
+    });
+
+    return errors;
+}
+
+/**
+ * Find {placeholders} in template text
+ * @param {string} text - Template text
+ * @returns {Array<string>} Placeholder names
+ */
+function getTemplatePlaceholders(text) {
+    return (text.match(/\{(\w+)\}/g) || []).map(match => match.slice(1, -1));
+}
+
+/**
+ * Check a template's named-variable expressions: each one must parse and
+ * only use names defined before it is evaluated
+ * @param {Object} template - Template with variables
+ * @param {Array<string|number>} path - Path of the template
+ * @returns {Array<Object>} Errors { path, message }
+ */
+function checkExpressions(template, path) {
+    const errors = [];
+    const known = [];
+
+    const check = (expression, at, allowed) => {
+        try {
+            getExpressionVariables(expression)
+                .filter(name => !allowed.includes(name))
+                .forEach(name => errors.push({ path: at, message: `uses "${name}" before it is defined` }));
+        } catch (error) {
+            errors.push({ path: at, message: error.message });
+        }
+    };
+
+    Object.keys(template.variables || {}).forEach(name => {
+        const spec = template.variables[name] || {};
+        ['min', 'max'].forEach(bound => check(spec[bound], path.concat('variables', name, bound), known.slice()));
+        known.push(name);
+    });
+
+    Object.keys(template.derived || {}).forEach(name => {
+        check(template.derived[name], path.concat('derived', name), known.slice());
+        known.push(name);
+    });
+
+    (template.constraints || []).forEach((rule, index) => check(rule, path.concat('constraints', index), known));
+
+    if (template.answer !== undefined) {
+        check(template.answer, path.concat('answer'), known);
+    }
+
+    return errors;
+}
+
+/**
+ * Check what a schema can't: duplicate ids, ranges outside the difficulty's
+ * number band, placeholders that never get filled and broken expressions
+ * @param {Object} bank - Question bank keyed by difficulty
+ * @param {Object} difficultyConfig - Contents of difficulties.json (optional)
+ * @returns {Array<Object>} Errors { path, message }
+ */
+export function checkQuestionBank(bank, difficultyConfig = null) {
+    const errors = [];
+    const seenIds = {};
+
+    Object.keys(bank || {}).forEach(difficulty => {
+        const templates = Array.isArray(bank[difficulty]) ? bank[difficulty] : [];
+        const band = difficultyConfig && difficultyConfig[difficulty];
+
+        templates.forEach((template, index) => {
+            if (!template || typeof template !== 'object') {
+                return;
+            }
+
+            const path = [difficulty, index];
+            const fail = (message, at = path) => errors.push({ path: at, message });
+
+            // Duplicate ids break the recent-question de-duplication
+            if (typeof template.id === 'string') {
+                if (seenIds[template.id]) {
+                    fail(`duplicate id "${template.id}" (first used at ${formatPath(seenIds[template.id])})`, path.concat('id'));
+                } else {
+                    seenIds[template.id] = path;
+                }
+            }
+
+            // Ranges have to fit the difficulty's number band; counting
+            // patterns and place value may go higher than sums and differences
+            const countsHigher = ['sequence', 'place-value'].includes(template.operation);
+            const bandMax = band && countsHigher && typeof band.countingMaxValue === 'number'
+                ? band.countingMaxValue
+                : band && band.maxValue;
+            const ranges = [{ min: template.minValue, max: template.maxValue, at: path }];
+            Object.keys(template.variables || {}).forEach(name => {
+                const spec = template.variables[name] || {};
+                ranges.push({ min: spec.min, max: spec.max, at: path.concat('variables', name) });
+            });
+
+            ranges
+                .filter(range => typeof range.min === 'number' && typeof range.max === 'number')
+                .forEach(({ min, max, at }) => {
+                    if (min > max) {
+                        fail(`range ${min}-${max} is empty (min is above max)`, at);
+                    } else if (band && (min < band.minValue || max > bandMax)) {
+                        fail(`range ${min}-${max} is outside the ${difficulty} band ${band.minValue}-${bandMax}`, at);
+                    }
+                });
+
+            // Placeholders MathEngine would leave as "{x}" in the question
+            if (typeof template.template === 'string') {
+                let filled = null;
+                if (template.variables) {
+                    filled = Object.keys(template.variables).concat(Object.keys(template.derived || {}));
+                } else if (template.operands > 2) {
+                    filled = MULTI_STEP.OPERAND_NAMES.slice(0, template.operands);
+                } else if (template.operation === 'money' && template.form === 'change') {
+                    filled = FILLED_PLACEHOLDERS['money-change'];
+                } else {
+                    filled = FILLED_PLACEHOLDERS[template.operation] || null;
+                }
+
+                if (filled) {
+                    getTemplatePlaceholders(template.template)
+                        .filter(name => !filled.includes(name))
+                        .forEach(name => fail(`placeholder {${name}} is never filled`, path.concat('template')));
+                }
+            }
+
+            if (template.variables) {
+                errors.push(...checkExpressions(template, path));
+            }
+        });
+    });
+
+    return errors;
+}
+
+/**
+ * Validate a question bank and keep what can be used. A bad template is
+ * dropped on its own, so one typo doesn't throw away the whole file.
+ * @param {Object} bank - Question bank keyed by difficulty
+ * @param {Object} schema - questions.schema.json (optional; skips schema checks if missing)
+ * @param {Object} difficultyConfig - Contents of difficulties.json (optional)
+ * @returns {Object} { bank, errors }; bank is null if the file is unusable
+ */
+export function validateQuestionBank(bank, schema = null, difficultyConfig = null) {
+    if (getJsonType(bank) !== 'object') {
+        return { bank: null, errors: [{ path: [], message: `must be object, got ${getJsonType(bank)}` }] };
+    }
+
+    const errors = (schema ? validateSchema(bank, schema) : []).concat(checkQuestionBank(bank, difficultyConfig));
+
+    // Templates with any error against them are left out
+    const rejected = new Set(
+        errors
+            .filter(error => typeof error.path[1] === 'number')
+            .map(error => `${error.path[0]}/${error.path[1]}`)
+    );
+
+    const cleaned = {};
+    Object.keys(bank).forEach(difficulty => {
+        if (Array.isArray(bank[difficulty])) {
+            cleaned[difficulty] = bank[difficulty].filter((template, index) => !rejected.has(`${difficulty}/${index}`));
+        }
+    });
+
+    return { bank: cleaned, errors };
+}
+
+/**
+ * Validate a whole content file (difficulties or feedback messages)
+ * @param {*} data - Parsed file contents
+ * @param {Object} schema - Schema for the file
+ * @returns {Array<Object>} Errors { path, message }
+ */
+export function validateContentFile(data, schema) {
+    return validateSchema(data, schema);
+}
+
+export default {
+    formatPath,
+    validateSchema,
+    checkQuestionBank,
+    validateQuestionBank,
+    validateContentFile
+};
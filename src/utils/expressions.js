@@ -0,0 +1,278 @@
+/**
+ * Template Expressions
+ * A small, safe expression language for question templates (no eval).
+ * Supports numbers, variables, + - * / %, comparisons (< <= > >= == !=),
+ * && || !, parentheses and the functions min, max, abs, floor and round.
+ */
+
+const FUNCTIONS = {
+    min: Math.min,
+    max: Math.max,
+    abs: Math.abs,
+    floor: Math.floor,
+    round: Math.round
+};
+
+// Longest operators first so "<=" is not read as "<" then "="
+const OPERATORS = ['&&', '||', '<=', '>=', '==', '!=', '<', '>', '+', '-', '*', '/', '%', '!', '(', ')', ','];
+
+// Parsed expressions, keyed by source text
+const parseCache = new Map();
+
+/**
+ * Split an expression into tokens
+ * @param {string} text - Expression source, e.g. "a + b <= 100"
+ * @returns {Array<Object>} Tokens { type: 'number'|'name'|'operator', value, position }
+ * @throws {Error} If the text contains a character the language does not know
+ */
+export function tokenizeExpression(text) {
+    const tokens = [];
+    let position = 0;
+
+    while (position < text.length) {
+        const rest = text.slice(position);
+
+        const space = rest.match(/^\s+/);
+        if (space) {
+            position += space[0].length;
+            continue;
+        }
+
+        const number = rest.match(/^\d+(\.\d+)?/);
+        if (number) {
+            tokens.push({ type: 'number', value: parseFloat(number[0]), position });
+            position += number[0].length;
+            continue;
+        }
+
+        const name = rest.match(/^[A-Za-z_][A-Za-z0-9_]*/);
+        if (name) {
+            tokens.push({ type: 'name', value: name[0], position });
+            position += name[0].length;
+            continue;
+        }
+
+        const operator = OPERATORS.find(op => rest.startsWith(op));
+        if (operator) {
+            tokens.push({ type: 'operator', value: operator, position });
+            position += operator.length;
+            continue;
+        }
+
+        throw new Error(`Unexpected "${rest[0]}" at position ${position} in "${text}"`);
+    }
+
+    return tokens;
+}
+
+/**
+ * Parse an expression into a syntax tree
+ * @param {string} text - Expression source
+ * @returns {Object} Tree of { type: 'number'|'variable'|'unary'|'binary'|'call', ... } nodes
+ * @throws {Error} If the expression is not valid
+ */
+export function parseExpression(text) {
+    if (typeof text !== 'string' || text.trim() === '') {
+        throw new Error('Expression must be a non-empty string');
+    }
+
+    if (parseCache.has(text)) {
+        return parseCache.get(text);
+    }
+
+    const tokens = tokenizeExpression(text);
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const isOperator = (...values) => peek() && peek().type === 'operator' && values.includes(peek().value);
+    const fail = (message) => {
+        const token = peek();
+        const where = token ? `at position ${token.position}` : 'at end';
+        throw new Error(`${message} ${where} in "${text}"`);
+    };
+    const expect = (value) => {
+        if (!isOperator(value)) {
+            fail(`Expected "${value}"`);
+        }
+        index++;
+    };
+
+    // Each level handles one precedence tier, lowest first
+    const binaryLevel = (operators, next) => () => {
+        let left = next();
+        while (isOperator(...operators)) {
+            const operator = tokens[index++].value;
+            left = { type: 'binary', operator, left, right: next() };
+        }
+        return left;
+    };
+
+    let parseOr = null;
+
+    const parsePrimary = () => {
+        const token = peek();
+        if (!token) {
+            fail('Unexpected end of expression');
+        }
+
+        if (token.type === 'number') {
+            index++;
+            return { type: 'number', value: token.value };
+        }
+
+        if (token.type === 'name') {
+            index++;
+            if (!isOperator('(')) {
+                return { type: 'variable', name: token.value };
+            }
+
+            if (!FUNCTIONS[token.value]) {
+                throw new Error(`Unknown function "${token.value}" in "${text}"`);
+            }
+
+            expect('(');
+            const args = [];
+            if (!isOperator(')')) {
+                args.push(parseOr());
+                while (isOperator(',')) {
+                    index++;
+                    args.push(parseOr());
+                }
+            }
+            expect(')');
+            return { type: 'call', name: token.value, args };
+        }
+
+        if (isOperator('(')) {
+            index++;
+            const inner = parseOr();
+            expect(')');
+            return inner;
+        }
+
+        return fail(`Unexpected "${token.value}"`);
+    };
+
+    const parseUnary = () => {
+        if (isOperator('-', '!')) {
+            const operator = tokens[index++].value;
+            return { type: 'unary', operator, argument: parseUnary() };
+        }
+        return parsePrimary();
+    };
+
+    const parseMultiplicative = binaryLevel(['*', '/', '%'], parseUnary);
+    const parseAdditive = binaryLevel(['+', '-'], parseMultiplicative);
+    const parseComparison = binaryLevel(['<', '<=', '>', '>='], parseAdditive);
+    const parseEquality = binaryLevel(['==', '!='], parseComparison);
+    const parseAnd = binaryLevel(['&&'], parseEquality);
+    parseOr = binaryLevel(['||'], parseAnd);
+
+    const tree = parseOr();
+    if (index < tokens.length) {
+        fail(`Unexpected "${peek().value}"`);
+    }
+
+    parseCache.set(text, tree);
+    return tree;
+}
+
+/**
+ * Evaluate a syntax tree node
+ * @param {Object} node - Node from parseExpression()
+ * @param {Object} scope - Variable values keyed by name
+ * @returns {number|boolean} Result
+ */
+function evaluateNode(node, scope) {
+    switch (node.type) {
+        case 'number':
+            return node.value;
+        case 'variable':
+            if (!Object.prototype.hasOwnProperty.call(scope, node.name)) {
+                throw new Error(`Unknown variable "${node.name}"`);
+            }
+            return scope[node.name];
+        case 'call':
+            return FUNCTIONS[node.name](...node.args.map(arg => evaluateNode(arg, scope)));
+        case 'unary': {
+            const value = evaluateNode(node.argument, scope);
+            return node.operator === '-' ? -value : !value;
+        }
+        default:
+            break;
+    }
+
+    // Short-circuit like JavaScript so "b != 0 && a % b == 0" is safe
+    if (node.operator === '&&') {
+        return Boolean(evaluateNode(node.left, scope)) && Boolean(evaluateNode(node.right, scope));
+    }
+    if (node.operator === '||') {
+        return Boolean(evaluateNode(node.left, scope)) || Boolean(evaluateNode(node.right, scope));
+    }
+
+    const left = evaluateNode(node.left, scope);
+    const right = evaluateNode(node.right, scope);
+
+    switch (node.operator) {
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        case '/': return left / right;
+        case '%': return left % right;
+        case '<': return left < right;
+        case '<=': return left <= right;
+        case '>': return left > right;
+        case '>=': return left >= right;
+        case '==': return left === right;
+        case '!=': return left !== right;
+        default:
+            throw new Error(`Unknown operator "${node.operator}"`);
+    }
+}
+
+/**
+ * Evaluate an expression against a set of variables
+ * @param {string|number} expression - Expression source; numbers are returned as-is
+ * @param {Object} scope - Variable values keyed by name
+ * @returns {number|boolean} Result
+ * @throws {Error} If the expression is invalid or uses an unknown variable
+ */
+export function evaluateExpression(expression, scope = {}) {
+    if (typeof expression === 'number') {
+        return expression;
+    }
+
+    return evaluateNode(parseExpression(expression), scope);
+}
+
+/**
+ * List the variables an expression reads
+ * @param {string|number} expression - Expression source
+ * @returns {Array<string>} Variable names, in order of first use
+ * @throws {Error} If the expression is invalid
+ */
+export function getExpressionVariables(expression) {
+    if (typeof expression === 'number') {
+        return [];
+    }
+
+    const names = [];
+    const visit = (node) => {
+        if (node.type === 'variable' && !names.includes(node.name)) {
+            names.push(node.name);
+        }
+        [node.left, node.right, node.argument, ...(node.args || [])]
+            .filter(Boolean)
+            .forEach(visit);
+    };
+
+    visit(parseExpression(expression));
+    return names;
+}
+
+export default {
+    tokenizeExpression,
+    parseExpression,
+    evaluateExpression,
+    getExpressionVariables
+};
@@ -18,12 +18,13 @@ export function randomInt(min, max) {
 /**
  * Shuffle an array using Fisher-Yates algorithm
  * @param {Array} array - Array to shuffle
+ * @param {Function} random - Random source returning [0, 1) (default: Math.random)
  * @returns {Array} Shuffled array (new array, original unchanged)
  */
-export function shuffleArray(array) {
+export function shuffleArray(array, random = Math.random) {
     const shuffled = [...array];
     for (let i = shuffled.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
+        const j = Math.floor(random() * (i + 1));
         [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
     }
     return shuffled;
@@ -137,6 +138,49 @@ export function generateId() {
     return Date.now().toString(36) + Math.random().toString(36).substr(2, 9);
 }
 
+/**
+ * Turn any seed (number or string, e.g. "class-2b") into a 32-bit integer
+ * @param {number|string} seed - Seed value
+ * @returns {number} Unsigned 32-bit hash
+ */
+export function hashSeed(seed) {
+    const str = String(seed);
+    let hash = 2166136261; // FNV-1a offset basis
+
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+
+    return hash >>> 0;
+}
+
+/**
+ * Create a seeded random number generator (mulberry32).
+ * The same seed always gives the same sequence.
+ * @param {number|string} seed - Seed value
+ * @returns {Function} Function returning numbers in [0, 1), like Math.random
+ */
+export function createSeededRandom(seed) {
+    let state = hashSeed(seed);
+
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Generate a new seed that is short enough to read out to a class
+ * @returns {string} Six-digit seed
+ */
+export function generateSeed() {
+    return String(randomInt(100000, 999999));
+}
+
 /**
  * Calculate distance between two points
  * @param {number} x1 - First point x coordinate
@@ -273,6 +317,9 @@ export default {
     deepClone,
     wait,
     generateId,
+    hashSeed,
+    createSeededRandom,
+    generateSeed,
     distance,
     lerp,
     mapRange,
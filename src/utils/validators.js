@@ -3,6 +3,8 @@
  * Validates user input for math answers and game data
  */
 
+import { OPERATIONS } from './constants.js';
+
 /**
  * Check if input is a valid number
  * @param {*} input - Input to validate
@@ -142,7 +144,7 @@ export function isValidQuestion(question) {
     if (!validTypes.includes(question.type)) return false;
 
     // Validate operation
-    const validOperations = ['addition', 'subtraction'];
+    const validOperations = Object.values(OPERATIONS);
     if (!validOperations.includes(question.operation)) return false;
 
     return true;
@@ -291,6 +293,56 @@ export function isValidSession(session) {
     return true;
 }
 
+/**
+ * Check a (possibly unfinished) time entry against the time input mask.
+ * Allows up to 4 digits ("345", "1245") or hours, a colon and up to
+ * 2 minute digits ("3:", "3:4", "12:45").
+ * @param {string} entry - Time entry typed so far
+ * @returns {boolean} True if the entry can still become a valid time
+ */
+export function isValidTimeEntry(entry) {
+    if (entry === null || entry === undefined) return false;
+
+    return /^(\d{0,4}|\d{1,2}:\d{0,2})$/.test(String(entry));
+}
+
+/**
+ * Parse a clock time typed by a child, e.g. "3:45", "345", "1205" or "3"
+ * @param {string} input - Time entry
+ * @returns {Object|null} { hours, minutes } or null if not a real clock time
+ */
+export function parseTimeInput(input) {
+    if (input === null || input === undefined) return null;
+
+    const str = String(input).trim();
+    let match = str.match(/^(\d{1,2}):(\d{2})$/);
+
+    if (!match) {
+        // Without a colon the last two digits are the minutes
+        match = str.match(/^(\d{1,2})(\d{2})$/) || str.match(/^(\d{1,2})()$/);
+    }
+
+    if (!match) return null;
+
+    const hours = parseInt(match[1], 10);
+    const minutes = match[2] === '' ? 0 : parseInt(match[2], 10);
+
+    if (!isInRange(hours, 1, 12) || !isInRange(minutes, 0, 59)) return null;
+
+    return { hours, minutes };
+}
+
+/**
+ * Format a clock time for display, e.g. { hours: 3, minutes: 5 } -> "3:05"
+ * @param {Object} time - { hours, minutes }
+ * @returns {string} Formatted time
+ */
+export function formatTime(time) {
+    if (!time || typeof time !== 'object') return '';
+
+    return `${time.hours}:${String(time.minutes).padStart(2, '0')}`;
+}
+
 export default {
     isValidNumber,
     isInRange,
@@ -305,5 +357,8 @@ export default {
     isValidStorageData,
     isValidTimestamp,
     isAnswerClose,
-    isValidSession
+    isValidSession,
+    isValidTimeEntry,
+    parseTimeInput,
+    formatTime
 };
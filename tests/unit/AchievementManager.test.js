@@ -0,0 +1,205 @@
+/**
+ * AchievementManager Unit Tests
+ * Tests for the badge rules, the counters they use and unlock persistence
+ */
+
+import AchievementManager from '../../src/systems/AchievementManager.js';
+import ProgressManager from '../../src/systems/ProgressManager.js';
+import { ACHIEVEMENTS, ACHIEVEMENT_EVENTS } from '../../src/utils/constants.js';
+
+describe('AchievementManager', () => {
+  const DAY = 24 * 60 * 60 * 1000;
+  const start = new Date('2026-03-02T15:00:00Z').getTime();
+  let progress;
+  let manager;
+
+  // A minimal emitter with the on/off/emit calls Phaser's scene.events offers
+  const createEmitter = () => {
+    const listeners = {};
+    return {
+      on: (event, handler) => { (listeners[event] = listeners[event] || []).push(handler); },
+      off: (event, handler) => { listeners[event] = (listeners[event] || []).filter(h => h !== handler); },
+      emit: (event, payload) => (listeners[event] || []).forEach(handler => handler(payload)),
+      count: (event) => (listeners[event] || []).length
+    };
+  };
+
+  const finishLevel = (stars, now) => {
+    progress.startSession('easy');
+    progress.completeSession();
+    return manager.handleEvent(ACHIEVEMENT_EVENTS.LEVEL_COMPLETE, { stars }, now);
+  };
+
+  beforeEach(() => {
+    localStorage.clear();
+    progress = new ProgressManager();
+    manager = new AchievementManager(progress);
+  });
+
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  describe('Rules', () => {
+    test('unlocks the first-level and three-star badges', () => {
+      const unlocked = finishLevel(3, start).map(achievement => achievement.id);
+
+      expect(unlocked).toEqual(expect.arrayContaining(['first-level', 'three-stars']));
+      expect(progress.isAchievementUnlocked('three-stars')).toBe(true);
+    });
+
+    test('does not unlock three stars for fewer stars', () => {
+      finishLevel(2, start);
+
+      expect(progress.isAchievementUnlocked('first-level')).toBe(true);
+      expect(progress.isAchievementUnlocked('three-stars')).toBe(false);
+    });
+
+    test('unlocks a badge only once', () => {
+      finishLevel(3, start);
+
+      expect(finishLevel(3, start + DAY)).toEqual([]);
+    });
+
+    test('counts 10 correct answers in a row, and a miss starts over', () => {
+      for (let i = 0; i < 9; i++) {
+        manager.handleEvent(ACHIEVEMENT_EVENTS.ANSWER_CORRECT);
+      }
+      manager.handleEvent(ACHIEVEMENT_EVENTS.ANSWER_INCORRECT);
+      manager.handleEvent(ACHIEVEMENT_EVENTS.ANSWER_CORRECT);
+      expect(progress.isAchievementUnlocked('streak-10')).toBe(false);
+
+      for (let i = 0; i < 9; i++) {
+        manager.handleEvent(ACHIEVEMENT_EVENTS.ANSWER_CORRECT);
+      }
+      expect(progress.isAchievementUnlocked('streak-10')).toBe(true);
+    });
+
+    test('the answer streak carries over to the next session', () => {
+      for (let i = 0; i < 6; i++) {
+        manager.handleEvent(ACHIEVEMENT_EVENTS.ANSWER_CORRECT);
+      }
+      progress.saveProgress();
+
+      const nextProgress = new ProgressManager();
+      nextProgress.initialize();
+      const next = new AchievementManager(nextProgress);
+      for (let i = 0; i < 4; i++) {
+        next.handleEvent(ACHIEVEMENT_EVENTS.ANSWER_CORRECT);
+      }
+
+      expect(nextProgress.isAchievementUnlocked('streak-10')).toBe(true);
+    });
+
+    test('counts bananas from earlier sessions and this one', () => {
+      progress.persistentData.totalBananas = 97;
+      progress.addBananas(2);
+      manager.handleEvent(ACHIEVEMENT_EVENTS.BANANA_COLLECTED);
+      expect(progress.isAchievementUnlocked('bananas-25')).toBe(true);
+      expect(progress.isAchievementUnlocked('bananas-100')).toBe(false);
+
+      progress.addBananas(1);
+      const unlocked = manager.handleEvent(ACHIEVEMENT_EVENTS.BANANA_COLLECTED).map(achievement => achievement.id);
+      expect(unlocked).toContain('bananas-100');
+    });
+
+    test('counts days played in a row', () => {
+      for (let day = 0; day < 4; day++) {
+        finishLevel(1, start + day * DAY);
+      }
+      finishLevel(1, start + 3 * DAY + 60 * 1000); // twice on one day counts once
+      expect(progress.getAchievementState().dayStreak).toBe(4);
+      expect(progress.isAchievementUnlocked('days-5')).toBe(false);
+
+      finishLevel(1, start + 4 * DAY);
+      expect(progress.isAchievementUnlocked('days-5')).toBe(true);
+    });
+
+    test('keeps the day count when the game is reloaded between days', () => {
+      for (let day = 0; day < 5; day++) {
+        progress = new ProgressManager();
+        progress.initialize();
+        manager = new AchievementManager(progress);
+        finishLevel(1, start + day * DAY);
+      }
+
+      expect(progress.getAchievementState().dayStreak).toBe(5);
+      expect(progress.isAchievementUnlocked('days-5')).toBe(true);
+    });
+
+    test('a missed day starts the day count over', () => {
+      finishLevel(1, start);
+      finishLevel(1, start + DAY);
+      finishLevel(1, start + 3 * DAY);
+
+      expect(progress.getAchievementState().dayStreak).toBe(1);
+    });
+
+    test('unlocks the skill badge when a skill is mastered', () => {
+      const question = { operation: 'addition', values: { a: 3, b: 4, c: 7 } };
+      let unlocked = [];
+
+      for (let i = 0; i < 10 && unlocked.length === 0; i++) {
+        progress.recordAnswer(true, question);
+        unlocked = manager.handleEvent(ACHIEVEMENT_EVENTS.ANSWER_CORRECT).filter(achievement => achievement.id === 'skill-mastered');
+      }
+
+      expect(unlocked).toHaveLength(1);
+    });
+
+    test('every rule uses a known stat', () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation();
+
+      Object.values(ACHIEVEMENTS).forEach(achievement => {
+        expect(Object.values(ACHIEVEMENT_EVENTS)).toContain(achievement.event);
+        manager.getStat(achievement.stat, {});
+      });
+
+      expect(warnSpy).not.toHaveBeenCalled();
+      warnSpy.mockRestore();
+    });
+  });
+
+  describe('Events', () => {
+    test('listens on an emitter and calls back with new badges', () => {
+      const emitter = createEmitter();
+      const unlockSpy = jest.fn();
+      manager.onUnlock(unlockSpy);
+      manager.listen(emitter);
+
+      progress.startSession('easy');
+      progress.completeSession();
+      emitter.emit(ACHIEVEMENT_EVENTS.LEVEL_COMPLETE, { stars: 1 });
+
+      expect(unlockSpy).toHaveBeenCalledWith(ACHIEVEMENTS.FIRST_LEVEL);
+    });
+
+    test('stops listening', () => {
+      const emitter = createEmitter();
+      manager.listen(emitter);
+      manager.stopListening();
+
+      expect(emitter.count(ACHIEVEMENT_EVENTS.ANSWER_CORRECT)).toBe(0);
+    });
+  });
+
+  describe('Persistence', () => {
+    test('unlocked badges are saved straight away', () => {
+      finishLevel(3, start);
+
+      const reloaded = new ProgressManager();
+      reloaded.initialize();
+      expect(reloaded.isAchievementUnlocked('three-stars')).toBe(true);
+      expect(reloaded.getAchievementState().unlocked['three-stars']).toBe(start);
+    });
+
+    test('lists every badge in shelf order with its unlock time', () => {
+      finishLevel(1, start);
+
+      const achievements = manager.getAchievements();
+      expect(achievements.map(achievement => achievement.id)).toEqual(Object.values(ACHIEVEMENTS).map(achievement => achievement.id));
+      expect(achievements[0]).toEqual(expect.objectContaining({ id: 'first-level', unlocked: true, unlockedAt: start }));
+      expect(achievements[1]).toEqual(expect.objectContaining({ unlocked: false, unlockedAt: null }));
+    });
+  });
+});
@@ -4,6 +4,11 @@
  */
 
 import MathEngine from '../../src/systems/MathEngine.js';
+import { ADAPTIVE } from '../../src/utils/constants.js';
+import { evaluateExpression, getExpressionVariables } from '../../src/utils/expressions.js';
+import WordProblemGenerator from '../../src/systems/WordProblemGenerator.js';
+import InputManager from '../../src/systems/InputManager.js';
+import { readFileSync } from 'fs';
 
 describe('MathEngine', () => {
   let engine;
@@ -503,4 +508,1522 @@ describe('MathEngine', () => {
       expect(question.answer).toBe(0);
     });
   });
+
+  describe('Multiplication Readiness', () => {
+    test('equal-groups answer is groups times group size', () => {
+      const template = {
+        id: 'grp_test',
+        type: 'word-problem',
+        operation: 'equal-groups',
+        template: 'There are {a} trees. Each tree has {b} bananas. How many bananas in all?',
+        minValue: 3,
+        maxValue: 3
+      };
+
+      const question = engine.generateQuestion(template);
+      expect(question.answer).toBe(9);
+      expect(question.questionText).toBe('There are 3 trees. Each tree has 3 bananas. How many bananas in all?');
+    });
+
+    test('array questions keep rows and columns within 5x5', () => {
+      const template = {
+        id: 'arr_test',
+        type: 'visual',
+        operation: 'array',
+        template: '{a} rows of {b}',
+        minValue: 1,
+        maxValue: 5,
+        visualHint: true,
+        hintType: 'array'
+      };
+
+      for (let i = 0; i < 30; i++) {
+        const question = engine.generateQuestion(template);
+        expect(question.values.a).toBeLessThanOrEqual(5);
+        expect(question.values.b).toBeLessThanOrEqual(5);
+        expect(question.answer).toBe(question.values.a * question.values.b);
+        expect(question.hintType).toBe('array');
+      }
+    });
+
+    test('repeated addition writes out each group', () => {
+      const template = {
+        id: 'rep_test',
+        type: 'equation',
+        operation: 'repeated-addition',
+        template: '{repeated} = ?',
+        minValue: 4,
+        maxValue: 4
+      };
+
+      const question = engine.generateQuestion(template);
+      expect(question.questionText).toBe('4 + 4 + 4 + 4 = ?');
+      expect(question.answer).toBe(16);
+      expect(question.operation).toBe('repeated-addition');
+    });
+  });
+
+  describe('Unknown In Any Position', () => {
+    test('missing addend asks for the second operand', () => {
+      const template = {
+        id: 'add_missing',
+        type: 'equation',
+        operation: 'addition',
+        template: '{a} + ? = {c}',
+        minValue: 0,
+        maxValue: 10
+      };
+
+      for (let i = 0; i < 20; i++) {
+        const question = engine.generateQuestion(template);
+        const { a, b, c } = question.values;
+
+        expect(question.unknown).toBe('b');
+        expect(question.answer).toBe(b);
+        expect(a + b).toBe(c);
+        expect(question.questionText).toBe(`${a} + ? = ${c}`);
+      }
+    });
+
+    test('missing minuend asks for the first operand', () => {
+      const template = {
+        id: 'sub_missing',
+        type: 'equation',
+        operation: 'subtraction',
+        template: '? - {b} = {c}',
+        minValue: 0,
+        maxValue: 20
+      };
+
+      for (let i = 0; i < 20; i++) {
+        const question = engine.generateQuestion(template);
+        const { a, b, c } = question.values;
+
+        expect(question.unknown).toBe('a');
+        expect(question.answer).toBe(a);
+        expect(a - b).toBe(c);
+        expect(c).toBeGreaterThanOrEqual(0);
+      }
+    });
+
+    test('missing subtrahend asks for the second operand', () => {
+      const template = {
+        id: 'sub_missing_b',
+        type: 'equation',
+        operation: 'subtraction',
+        template: '{a} - ? = {c}',
+        minValue: 7,
+        maxValue: 7
+      };
+
+      const question = engine.generateQuestion(template);
+      expect(question.questionText).toBe('7 - ? = 0');
+      expect(question.answer).toBe(7);
+    });
+
+    test('word problems can name the unknown slot explicitly', () => {
+      const template = {
+        id: 'add_word_missing',
+        type: 'word-problem',
+        operation: 'addition',
+        template: 'Had {a}, now has {c}. How many more?',
+        unknown: 'b',
+        minValue: 3,
+        maxValue: 3
+      };
+
+      const question = engine.generateQuestion(template);
+      expect(question.questionText).toBe('Had 3, now has 6. How many more?');
+      expect(question.answer).toBe(3);
+    });
+
+    test('standard templates keep the unknown in the result', () => {
+      const question = engine.generateQuestion({
+        id: 'add_std',
+        type: 'equation',
+        operation: 'addition',
+        template: '{a} + {b} = ?',
+        minValue: 1,
+        maxValue: 5
+      });
+
+      expect(question.unknown).toBe('result');
+      expect(question.answer).toBe(question.values.a + question.values.b);
+    });
+
+    test('subtraction values match the order shown in the question', () => {
+      const template = {
+        id: 'sub_std',
+        type: 'equation',
+        operation: 'subtraction',
+        template: '{a} - {b} = ?',
+        minValue: 0,
+        maxValue: 20
+      };
+
+      for (let i = 0; i < 20; i++) {
+        const question = engine.generateQuestion(template);
+        const { a, b } = question.values;
+
+        expect(a).toBeGreaterThanOrEqual(b);
+        expect(question.answer).toBe(a - b);
+        expect(question.questionText).toBe(`${a} - ${b} = ?`);
+      }
+    });
+  });
+
+  describe('Comparison Questions', () => {
+    const numberTemplate = {
+      id: 'cmp_test',
+      type: 'equation',
+      operation: 'comparison',
+      template: '{a} ? {b}',
+      minValue: 0,
+      maxValue: 100
+    };
+
+    test('answer is the symbol that makes the comparison true', () => {
+      for (let i = 0; i < 30; i++) {
+        const question = engine.generateQuestion(numberTemplate);
+        const { left, right } = question.values;
+        const expected = left < right ? '<' : left > right ? '>' : '=';
+
+        expect(question.answer).toBe(expected);
+        expect(question.answerType).toBe('symbol');
+        expect(question.questionText).toBe(`${question.values.a} ? ${question.values.b}`);
+      }
+    });
+
+    test('evaluates expressions on both sides', () => {
+      const template = {
+        id: 'cmp_expr',
+        type: 'equation',
+        operation: 'comparison',
+        template: '{a} + {b} ? {c} - {d}',
+        minValue: 1,
+        maxValue: 25
+      };
+
+      for (let i = 0; i < 30; i++) {
+        const question = engine.generateQuestion(template);
+        const { a, b, c, d, left, right } = question.values;
+
+        expect(left).toBe(a + b);
+        expect(right).toBe(c - d);
+        expect(right).toBeGreaterThanOrEqual(0);
+      }
+    });
+
+    test('produces equal comparisons some of the time', () => {
+      const answers = new Set();
+      for (let i = 0; i < 60; i++) {
+        answers.add(engine.generateQuestion(numberTemplate).answer);
+      }
+
+      expect(answers.has('=')).toBe(true);
+    });
+
+    test('evaluateArithmetic handles left-to-right sums', () => {
+      expect(engine.evaluateArithmetic('12 + 3 - 5')).toBe(10);
+      expect(engine.evaluateArithmetic('45')).toBe(45);
+    });
+
+    test('validates symbol answers', () => {
+      engine.currentQuestion = { id: 'cmp_1', answer: '<', answerType: 'symbol' };
+
+      expect(engine.validateAnswer('<').correct).toBe(true);
+      expect(engine.validateAnswer(' < ').correct).toBe(true);
+
+      const wrong = engine.validateAnswer('>');
+      expect(wrong.valid).toBe(true);
+      expect(wrong.correct).toBe(false);
+      expect(wrong.close).toBe(false);
+      expect(wrong.correctAnswer).toBe('<');
+    });
+
+    test('rejects non-symbol input for comparison questions', () => {
+      engine.currentQuestion = { id: 'cmp_1', answer: '=', answerType: 'symbol' };
+
+      const result = engine.validateAnswer('12');
+      expect(result.valid).toBe(false);
+      expect(result.correct).toBe(false);
+    });
+
+    test('infers symbol answers from an explicit correct answer', () => {
+      expect(engine.validateAnswer('=', '=').correct).toBe(true);
+    });
+  });
+
+  describe('Place Value', () => {
+    const template = (overrides) => ({
+      id: 'pv_test',
+      type: 'equation',
+      operation: 'place-value',
+      minValue: 10,
+      maxValue: 99,
+      visualHint: true,
+      hintType: 'base-ten',
+      ...overrides
+    });
+
+    test('composes a number from tens and ones', () => {
+      for (let i = 0; i < 30; i++) {
+        const question = engine.generateQuestion(template({
+          form: 'compose',
+          template: 'What is {tens} tens + {ones} ones?',
+          minValue: 20
+        }));
+        const { tens, ones } = question.values;
+
+        expect(question.answer).toBe(question.values.n);
+        expect(question.questionText).toBe(
+          `What is ${tens} tens + ${ones} ${ones === 1 ? 'one' : 'ones'}?`
+        );
+      }
+    });
+
+    test('composes a number from hundreds, tens and ones', () => {
+      const question = engine.generateQuestion(template({
+        form: 'compose',
+        template: 'What is {hundreds} hundreds + {tens} tens + {ones} ones?',
+        minValue: 342,
+        maxValue: 342
+      }));
+
+      expect(question.questionText).toBe('What is 3 hundreds + 4 tens + 2 ones?');
+      expect(question.answer).toBe(342);
+    });
+
+    test('uses a singular unit for a digit of 1', () => {
+      const compose = (n, text) => engine.generateQuestion(template({
+        form: 'compose',
+        template: text,
+        minValue: n,
+        maxValue: n
+      })).questionText;
+
+      expect(compose(11, 'What is {tens} ten + {ones} ones?')).toBe('What is 1 ten + 1 one?');
+      expect(compose(15, 'What is {tens} ten + {ones} ones?')).toBe('What is 1 ten + 5 ones?');
+      expect(compose(111, 'What is {hundreds} hundreds + {tens} tens + {ones} ones?'))
+        .toBe('What is 1 hundred + 1 ten + 1 one?');
+    });
+
+    test('splits numbers into hundreds, tens and ones', () => {
+      expect(engine.getPlaceDigits(342)).toEqual({ hundreds: 3, tens: 4, ones: 2 });
+      expect(engine.getPlaceDigits(67)).toEqual({ hundreds: 0, tens: 6, ones: 7 });
+      expect(engine.getPlaceDigits(100)).toEqual({ hundreds: 1, tens: 0, ones: 0 });
+    });
+
+    test('counts whole tens in a number', () => {
+      const question = engine.generateQuestion(template({
+        form: 'count',
+        place: 'tens',
+        template: 'How many tens are in {n}?',
+        minValue: 100,
+        maxValue: 100
+      }));
+
+      expect(question.questionText).toBe('How many tens are in 100?');
+      expect(question.answer).toBe(10);
+    });
+
+    test('asks for the digit in a place', () => {
+      const question = engine.generateQuestion(template({
+        form: 'digit',
+        place: 'ones',
+        template: 'What digit is in the {place} place of {n}?',
+        minValue: 67,
+        maxValue: 67
+      }));
+
+      expect(question.questionText).toBe('What digit is in the ones place of 67?');
+      expect(question.answer).toBe(7);
+    });
+
+    test('writes expanded form without zero parts', () => {
+      expect(engine.formatExpandedForm({ hundreds: 3, tens: 4, ones: 2 })).toBe('300 + 40 + 2');
+      expect(engine.formatExpandedForm({ hundreds: 0, tens: 6, ones: 0 })).toBe('60');
+      expect(engine.formatExpandedForm({ hundreds: 1, tens: 0, ones: 5 })).toBe('100 + 5');
+    });
+
+    test('answers expanded form with the whole number', () => {
+      const question = engine.generateQuestion(template({
+        form: 'expanded',
+        template: '{expanded} = ?',
+        minValue: 67,
+        maxValue: 67
+      }));
+
+      expect(question.questionText).toBe('60 + 7 = ?');
+      expect(question.answer).toBe(67);
+    });
+
+    test('hides one non-zero part for expanded-missing', () => {
+      for (let i = 0; i < 30; i++) {
+        const question = engine.generateQuestion(template({
+          form: 'expanded-missing',
+          place: 'ones',
+          template: '{n} = {expanded}'
+        }));
+
+        expect(question.values.ones).toBeGreaterThan(0);
+        expect(question.answer).toBe(question.values.ones);
+        expect(question.questionText).toBe(`${question.values.n} = ${question.values.tens * 10} + ?`);
+      }
+    });
+
+    test('keeps digits in values for base-ten hints', () => {
+      const question = engine.generateQuestion(template({
+        form: 'expanded-missing',
+        place: 'tens',
+        template: '{n} = {expanded}',
+        minValue: 45,
+        maxValue: 45
+      }));
+
+      expect(question.answer).toBe(40);
+      expect(question.values).toEqual({ n: 45, hundreds: 0, tens: 4, ones: 5 });
+      expect(question.hintType).toBe('base-ten');
+    });
+  });
+
+  describe('Money Questions', () => {
+    test('counts coins in cents', () => {
+      const template = {
+        id: 'money_test',
+        type: 'word-problem',
+        operation: 'money',
+        form: 'count',
+        coinTypes: ['dime', 'nickel', 'penny'],
+        minCoins: 1,
+        maxCoins: 4,
+        template: 'The gorilla has {coins}. How many cents is that?',
+        minValue: 1,
+        maxValue: 20
+      };
+
+      for (let i = 0; i < 30; i++) {
+        const question = engine.generateQuestion(template);
+
+        expect(question.answer).toBe(engine.countCents(question.coins));
+        expect(question.answer).toBeGreaterThanOrEqual(1);
+        expect(question.answer).toBeLessThanOrEqual(20);
+        expect(question.coins.quarter).toBeUndefined();
+        expect(question.questionText).toContain(engine.describeCoins(question.coins));
+      }
+    });
+
+    test('makes change from a dollar', () => {
+      const template = {
+        id: 'money_change',
+        type: 'word-problem',
+        operation: 'money',
+        form: 'change',
+        paid: 100,
+        template: 'A banana costs {price}¢. The gorilla pays with {coins}. How much change?',
+        minValue: 35,
+        maxValue: 95
+      };
+
+      for (let i = 0; i < 20; i++) {
+        const question = engine.generateQuestion(template);
+
+        expect(question.answer).toBe(100 - question.values.price);
+        expect(question.answer).toBeGreaterThan(0);
+        expect(question.coins).toEqual({ dollar: 1 });
+        expect(question.questionText).toContain('pays with 1 dollar bill.');
+      }
+    });
+
+    test('makes amounts with the fewest coins', () => {
+      expect(engine.makeCoins(67)).toEqual({ quarter: 2, dime: 1, nickel: 1, penny: 2 });
+      expect(engine.makeCoins(100)).toEqual({ dollar: 1 });
+      expect(engine.countCents({ quarter: 2, dime: 1, nickel: 1, penny: 2 })).toBe(67);
+    });
+
+    test('describes coins largest first with plurals', () => {
+      expect(engine.describeCoins({ penny: 3, dime: 2 })).toBe('2 dimes and 3 pennies');
+      expect(engine.describeCoins({ penny: 1, nickel: 1, quarter: 1 })).toBe('1 quarter, 1 nickel and 1 penny');
+      expect(engine.describeCoins({ dollar: 2 })).toBe('2 dollar bills');
+    });
+
+    test('accepts money answers written with cents or dollar signs', () => {
+      engine.currentQuestion = { id: 'money_1', answer: 45, answerType: 'number' };
+
+      expect(engine.validateAnswer('45').correct).toBe(true);
+      expect(engine.validateAnswer('45¢').correct).toBe(true);
+      expect(engine.validateAnswer('$0.45').correct).toBe(true);
+    });
+  });
+
+  describe('Telling Time', () => {
+    const template = {
+      id: 'time_test',
+      type: 'visual',
+      operation: 'time',
+      minuteStep: 5,
+      template: 'What time does the clock show?',
+      minValue: 1,
+      maxValue: 12,
+      visualHint: false
+    };
+
+    test('generates clock times to the nearest five minutes', () => {
+      for (let i = 0; i < 50; i++) {
+        const question = engine.generateQuestion(template);
+
+        expect(question.answerType).toBe('time');
+        expect(question.figureType).toBe('clock');
+        expect(question.answer.hours).toBeGreaterThanOrEqual(1);
+        expect(question.answer.hours).toBeLessThanOrEqual(12);
+        expect(question.answer.minutes % 5).toBe(0);
+        expect(question.answer.minutes).toBeLessThan(60);
+        expect(question.values).toEqual(question.answer);
+      }
+    });
+
+    test('respects coarser minute steps', () => {
+      for (let i = 0; i < 20; i++) {
+        const question = engine.generateQuestion({ ...template, minuteStep: 30 });
+        expect([0, 30]).toContain(question.answer.minutes);
+      }
+    });
+
+    test('accepts times typed with or without a colon', () => {
+      engine.currentQuestion = { id: 'time_1', answer: { hours: 3, minutes: 45 }, answerType: 'time' };
+
+      expect(engine.validateAnswer('345').correct).toBe(true);
+      expect(engine.validateAnswer('3:45').correct).toBe(true);
+      expect(engine.validateAnswer('3:40').correct).toBe(false);
+    });
+
+    test('reports the correct time in clock format', () => {
+      engine.currentQuestion = { id: 'time_1', answer: { hours: 7, minutes: 5 }, answerType: 'time' };
+
+      const result = engine.validateAnswer('8:05');
+      expect(result.valid).toBe(true);
+      expect(result.correct).toBe(false);
+      expect(result.close).toBe(true); // Hour hand read one off
+      expect(result.correctAnswer).toBe('7:05');
+      expect(result.userAnswer).toBe('8:05');
+    });
+
+    test('reports the typed time in the same clock format', () => {
+      engine.currentQuestion = { id: 'time_1', answer: { hours: 3, minutes: 45 }, answerType: 'time' };
+
+      expect(engine.validateAnswer('345').userAnswer).toBe('3:45');
+    });
+
+    test('rejects entries that are not clock times', () => {
+      engine.currentQuestion = { id: 'time_1', answer: { hours: 3, minutes: 45 }, answerType: 'time' };
+
+      expect(engine.validateAnswer('375').valid).toBe(false);
+      expect(engine.validateAnswer('13:00').valid).toBe(false);
+    });
+
+    test('infers time answers from an explicit correct answer', () => {
+      expect(engine.validateAnswer('12:30', { hours: 12, minutes: 30 }).correct).toBe(true);
+    });
+  });
+
+  describe('Regrouping', () => {
+    const template = (overrides) => ({
+      id: 'regroup_test',
+      type: 'equation',
+      operation: 'addition',
+      template: '{a} + {b} = ?',
+      minValue: 10,
+      maxValue: 40,
+      visualHint: false,
+      ...overrides
+    });
+
+    test('detects carrying and borrowing column by column', () => {
+      expect(engine.requiresRegrouping('addition', 27, 15)).toBe(true);
+      expect(engine.requiresRegrouping('addition', 23, 14)).toBe(false);
+      expect(engine.requiresRegrouping('addition', 52, 61)).toBe(true); // Tens carry
+      expect(engine.requiresRegrouping('subtraction', 42, 17)).toBe(true);
+      expect(engine.requiresRegrouping('subtraction', 47, 12)).toBe(false);
+      expect(engine.requiresRegrouping('subtraction', 40, 0)).toBe(false);
+    });
+
+    test('only generates carrying problems when required', () => {
+      for (let i = 0; i < 30; i++) {
+        const question = engine.generateQuestion(template({ regrouping: 'required' }));
+        const { a, b } = question.values;
+
+        expect(question.regrouping).toBe(true);
+        expect((a % 10) + (b % 10)).toBeGreaterThanOrEqual(10);
+      }
+    });
+
+    test('avoids borrowing when regrouping is none', () => {
+      for (let i = 0; i < 30; i++) {
+        const question = engine.generateQuestion(template({
+          operation: 'subtraction',
+          template: '{a} - {b} = ?',
+          regrouping: 'none'
+        }));
+        const first = Math.max(question.values.a, question.values.b);
+        const second = Math.min(question.values.a, question.values.b);
+
+        expect(question.regrouping).toBe(false);
+        expect(first % 10).toBeGreaterThanOrEqual(second % 10);
+      }
+    });
+
+    test('records regrouping on missing-operand questions', () => {
+      const question = engine.generateQuestion(template({
+        template: '{a} + ? = {c}',
+        regrouping: 'required'
+      }));
+
+      expect(question.regrouping).toBe(true);
+      expect(question.unknown).toBe('b');
+    });
+
+    test('falls back to the difficulty setting', () => {
+      engine.initialize(engine.getDefaultQuestionBank(), {
+        medium: { regrouping: 'required' }
+      });
+      engine.setDifficulty('medium');
+
+      for (let i = 0; i < 20; i++) {
+        expect(engine.generateQuestion(template({})).regrouping).toBe(true);
+      }
+    });
+
+    test('template setting overrides the difficulty setting', () => {
+      engine.initialize(engine.getDefaultQuestionBank(), {
+        easy: { regrouping: 'required' }
+      });
+
+      expect(engine.getRegroupingPolicy(template({ regrouping: 'none' }))).toBe('none');
+      expect(engine.getRegroupingPolicy(template({}))).toBe('required');
+    });
+
+    test('treats unknown regrouping values as any', () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect(engine.getRegroupingPolicy(template({ regrouping: 'sometimes' }))).toBe('any');
+      expect(warnSpy).toHaveBeenCalled();
+
+      warnSpy.mockRestore();
+    });
+
+    test('warns when a range cannot meet the rule', () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const question = engine.generateQuestion(template({
+        minValue: 1,
+        maxValue: 3,
+        regrouping: 'required'
+      }));
+
+      expect(question.regrouping).toBe(false);
+      expect(warnSpy).toHaveBeenCalled();
+
+      warnSpy.mockRestore();
+    });
+  });
+
+  describe('Seeded Generation', () => {
+    const takeQuestions = (count) => {
+      const questions = [];
+      for (let i = 0; i < count; i++) {
+        const question = engine.getNextQuestion();
+        questions.push([question.questionText, question.answer]);
+      }
+      return questions;
+    };
+
+    beforeEach(() => {
+      engine.initialize(engine.getDefaultQuestionBank());
+    });
+
+    test('produces an exact sequence for a seed', () => {
+      engine.setSeed('class-2b');
+
+      expect(takeQuestions(5)).toEqual([
+        ['The gorilla had 5 bananas and ate 2. How many are left?', 3],
+        ['7 + 6 = ?', 13],
+        ['The gorilla found 2 bananas. Then found 0 more. How many total?', 2],
+        ['4 - 0 = ?', 4],
+        ['The gorilla had 8 bananas and ate 5. How many are left?', 3]
+      ]);
+    });
+
+    test('repeats the same questions for the same seed', () => {
+      engine.setSeed(12345);
+      const first = takeQuestions(10);
+
+      engine.setSeed(12345);
+      expect(takeQuestions(10)).toEqual(first);
+    });
+
+    test('gives different questions for different seeds', () => {
+      engine.setSeed('tuesday');
+      const tuesday = takeQuestions(10);
+
+      engine.setSeed('wednesday');
+      expect(takeQuestions(10)).not.toEqual(tuesday);
+    });
+
+    test('feedback messages do not change the sequence', () => {
+      engine.setSeed('class-2b');
+      const quiet = takeQuestions(5);
+
+      engine.setSeed('class-2b');
+      const answered = [];
+      for (let i = 0; i < 5; i++) {
+        const question = engine.getNextQuestion();
+        engine.validateAnswer(i % 2 === 0 ? question.answer : -1);
+        answered.push([question.questionText, question.answer]);
+      }
+
+      expect(answered).toEqual(quiet);
+    });
+
+    test('reports the seed and can be unseeded', () => {
+      engine.setSeed(42);
+      expect(engine.getSeed()).toBe('42');
+
+      engine.setSeed(null);
+      expect(engine.getSeed()).toBeNull();
+      expect(engine.random).toBe(Math.random);
+    });
+  });
+
+  describe('Adaptive Difficulty', () => {
+    const strong = { count: 3, accuracy: 100, averageAttempts: 1 };
+    const struggling = { count: 3, accuracy: 33, averageAttempts: 2.7 };
+    const steady = { count: 3, accuracy: 67, averageAttempts: 1.7 };
+
+    beforeEach(() => {
+      engine.initialize(engine.getDefaultQuestionBank());
+    });
+
+    test('starts at the level for the chosen difficulty', () => {
+      engine.setDifficulty('medium');
+      engine.setAdaptive(true);
+
+      expect(engine.getAdaptiveLevel()).toBe(ADAPTIVE.START_LEVEL.medium);
+    });
+
+    test('does nothing when adaptive mode is off', () => {
+      engine.setAdaptive(false);
+      const level = engine.getAdaptiveLevel();
+
+      expect(engine.updateAdaptiveLevel(strong)).toBe(0);
+      expect(engine.getAdaptiveLevel()).toBe(level);
+    });
+
+    test('pushes a fast child up and eases a struggling child down', () => {
+      engine.setAdaptive(true, 2);
+
+      expect(engine.updateAdaptiveLevel(strong)).toBe(1);
+      expect(engine.getAdaptiveLevel()).toBe(3);
+
+      engine.setAdaptive(true, 2);
+      expect(engine.updateAdaptiveLevel(struggling)).toBe(-1);
+      expect(engine.getAdaptiveLevel()).toBe(1);
+    });
+
+    test('holds steady for middling performance', () => {
+      engine.setAdaptive(true, 2);
+
+      expect(engine.updateAdaptiveLevel(steady)).toBe(0);
+      expect(engine.getAdaptiveLevel()).toBe(2);
+    });
+
+    test('waits for a full window before deciding', () => {
+      engine.setAdaptive(true, 2);
+
+      expect(engine.updateAdaptiveLevel({ ...strong, count: 2 })).toBe(0);
+      expect(engine.getAdaptiveLevel()).toBe(2);
+    });
+
+    test('waits a full window after each change', () => {
+      engine.setAdaptive(true, 2);
+      engine.updateAdaptiveLevel(strong);
+
+      for (let i = 0; i < ADAPTIVE.WINDOW - 1; i++) {
+        expect(engine.updateAdaptiveLevel(strong)).toBe(0);
+      }
+      expect(engine.updateAdaptiveLevel(strong)).toBe(1);
+      expect(engine.getAdaptiveLevel()).toBe(4);
+    });
+
+    test('never leaves the level table', () => {
+      engine.setAdaptive(true, 0);
+      expect(engine.updateAdaptiveLevel(struggling)).toBe(0);
+      expect(engine.getAdaptiveLevel()).toBe(0);
+
+      engine.setAdaptive(true, ADAPTIVE.LEVELS.length - 1);
+      expect(engine.updateAdaptiveLevel(strong)).toBe(0);
+      expect(engine.getAdaptiveLevel()).toBe(ADAPTIVE.LEVELS.length - 1);
+    });
+
+    test('uses the level operand range inside the grade band', () => {
+      ADAPTIVE.LEVELS.forEach((level, index) => {
+        engine.setAdaptive(true, index);
+
+        for (let i = 0; i < 10; i++) {
+          const question = engine.getNextQuestion();
+
+          expect(question.adaptiveLevel).toBe(index);
+          expect(level.operations).toContain(question.operation);
+          expect(question.values.a).toBeGreaterThanOrEqual(level.minValue);
+          expect(question.values.a).toBeLessThanOrEqual(level.maxValue);
+          expect(question.values.b).toBeLessThanOrEqual(level.maxValue);
+          expect(question.values.a + question.values.b).toBeLessThanOrEqual(ADAPTIVE.GRADE_BAND.max);
+        }
+      });
+    });
+
+    test('switches to addition only at the lowest level', () => {
+      engine.setAdaptive(true, 0);
+
+      for (let i = 0; i < 20; i++) {
+        expect(engine.getNextQuestion().operation).toBe('addition');
+      }
+    });
+
+    test('leaves other operations at their own range', () => {
+      engine.setAdaptive(true, 0);
+      const template = { id: 'cmp', operation: 'comparison', minValue: 60, maxValue: 90 };
+
+      expect(engine.applyAdaptiveRange(template)).toBe(template);
+    });
+  });
+
+  describe('Review Items', () => {
+    const missed = {
+      id: 'add_easy_001_1',
+      type: 'equation',
+      operation: 'addition',
+      questionText: '8 + 7 = ?',
+      answer: 15,
+      answerType: 'number',
+      values: { a: 8, b: 7 },
+      visualHint: true,
+      hintType: 'bananas',
+      difficulty: 'easy'
+    };
+
+    beforeEach(() => {
+      engine.initialize(engine.getDefaultQuestionBank());
+    });
+
+    test('mixes review items into every second question', () => {
+      engine.setReviewItems([missed, { ...missed, questionText: '9 + 6 = ?', values: { a: 9, b: 6 } }]);
+
+      const questions = [];
+      for (let i = 0; i < 6; i++) {
+        questions.push(engine.getNextQuestion());
+      }
+
+      expect(questions.map(q => Boolean(q.isReview))).toEqual([false, true, false, true, false, false]);
+      expect(questions[1].questionText).toBe('8 + 7 = ?');
+      expect(questions[3].questionText).toBe('9 + 6 = ?');
+      expect(engine.getPendingReviewCount()).toBe(0);
+    });
+
+    test('validates review questions like any other', () => {
+      engine.setReviewItems([missed]);
+      engine.getNextQuestion();
+      const review = engine.getNextQuestion();
+
+      expect(review.isReview).toBe(true);
+      expect(engine.validateAnswer('15').correct).toBe(true);
+    });
+
+    test('does not change the stored review item', () => {
+      engine.setReviewItems([missed]);
+      engine.getNextQuestion();
+      engine.getNextQuestion().values.a = 99;
+
+      expect(missed.values.a).toBe(8);
+      expect(missed.isReview).toBeUndefined();
+    });
+
+    test('asks only new questions without review items', () => {
+      engine.setReviewItems([]);
+
+      for (let i = 0; i < 4; i++) {
+        expect(engine.getNextQuestion().isReview).toBeUndefined();
+      }
+    });
+  });
+
+  describe('Misconceptions', () => {
+    const ask = (operation, values, answer, extra = {}) => {
+      engine.currentQuestion = { id: 'm_1', operation, values, answer, unknown: 'result', answerType: 'number', ...extra };
+    };
+
+    test('spots adding instead of subtracting', () => {
+      ask('subtraction', { a: 15, b: 6 }, 9);
+      expect(engine.validateAnswer('21').misconception).toBe('wrong-operation');
+    });
+
+    test('spots subtracting instead of adding', () => {
+      ask('addition', { a: 9, b: 4 }, 13);
+      expect(engine.validateAnswer('5').misconception).toBe('wrong-operation');
+    });
+
+    test('spots taking the smaller digit from the larger', () => {
+      ask('subtraction', { a: 52, b: 27 }, 25, { regrouping: true });
+      expect(engine.validateAnswer('35').misconception).toBe('smaller-from-larger');
+    });
+
+    test('spots an answer off by ten from a missed carry', () => {
+      ask('addition', { a: 38, b: 27 }, 65, { regrouping: true });
+      expect(engine.validateAnswer('55').misconception).toBe('off-by-ten');
+    });
+
+    test('does not blame a carry when the question has no regrouping', () => {
+      ask('addition', { a: 32, b: 15 }, 47, { regrouping: false });
+      expect(engine.validateAnswer('57').misconception).toBeNull();
+    });
+
+    test('spots reversed digits', () => {
+      ask('addition', { a: 5, b: 7 }, 12);
+      expect(engine.validateAnswer('21').misconception).toBe('digit-reversal');
+    });
+
+    test('spots off-by-one counting', () => {
+      ask('addition', { a: 8, b: 5 }, 13);
+      expect(engine.validateAnswer('14').misconception).toBe('off-by-one');
+    });
+
+    test('uses the shown numbers for missing-number questions', () => {
+      ask('addition', { a: 6, b: 9, c: 15 }, 9, { unknown: 'b' });
+      expect(engine.validateAnswer('21').misconception).toBe('wrong-operation');
+    });
+
+    test('returns null for correct or unexplained answers', () => {
+      ask('addition', { a: 8, b: 5 }, 13);
+      expect(engine.validateAnswer('13').misconception).toBeNull();
+      expect(engine.validateAnswer('40').misconception).toBeNull();
+    });
+  });
+
+  describe('Multiple Choice', () => {
+    const question = { id: 'mc_1', operation: 'subtraction', values: { a: 15, b: 6 }, answer: 9, unknown: 'result', answerType: 'number' };
+
+    test('offers the answer plus distractors from likely mistakes', () => {
+      const choices = engine.generateChoices(question);
+      const byValue = Object.fromEntries(choices.map(choice => [choice.value, choice.misconception]));
+
+      expect(choices).toHaveLength(4);
+      expect(byValue[9]).toBeNull();
+      expect(byValue[21]).toBe('wrong-operation');
+      expect(byValue[19]).toBe('off-by-ten');
+      expect([8, 10].some(value => byValue[value] === 'off-by-one')).toBe(true);
+    });
+
+    test('never offers negative or repeated choices', () => {
+      const small = { ...question, operation: 'addition', values: { a: 0, b: 0 }, answer: 0 };
+
+      for (let i = 0; i < 20; i++) {
+        const values = engine.generateChoices(small).map(choice => choice.value);
+        expect(values.every(value => value >= 0)).toBe(true);
+        expect(new Set(values).size).toBe(4);
+        expect(values).toContain(0);
+      }
+    });
+
+    test('shuffles choices the same way for the same seed', () => {
+      engine.setSeed('choices');
+      const first = engine.generateChoices(question);
+      engine.setSeed('choices');
+
+      expect(engine.generateChoices(question)).toEqual(first);
+    });
+
+    test('attaches choices to number questions only when enabled', () => {
+      engine.initialize();
+      expect(engine.getNextQuestion().choices).toBeUndefined();
+
+      engine.setMultipleChoice(true);
+      const generated = engine.getNextQuestion();
+      if (generated.answerType === 'number') {
+        expect(generated.choices.map(choice => choice.value)).toContain(generated.answer);
+      } else {
+        expect(generated.choices).toBeUndefined();
+      }
+    });
+  });
+
+  describe('Template Expressions', () => {
+    const subtraction = {
+      id: 'sub_dsl',
+      type: 'equation',
+      operation: 'subtraction',
+      template: '{a} - {b} = ?',
+      variables: {
+        a: { min: 50, max: 99 },
+        b: { min: 11, max: 'a - 10' }
+      },
+      derived: { c: 'a - b' },
+      constraints: ['a % 10 < b % 10', 'b % 10 != 0'],
+      answer: 'c'
+    };
+
+    test('evaluates arithmetic with the usual precedence', () => {
+      expect(evaluateExpression('2 + 3 * 4')).toBe(14);
+      expect(evaluateExpression('(2 + 3) * 4')).toBe(20);
+      expect(evaluateExpression('-a + 10 % 4', { a: 3 })).toBe(-1);
+      expect(evaluateExpression('max(a, b) - min(a, b)', { a: 4, b: 9 })).toBe(5);
+    });
+
+    test('evaluates comparisons and logic', () => {
+      expect(evaluateExpression('a > b && a % 10 != 0', { a: 25, b: 7 })).toBe(true);
+      expect(evaluateExpression('a <= 10 || !b', { a: 25, b: 0 })).toBe(true);
+      expect(evaluateExpression('b != 0 && a % b == 0', { a: 5, b: 0 })).toBe(false);
+    });
+
+    test('rejects anything outside the expression language', () => {
+      expect(() => evaluateExpression('a + ', { a: 1 })).toThrow();
+      expect(() => evaluateExpression('alert(1)')).toThrow('Unknown function');
+      expect(() => evaluateExpression('a = 1', { a: 1 })).toThrow();
+      expect(() => evaluateExpression('x + 1', {})).toThrow('Unknown variable "x"');
+    });
+
+    test('lists the variables an expression uses', () => {
+      expect(getExpressionVariables('a + b * a <= max(c, 3)')).toEqual(['a', 'b', 'c']);
+      expect(getExpressionVariables(7)).toEqual([]);
+    });
+
+    test('draws variables in order and keeps every constraint', () => {
+      for (let i = 0; i < 30; i++) {
+        const question = engine.generateQuestion(subtraction);
+        const { a, b, c } = question.values;
+
+        expect(b).toBeLessThanOrEqual(a - 10);
+        expect(a % 10).toBeLessThan(b % 10);
+        expect(question.answer).toBe(c);
+        expect(question.questionText).toBe(`${a} - ${b} = ?`);
+      }
+    });
+
+    test('respects a variable step', () => {
+      const template = {
+        ...subtraction,
+        operation: 'addition',
+        template: '{a} + {b} = ?',
+        variables: { a: { min: 10, max: 90, step: 10 }, b: { min: 1, max: 9 } },
+        derived: {},
+        constraints: [],
+        answer: 'a + b'
+      };
+
+      for (let i = 0; i < 20; i++) {
+        const question = engine.generateQuestion(template);
+        expect(question.values.a % 10).toBe(0);
+        expect(question.answer).toBe(question.values.a + question.values.b);
+      }
+    });
+
+    test('falls back when an expression is invalid', () => {
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const question = engine.generateQuestion({ ...subtraction, answer: 'a -' });
+
+      expect(question.id).toMatch(/^fallback_/);
+      expect(errorSpy).toHaveBeenCalled();
+      errorSpy.mockRestore();
+    });
+
+    test('falls back when the constraints can never be met', () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const question = engine.generateQuestion({ ...subtraction, constraints: ['a < 0'] });
+
+      expect(question.id).toMatch(/^fallback_/);
+      expect(warnSpy).toHaveBeenCalled();
+      warnSpy.mockRestore();
+    });
+  });
+
+  describe('Loaded Question Bank', () => {
+    const questionBank = JSON.parse(readFileSync('src/data/questions.json', 'utf8'));
+
+    test('generates a complete question from every template in questions.json', () => {
+      engine.initialize(questionBank);
+
+      ['easy', 'medium', 'hard'].forEach(difficulty => {
+        questionBank[difficulty].forEach(template => {
+          for (let i = 0; i < 5; i++) {
+            const question = engine.generateQuestion(template);
+
+            expect(question.id).toContain(template.id);
+            expect(question.questionText).not.toMatch(/\{\w+\}/);
+            expect(question.answer).toBeDefined();
+          }
+        });
+      });
+    });
+
+    test('serves questions from the loaded bank', () => {
+      engine.initialize(questionBank);
+      engine.setDifficulty('hard');
+
+      const ids = questionBank.hard.map(template => template.id);
+      const question = engine.getNextQuestion();
+      expect(ids.some(id => question.id.startsWith(id))).toBe(true);
+    });
+
+    test('falls back to built-in templates for a difficulty with none', () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      engine.initialize({ easy: questionBank.easy, medium: [] });
+
+      expect(warnSpy).toHaveBeenCalledTimes(2);
+      expect(engine.getTemplates('easy')).toBe(questionBank.easy);
+      expect(engine.getTemplates('medium')).toEqual(engine.getDefaultQuestionBank().medium);
+      expect(engine.getTemplates('hard')).toEqual(engine.getDefaultQuestionBank().hard);
+
+      engine.setDifficulty('medium');
+      expect(engine.getNextQuestion().id).not.toMatch(/^fallback_/);
+      warnSpy.mockRestore();
+    });
+  });
+
+  describe('Word Problems', () => {
+    let generator;
+
+    beforeEach(() => {
+      generator = new WordProblemGenerator();
+    });
+
+    test('uses singular and plural nouns to match the number', () => {
+      const one = generator.generate({ situation: 'join', unknown: 'result', object: 'banana' }, 1, 2);
+      expect(one.text).toMatch(/had 1 banana\./);
+      expect(one.text).toMatch(/How many bananas/);
+
+      const leaves = generator.generate({ situation: 'separate', unknown: 'result', object: 'leaf' }, 5, 2);
+      expect(leaves.text).toMatch(/had 5 leaves\./);
+
+      const mangoes = generator.generate({ situation: 'put-together', unknown: 'total', object: 'mango' }, 1, 3);
+      expect(mangoes.text).toMatch(/1 ripe mango and 3 green mangoes/);
+    });
+
+    test('only eats things that can be eaten', () => {
+      for (let i = 0; i < 30; i++) {
+        const problem = generator.generate({ situation: 'separate', unknown: 'result', object: 'vine' }, 6, 2);
+        expect(problem.text).not.toMatch(/\bate\b/);
+      }
+    });
+
+    test('puts the unknown where each situation says', () => {
+      const cases = [
+        { story: { situation: 'join', unknown: 'result' }, answer: 12, unknown: 'result', operation: 'addition' },
+        { story: { situation: 'join', unknown: 'change' }, answer: 5, unknown: 'b', operation: 'addition' },
+        { story: { situation: 'join', unknown: 'start' }, answer: 7, unknown: 'a', operation: 'addition' },
+        { story: { situation: 'separate', unknown: 'result' }, answer: 2, unknown: 'result', operation: 'subtraction' },
+        { story: { situation: 'separate', unknown: 'change' }, answer: 5, unknown: 'b', operation: 'subtraction' },
+        { story: { situation: 'separate', unknown: 'start' }, answer: 7, unknown: 'a', operation: 'subtraction' },
+        { story: { situation: 'put-together', unknown: 'total' }, answer: 12, unknown: 'result', operation: 'addition' },
+        { story: { situation: 'put-together', unknown: 'addend' }, answer: 5, unknown: 'b', operation: 'addition' },
+        { story: { situation: 'compare', unknown: 'difference', direction: 'fewer' }, answer: 5, unknown: 'b', operation: 'addition' },
+        { story: { situation: 'compare', unknown: 'bigger', direction: 'more' }, answer: 12, unknown: 'result', operation: 'addition' },
+        { story: { situation: 'compare', unknown: 'smaller', direction: 'fewer' }, answer: 7, unknown: 'a', operation: 'addition' },
+        { story: { situation: 'equal-groups' }, answer: 35, unknown: 'result', operation: 'equal-groups' }
+      ];
+
+      cases.forEach(({ story, answer, unknown, operation }) => {
+        const problem = generator.generate(story, 7, 5);
+        expect(problem.answer).toBe(answer);
+        expect(problem.unknown).toBe(unknown);
+        expect(problem.operation).toBe(operation);
+      });
+    });
+
+    test('words compare problems with more or fewer', () => {
+      const more = generator.generate({ situation: 'compare', unknown: 'difference', direction: 'more' }, 4, 3);
+      const fewer = generator.generate({ situation: 'compare', unknown: 'difference', direction: 'fewer' }, 4, 3);
+
+      expect(more.text).toMatch(/How many more/);
+      expect(fewer.text).toMatch(/How many fewer/);
+    });
+
+    test('returns null for an unknown situation', () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      expect(generator.generate({ situation: 'juggle' }, 1, 2)).toBeNull();
+      warnSpy.mockRestore();
+    });
+
+    test('writes a story for any operation with stories', () => {
+      ['addition', 'subtraction', 'equal-groups', 'array', 'repeated-addition'].forEach(operation => {
+        const template = { id: `story_${operation}`, type: 'word-problem', operation, story: true, minValue: 1, maxValue: 9 };
+
+        for (let i = 0; i < 20; i++) {
+          const question = engine.generateQuestion(template);
+          const { a, b, c } = question.values;
+          const expected = question.unknown === 'a' ? a : (question.unknown === 'b' ? b : c);
+
+          expect(question.type).toBe('word-problem');
+          expect(question.answer).toBe(expected);
+          expect(question.answer).toBeGreaterThanOrEqual(0);
+          expect(question.questionText).toMatch(/\?$/);
+        }
+      });
+    });
+
+    test('falls back for an operation without stories', () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const question = engine.generateQuestion({ id: 'story_time', type: 'word-problem', operation: 'time', story: true, minValue: 1, maxValue: 9 });
+
+      expect(question.id).toMatch(/^fallback_/);
+      expect(warnSpy).toHaveBeenCalled();
+      warnSpy.mockRestore();
+    });
+
+    test('writes the same problems for the same seed', () => {
+      const template = { id: 'story_seed', type: 'word-problem', operation: 'subtraction', story: true, minValue: 1, maxValue: 20 };
+      const other = new MathEngine();
+      other.initialize(null);
+      engine.setSeed(42);
+      other.setSeed(42);
+
+      for (let i = 0; i < 5; i++) {
+        expect(engine.generateQuestion(template).questionText).toBe(other.generateQuestion(template).questionText);
+      }
+    });
+  });
+
+  describe('Multi-Step Questions', () => {
+    const threeAddends = {
+      id: 'add3_test',
+      type: 'equation',
+      operation: 'addition',
+      template: '{a} + {b} + {c} = ?',
+      operands: 3,
+      minValue: 1,
+      maxValue: 20
+    };
+
+    test('adds three or four numbers', () => {
+      for (let i = 0; i < 20; i++) {
+        const question = engine.generateQuestion(threeAddends);
+        const { a, b, c } = question.values;
+
+        expect(question.questionText).toBe(`${a} + ${b} + ${c} = ?`);
+        expect(question.answer).toBe(a + b + c);
+        expect(question.operands).toEqual([a, b, c]);
+        expect(question.steps).toEqual(['addition', 'addition']);
+        expect(question.stepCount).toBe(2);
+      }
+
+      const four = engine.generateQuestion({ ...threeAddends, template: '{a} + {b} + {c} + {d} = ?', operands: 4 });
+      expect(four.questionText).not.toMatch(/\{\w+\}/);
+      expect(four.answer).toBe(four.operands.reduce((sum, value) => sum + value, 0));
+      expect(four.stepCount).toBe(3);
+    });
+
+    test('keeps chained subtraction at zero or above', () => {
+      const template = { ...threeAddends, operation: 'subtraction', template: '{a} - {b} - {c} = ?', minValue: 1, maxValue: 30 };
+
+      for (let i = 0; i < 30; i++) {
+        const question = engine.generateQuestion(template);
+        const { a, b, c } = question.values;
+
+        expect(question.answer).toBe(a - b - c);
+        expect(question.answer).toBeGreaterThanOrEqual(0);
+      }
+    });
+
+    test('marks one-step questions as one step', () => {
+      const question = engine.generateQuestion({ ...threeAddends, template: '{a} + {b} = ?', operands: 2 });
+      expect(question.stepCount).toBe(1);
+      expect(question.operands).toBeUndefined();
+    });
+
+    test('writes two-step stories with both actions', () => {
+      const template = { id: 'story2_test', type: 'word-problem', operation: 'addition', story: { situation: 'two-step' }, minValue: 1, maxValue: 10 };
+
+      for (let i = 0; i < 30; i++) {
+        const question = engine.generateQuestion(template);
+        const [start, first, second] = question.operands;
+        const expected = question.steps.reduce(
+          (total, step, index) => (step === 'addition' ? total + [first, second][index] : total - [first, second][index]),
+          start
+        );
+
+        expect(question.stepCount).toBe(2);
+        expect(question.answer).toBe(expected);
+        expect(question.answer).toBeGreaterThanOrEqual(0);
+        expect(question.questionText).toMatch(/^The \w+ had \d+ \w+\. Then .* After that, .*have now\?$/);
+      }
+    });
+
+    test('uses the actions a template asks for', () => {
+      const question = engine.generateQuestion({
+        id: 'story2_fixed',
+        type: 'word-problem',
+        operation: 'subtraction',
+        story: { situation: 'two-step', steps: ['separate', 'separate'], object: 'leaf' },
+        minValue: 1,
+        maxValue: 10
+      });
+
+      expect(question.steps).toEqual(['subtraction', 'subtraction']);
+      expect(question.operation).toBe('subtraction');
+      expect(question.questionText).toMatch(/leaves|leaf/);
+    });
+
+    test('does not offer wrong-operation distractors or mix-ups for multi-step questions', () => {
+      engine.setMultipleChoice(true);
+      const question = engine.attachChoices(engine.generateQuestion({ ...threeAddends, minValue: 10, maxValue: 20 }));
+
+      expect(question.choices.some(choice => choice.misconception === 'wrong-operation')).toBe(false);
+      expect(engine.misconceptionAnalyzer.analyze(question, question.values.a + question.values.b)).not.toBe('wrong-operation');
+    });
+
+    test('shrinks adaptive ranges for three or more numbers', () => {
+      engine.setAdaptive(true, ADAPTIVE.LEVELS.length - 1);
+      const level = ADAPTIVE.LEVELS[ADAPTIVE.LEVELS.length - 1];
+
+      const two = engine.applyAdaptiveRange({ ...threeAddends, operands: 2 });
+      const four = engine.applyAdaptiveRange({ ...threeAddends, operands: 4 });
+
+      expect(two.maxValue).toBe(level.maxValue);
+      expect(four.maxValue).toBe(Math.floor(level.maxValue / 2));
+    });
+  });
+
+  describe('Sequences', () => {
+    const sequence = (overrides) => ({
+      id: 'seq_test',
+      type: 'visual',
+      operation: 'sequence',
+      template: 'Count by {step}s! {sequence}',
+      minValue: 0,
+      maxValue: 100,
+      visualHint: true,
+      hintType: 'number-line',
+      ...overrides
+    });
+
+    test('counts by the step with one number missing', () => {
+      [5, 10, 100].forEach(skipBy => {
+        for (let i = 0; i < 20; i++) {
+          const question = engine.generateQuestion(sequence({ skipBy, maxValue: 1000 }));
+          const { numbers, missingIndex } = question.values;
+
+          expect(numbers).toHaveLength(5);
+          numbers.slice(1).forEach((n, index) => expect(n - numbers[index]).toBe(skipBy));
+          expect(numbers[0] % skipBy).toBe(0);
+          expect(question.answer).toBe(numbers[missingIndex]);
+          expect(question.figureType).toBe('number-tiles');
+        }
+      });
+    });
+
+    test('writes the pattern with a blank', () => {
+      const question = engine.generateQuestion(sequence({ skipBy: 5, minValue: 35, maxValue: 55, tiles: 4, blank: 'last' }));
+
+      expect(['Count by 5s! 35, 40, 45, __', 'Count by 5s! 40, 45, 50, __']).toContain(question.questionText);
+      expect(question.values.missingIndex).toBe(3);
+    });
+
+    test('keeps every number inside the range', () => {
+      for (let i = 0; i < 30; i++) {
+        const { numbers } = engine.generateQuestion(sequence({ skipBy: [5, 10], minValue: 23, maxValue: 80, tiles: 6 })).values;
+
+        expect(Math.min(...numbers)).toBeGreaterThanOrEqual(23);
+        expect(Math.max(...numbers)).toBeLessThanOrEqual(80);
+      }
+    });
+
+    test('counts back when asked', () => {
+      const { numbers, direction } = engine.generateQuestion(sequence({ skipBy: 10, direction: 'down' })).values;
+
+      expect(direction).toBe('down');
+      expect(numbers[0]).toBeGreaterThan(numbers[numbers.length - 1]);
+    });
+
+    test('falls back when the range is too small for the row', () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const question = engine.generateQuestion(sequence({ skipBy: 100, maxValue: 100 }));
+
+      expect(question.id).toMatch(/^fallback_/);
+      expect(warnSpy).toHaveBeenCalled();
+      warnSpy.mockRestore();
+    });
+
+    test('offers the neighbouring numbers in the pattern as choices', () => {
+      engine.setMultipleChoice(true);
+      const question = engine.attachChoices(engine.generateQuestion(sequence({ skipBy: 5, minValue: 20, maxValue: 100 })));
+      const values = question.choices.map(choice => choice.value);
+
+      expect(values).toContain(question.answer);
+      expect(values.some(value => Math.abs(value - question.answer) === 5)).toBe(true);
+    });
+
+    test('every shipped pattern has an answer short enough to type', () => {
+      const questionBank = JSON.parse(readFileSync('src/data/questions.json', 'utf8'));
+      const { maxInputLength } = new InputManager();
+      engine.initialize(questionBank);
+
+      ['easy', 'medium', 'hard'].forEach(difficulty => {
+        questionBank[difficulty]
+          .filter(template => template.operation === 'sequence')
+          .forEach(template => {
+            for (let seed = 0; seed < 200; seed++) {
+              engine.setSeed(seed);
+              const question = engine.generateQuestion(template);
+
+              expect(String(question.answer).length).toBeLessThanOrEqual(maxInputLength);
+            }
+          });
+      });
+    });
+  });
+
+  describe('Even and Odd', () => {
+    const evenOdd = (overrides) => ({
+      id: 'eo_test',
+      type: 'visual',
+      operation: 'even-odd',
+      template: 'Is {n} even or odd?',
+      minValue: 1,
+      maxValue: 20,
+      visualHint: true,
+      hintType: 'pairs',
+      ...overrides
+    });
+
+    test('asks whether a number is even or odd, with two answer buttons', () => {
+      for (let i = 0; i < 20; i++) {
+        const question = engine.generateQuestion(evenOdd());
+        const { n } = question.values;
+
+        expect(question.questionText).toBe(`Is ${n} even or odd?`);
+        expect(question.answer).toBe(n % 2 === 0 ? 'even' : 'odd');
+        expect(question.answerType).toBe('parity');
+        expect(question.choices.map(choice => choice.label)).toEqual(['Even', 'Odd']);
+      }
+    });
+
+    test('keeps its buttons in multiple-choice mode', () => {
+      engine.setMultipleChoice(true);
+      const question = engine.attachChoices(engine.generateQuestion(evenOdd()));
+
+      expect(question.choices.map(choice => choice.value)).toEqual(['even', 'odd']);
+    });
+
+    test('a wrong even/odd answer brings up the pairs hint', () => {
+      const question = engine.generateQuestion(evenOdd());
+      const wrong = question.answer === 'even' ? 'odd' : 'even';
+
+      expect(engine.shouldShowHint(question, 0)).toBe(false);
+      expect(engine.validateAnswer(wrong).correct).toBe(false);
+      expect(engine.shouldShowHint(question, 1)).toBe(true);
+      expect(question.hintType).toBe('pairs');
+    });
+
+    test('typed answers get the hint after a second miss', () => {
+      const question = engine.generateQuestion(evenOdd({ form: 'pairs', template: 'How many pairs can {n} make?' }));
+
+      expect(engine.shouldShowHint(question, 1)).toBe(false);
+      expect(engine.shouldShowHint(question, 2)).toBe(true);
+      expect(engine.shouldShowHint({ ...question, visualHint: false }, 2)).toBe(false);
+    });
+
+    test('validates even and odd answers', () => {
+      engine.currentQuestion = engine.generateQuestion(evenOdd({ minValue: 7, maxValue: 7 }));
+
+      expect(engine.validateAnswer('odd').correct).toBe(true);
+      expect(engine.validateAnswer(' Odd ').correct).toBe(true);
+      expect(engine.validateAnswer('even').correct).toBe(false);
+      expect(engine.validateAnswer('7').valid).toBe(false);
+      expect(engine.validateAnswer('even', 'even').correct).toBe(true);
+    });
+
+    test('counts pairs and leftovers', () => {
+      const question = engine.generateQuestion(evenOdd({ form: 'pairs', template: 'How many pairs in {n}?', minValue: 9, maxValue: 9 }));
+
+      expect(question.answer).toBe(4);
+      expect(question.values).toEqual({ n: 9, pairs: 4, leftover: 1 });
+      expect(question.answerType).toBe('number');
+    });
+
+    test('splits an even number into two equal addends', () => {
+      for (let i = 0; i < 20; i++) {
+        const question = engine.generateQuestion(evenOdd({ form: 'equal-addends', template: '{n} = ? + ?', minValue: 3, maxValue: 15 }));
+
+        expect(question.values.n % 2).toBe(0);
+        expect(question.answer * 2).toBe(question.values.n);
+      }
+    });
+  });
+
+  describe('Graphs', () => {
+    const graph = (overrides) => ({
+      id: 'graph_test',
+      type: 'visual',
+      operation: 'graph',
+      template: 'Look at the graph. {question}',
+      minValue: 1,
+      maxValue: 20,
+      visualHint: false,
+      ...overrides
+    });
+
+    test('makes a data set with up to four categories', () => {
+      for (let i = 0; i < 20; i++) {
+        const question = engine.generateQuestion(graph());
+        const { labels, counts } = question.values;
+
+        expect(labels.length).toBeLessThanOrEqual(4);
+        expect(counts).toHaveLength(labels.length);
+        counts.forEach(count => {
+          expect(count).toBeGreaterThanOrEqual(1);
+          expect(count).toBeLessThanOrEqual(20);
+        });
+        expect(question.questionText).toMatch(/^Look at the graph\. How many/);
+        expect(question.figureType).toBe('bar-graph');
+      }
+    });
+
+    test('answers each kind of question from the data', () => {
+      const answerFor = (question) => {
+        const { labels, counts } = question.values;
+        const named = labels.filter(label => new RegExp(`\\b${label}\\b`).test(question.questionText));
+        const [x, y] = named.map(label => counts[labels.indexOf(label)]);
+
+        return { read: x, more: Math.abs(x - y), fewer: Math.abs(x - y), total: x + y }[question.values.ask];
+      };
+
+      ['read', 'more', 'fewer', 'total'].forEach(ask => {
+        for (let i = 0; i < 10; i++) {
+          const question = engine.generateQuestion(graph({ ask }));
+
+          expect(question.values.ask).toBe(ask);
+          expect(question.answer).toBe(answerFor(question));
+        }
+      });
+    });
+
+    test('asks "how many more" about two different amounts', () => {
+      for (let i = 0; i < 20; i++) {
+        const question = engine.generateQuestion(graph({ ask: 'more', minValue: 1, maxValue: 3 }));
+        expect(question.answer).toBeGreaterThan(0);
+      }
+    });
+
+    test('uses the template labels, unit and graph kind', () => {
+      const question = engine.generateQuestion(graph({
+        graph: 'picture',
+        ask: 'read',
+        labels: ['Ana', 'Ben'],
+        unit: 'shells',
+        title: 'Shells Found'
+      }));
+
+      expect(question.figureType).toBe('picture-graph');
+      expect(question.values.labels.sort()).toEqual(['Ana', 'Ben']);
+      expect(question.values.title).toBe('Shells Found');
+      expect(question.questionText).toMatch(/How many shells does (Ana|Ben) have\?/);
+    });
+  });
 });
@@ -0,0 +1,168 @@
+/**
+ * ProfileManager Unit Tests
+ * Tests for adding, renaming and deleting player profiles on a shared device
+ */
+
+import ProfileManager from '../../src/systems/ProfileManager.js';
+import ProgressManager from '../../src/systems/ProgressManager.js';
+import { PROFILES, STORAGE_KEYS, SAVE_FORMAT } from '../../src/utils/constants.js';
+
+describe('ProfileManager', () => {
+  let manager;
+
+  beforeEach(() => {
+    localStorage.clear();
+    manager = new ProfileManager();
+    manager.initialize();
+  });
+
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  describe('Adding Profiles', () => {
+    test('starts with no profiles', () => {
+      expect(manager.getProfiles()).toEqual([]);
+      expect(manager.getActiveProfile()).toBeNull();
+    });
+
+    test('adds a profile and makes it active', () => {
+      const result = manager.addProfile('  Maya ', '🐼');
+
+      expect(result.success).toBe(true);
+      expect(result.profile.name).toBe('Maya');
+      expect(result.profile.avatar).toBe('🐼');
+      expect(manager.getActiveProfile().id).toBe(result.profile.id);
+    });
+
+    test('rejects names that fail validatePlayerName', () => {
+      expect(manager.addProfile('').success).toBe(false);
+      expect(manager.addProfile('A').message).toBe('Name must be at least 2 characters');
+      expect(manager.addProfile('Maya!').success).toBe(false);
+      expect(manager.getProfiles()).toHaveLength(0);
+    });
+
+    test('rejects a name that is already taken', () => {
+      manager.addProfile('Maya');
+      const result = manager.addProfile('maya');
+
+      expect(result.success).toBe(false);
+      expect(result.message).toBe('Someone already has that name');
+    });
+
+    test('falls back to the first avatar for an unknown one', () => {
+      const result = manager.addProfile('Maya', 'not-an-avatar');
+
+      expect(result.profile.avatar).toBe(PROFILES.AVATARS[0]);
+    });
+
+    test('stops at the profile limit', () => {
+      for (let i = 0; i < PROFILES.MAX_PROFILES; i++) {
+        expect(manager.addProfile(`Player ${i}`).success).toBe(true);
+      }
+
+      expect(manager.addProfile('One More').success).toBe(false);
+    });
+
+    test('first profile keeps progress saved before profiles existed', () => {
+      const shared = new ProgressManager();
+      shared.persistentData.totalStars = 7;
+      shared.saveProgress();
+
+      const { profile } = manager.addProfile('Maya');
+      const progress = new ProgressManager(profile.id);
+      progress.loadProgress();
+
+      expect(progress.getPersistentStats().totalStars).toBe(7);
+      expect(localStorage.getItem(STORAGE_KEYS.PROGRESS)).toBeNull();
+    });
+  });
+
+  describe('Editing Profiles', () => {
+    test('renames a profile', () => {
+      const { profile } = manager.addProfile('Maya');
+
+      expect(manager.renameProfile(profile.id, 'Maya B').success).toBe(true);
+      expect(manager.getProfile(profile.id).name).toBe('Maya B');
+    });
+
+    test('a profile may be renamed to its own name', () => {
+      const { profile } = manager.addProfile('Maya');
+
+      expect(manager.renameProfile(profile.id, 'MAYA').success).toBe(true);
+    });
+
+    test('rejects renaming to an invalid or unknown profile', () => {
+      const { profile } = manager.addProfile('Maya');
+
+      expect(manager.renameProfile(profile.id, 'x').success).toBe(false);
+      expect(manager.renameProfile('missing', 'Leo').success).toBe(false);
+    });
+
+    test('changes the avatar', () => {
+      const { profile } = manager.addProfile('Maya');
+
+      expect(manager.setAvatar(profile.id, '🦊')).toBe(true);
+      expect(manager.getProfile(profile.id).avatar).toBe('🦊');
+      expect(manager.setAvatar(profile.id, 'x')).toBe(false);
+    });
+
+    test('deletes a profile and its progress', () => {
+      const { profile } = manager.addProfile('Maya');
+      const progress = new ProgressManager(profile.id);
+      progress.saveProgress();
+
+      expect(manager.deleteProfile(profile.id)).toBe(true);
+      expect(manager.getProfile(profile.id)).toBeNull();
+      expect(manager.getActiveProfile()).toBeNull();
+      expect(localStorage.getItem(progress.storageKey)).toBeNull();
+    });
+
+    test('deleting a profile removes its backed-up saves too', () => {
+      const { profile } = manager.addProfile('Maya');
+      const progress = new ProgressManager(profile.id);
+      progress.quarantineSave('invalid json {]', 'test');
+
+      manager.deleteProfile(profile.id);
+      expect(localStorage.getItem(progress.storageKey + SAVE_FORMAT.QUARANTINE_SUFFIX)).toBeNull();
+    });
+  });
+
+  describe('Persistence', () => {
+    test('remembers profiles and the last active one', () => {
+      const maya = manager.addProfile('Maya').profile;
+      const leo = manager.addProfile('Leo').profile;
+      manager.setActiveProfile(maya.id);
+
+      const reloaded = new ProfileManager();
+      reloaded.initialize();
+
+      expect(reloaded.getProfiles().map(profile => profile.id)).toEqual(expect.arrayContaining([maya.id, leo.id]));
+      expect(reloaded.getActiveProfile().id).toBe(maya.id);
+    });
+
+    test('lists the most recently played profile first', () => {
+      const maya = manager.addProfile('Maya').profile;
+      const leo = manager.addProfile('Leo').profile;
+      maya.lastPlayed = 100;
+      leo.lastPlayed = 200;
+
+      expect(manager.getProfiles()[0].id).toBe(leo.id);
+    });
+
+    test('ignores an unknown active profile', () => {
+      const consoleSpy = jest.spyOn(console, 'warn').mockImplementation();
+      expect(manager.setActiveProfile('missing')).toBe(false);
+      consoleSpy.mockRestore();
+    });
+
+    test('handles corrupted profile data', () => {
+      localStorage.setItem(STORAGE_KEYS.PROFILES, 'not json');
+
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+      expect(manager.loadProfiles()).toBe(false);
+      expect(manager.getProfiles()).toEqual([]);
+      consoleSpy.mockRestore();
+    });
+  });
+});
@@ -4,6 +4,8 @@
  */
 
 import ProgressManager from '../../src/systems/ProgressManager.js';
+import { SAVE_FORMAT, HISTORY, SKILLS, MASTERY } from '../../src/utils/constants.js';
+import { isValidSession } from '../../src/utils/validators.js';
 
 describe('ProgressManager', () => {
   let manager;
@@ -158,6 +160,81 @@ describe('ProgressManager', () => {
       expect(stats.incorrectAnswers).toBe(2);
       expect(stats.totalAnswers).toBe(5);
     });
+
+    test('splits results by regrouping', () => {
+      manager.recordAnswer(true, { regrouping: true });
+      manager.recordAnswer(false, { regrouping: true });
+      manager.recordAnswer(true, { regrouping: false });
+
+      expect(manager.getBreakdown('regrouping')).toEqual({
+        with: { correct: 1, total: 2, accuracy: 50 },
+        without: { correct: 1, total: 1, accuracy: 100 }
+      });
+    });
+
+    test('skips the regrouping breakdown for other questions', () => {
+      manager.recordAnswer(true, { operation: 'time' });
+      manager.recordAnswer(true);
+
+      expect(manager.getBreakdown('regrouping')).toEqual({});
+      expect(manager.getCurrentStats().totalAnswers).toBe(2);
+    });
+
+    test('summarizes recent question outcomes', () => {
+      manager.recordQuestionOutcome({ id: 'q1', operation: 'addition' }, { correct: false, attempts: 3 });
+      manager.recordQuestionOutcome({ id: 'q2', operation: 'addition' }, { correct: true, attempts: 1 });
+      manager.recordQuestionOutcome({ id: 'q3', operation: 'subtraction' }, { correct: true, attempts: 2 });
+
+      expect(manager.getRecentPerformance(2)).toEqual({ count: 2, accuracy: 100, averageAttempts: 1.5 });
+      expect(manager.getRecentPerformance(5).count).toBe(3);
+      expect(manager.getRecentPerformance(5).averageAttempts).toBe(2);
+    });
+
+    test('reports no performance before any question finishes', () => {
+      expect(manager.getRecentPerformance()).toEqual({ count: 0, accuracy: 0, averageAttempts: 0 });
+    });
+
+    test('ignores outcomes without attempts', () => {
+      const consoleSpy = jest.spyOn(console, 'warn').mockImplementation();
+
+      manager.recordQuestionOutcome({ id: 'q1' }, { correct: true, attempts: 0 });
+
+      expect(manager.getRecentPerformance().count).toBe(0);
+      expect(consoleSpy).toHaveBeenCalled();
+      consoleSpy.mockRestore();
+    });
+
+    test('splits results by step count', () => {
+      manager.recordAnswer(true, { operation: 'addition', stepCount: 1 });
+      manager.recordAnswer(false, { operation: 'addition', stepCount: 2 });
+      manager.recordAnswer(true, { operation: 'addition', stepCount: 2 });
+      manager.recordAnswer(true);
+
+      expect(manager.getBreakdown('steps')).toEqual({
+        1: { correct: 1, total: 1, accuracy: 100 },
+        2: { correct: 1, total: 2, accuracy: 50 }
+      });
+    });
+
+    test('records the step count with each question outcome', () => {
+      manager.recordQuestionOutcome({ id: 'q1', operation: 'addition', stepCount: 2 }, { correct: true, attempts: 1 });
+      manager.recordQuestionOutcome({ id: 'q2', operation: 'addition' }, { correct: true, attempts: 1 });
+
+      expect(manager.sessionData.questionOutcomes.map(outcome => outcome.stepCount)).toEqual([2, 1]);
+    });
+
+    test('does not schedule multi-step questions as facts', () => {
+      const question = { operation: 'addition', values: { a: 3, b: 4, c: 5 }, stepCount: 2 };
+
+      expect(manager.getFactKey(question)).toBeNull();
+    });
+
+    test('starts each session with empty breakdowns', () => {
+      manager.recordBreakdown('regrouping', 'with', true);
+      manager.startSession('medium');
+
+      expect(manager.getBreakdown('regrouping')).toEqual({});
+    });
   });
 
   describe('Banana Collection', () => {
@@ -440,6 +517,24 @@ describe('ProgressManager', () => {
       expect(saved.lastSession).toHaveProperty('score');
       expect(saved.lastSession).toHaveProperty('timestamp');
     });
+
+    test('keeps each profile\'s progress under its own key', () => {
+      const maya = new ProgressManager('profile_maya');
+      const leo = new ProgressManager('profile_leo');
+
+      maya.startSession('easy');
+      maya.incrementScore(150);
+      maya.completeSession();
+
+      leo.initialize();
+      expect(leo.getHighScore('easy')).toBe(0);
+      expect(maya.storageKey).toBe('gorilla-math-progress-profile_maya');
+      expect(localStorage.getItem('gorilla-math-progress')).toBeNull();
+
+      const mayaAgain = new ProgressManager('profile_maya');
+      mayaAgain.initialize();
+      expect(mayaAgain.getHighScore('easy')).toBe(150);
+    });
   });
 
   describe('Reset Functionality', () => {
@@ -691,4 +786,514 @@ describe('ProgressManager', () => {
       setItemSpy.mockRestore();
     });
   });
+
+  describe('Fact Review', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+    const start = new Date('2026-03-02T15:00:00Z').getTime();
+    const fact = {
+      id: 'add_easy_001_1',
+      type: 'equation',
+      operation: 'addition',
+      questionText: '8 + 7 = ?',
+      answer: 15,
+      answerType: 'number',
+      values: { a: 8, b: 7 },
+      unknown: 'result',
+      visualHint: true,
+      hintType: 'bananas',
+      difficulty: 'easy'
+    };
+
+    test('keys facts by operation and operands', () => {
+      expect(manager.getFactKey(fact)).toBe('addition:8,7');
+      expect(manager.getFactKey({ operation: 'subtraction', values: { a: 3, b: 9 } })).toBe('subtraction:9,3');
+      expect(manager.getFactKey({ operation: 'time', values: { hours: 3, minutes: 0 } })).toBeNull();
+    });
+
+    test('schedules a missed fact for the next session', () => {
+      manager.updateFactMemory(fact, { correct: false, attempts: 3 }, start);
+
+      const due = manager.getDueFacts(start);
+      expect(due).toHaveLength(1);
+      expect(due[0].questionText).toBe('8 + 7 = ?');
+      expect(due[0].answer).toBe(15);
+      expect(manager.getPersistentStats().factMemory['addition:8,7'].box).toBe(0);
+    });
+
+    test('does not track facts solved on the first try', () => {
+      manager.updateFactMemory(fact, { correct: true, attempts: 1 }, start);
+
+      expect(manager.getDueFacts(start)).toEqual([]);
+    });
+
+    test('counts a slow solve as a miss', () => {
+      manager.updateFactMemory(fact, { correct: true, attempts: 2 }, start);
+
+      expect(manager.getDueFacts(start)).toHaveLength(1);
+    });
+
+    test('moves a fact up a box and waits longer after each success', () => {
+      manager.updateFactMemory(fact, { correct: false, attempts: 3 }, start);
+      manager.updateFactMemory(fact, { correct: true, attempts: 1 }, start);
+
+      expect(manager.getPersistentStats().factMemory['addition:8,7'].box).toBe(1);
+      expect(manager.getDueFacts(start + DAY - 1)).toEqual([]);
+      expect(manager.getDueFacts(start + DAY)).toHaveLength(1);
+
+      manager.updateFactMemory(fact, { correct: true, attempts: 1 }, start + DAY);
+      expect(manager.getDueFacts(start + 3 * DAY)).toEqual([]);
+      expect(manager.getDueFacts(start + 4 * DAY)).toHaveLength(1);
+    });
+
+    test('drops a fact after the last box', () => {
+      manager.updateFactMemory(fact, { correct: false, attempts: 3 }, start);
+      for (let i = 0; i < 5; i++) {
+        manager.updateFactMemory(fact, { correct: true, attempts: 1 }, start);
+      }
+
+      expect(manager.getPersistentStats().factMemory['addition:8,7']).toBeUndefined();
+    });
+
+    test('sends a fact back to box 0 when missed again', () => {
+      manager.updateFactMemory(fact, { correct: false, attempts: 3 }, start);
+      manager.updateFactMemory(fact, { correct: true, attempts: 1 }, start);
+      manager.updateFactMemory(fact, { correct: false, attempts: 3 }, start + DAY);
+
+      const entry = manager.getPersistentStats().factMemory['addition:8,7'];
+      expect(entry.box).toBe(0);
+      expect(entry.misses).toBe(2);
+    });
+
+    test('returns the most overdue facts first, up to the limit', () => {
+      manager.updateFactMemory(fact, { correct: false, attempts: 3 }, start + 2000);
+      manager.updateFactMemory({ ...fact, questionText: '6 + 9 = ?', values: { a: 6, b: 9 } }, { correct: false, attempts: 3 }, start);
+      manager.updateFactMemory({ ...fact, questionText: '5 + 8 = ?', values: { a: 5, b: 8 } }, { correct: false, attempts: 3 }, start + 1000);
+
+      const due = manager.getDueFacts(start + DAY, 2);
+      expect(due.map(item => item.questionText)).toEqual(['6 + 9 = ?', '5 + 8 = ?']);
+    });
+
+    test('updates fact memory when a question outcome is recorded', () => {
+      manager.recordQuestionOutcome(fact, { correct: false, attempts: 3 });
+
+      expect(manager.getDueFacts()).toHaveLength(1);
+    });
+
+    test('keeps fact memory across save and load', () => {
+      manager.updateFactMemory(fact, { correct: false, attempts: 3 }, start);
+      manager.saveProgress();
+
+      const reloaded = new ProgressManager();
+      reloaded.loadProgress();
+
+      expect(reloaded.getDueFacts(start)[0].values).toEqual({ a: 8, b: 7 });
+    });
+  });
+
+  describe('Misconceptions', () => {
+    const question = { questionText: '52 - 27 = ?', operation: 'subtraction', values: { a: 52, b: 27 } };
+
+    test('counts misconceptions and keeps recent examples', () => {
+      manager.recordMisconception('smaller-from-larger', question, 35);
+      manager.recordMisconception('smaller-from-larger', question, 35);
+      manager.recordMisconception('off-by-one', question, 26);
+
+      const summary = manager.getMisconceptionSummary();
+      expect(summary[0].id).toBe('smaller-from-larger');
+      expect(summary[0].count).toBe(2);
+      expect(summary[0].examples[0]).toEqual({ questionText: '52 - 27 = ?', answer: 35 });
+      expect(summary[1].id).toBe('off-by-one');
+    });
+
+    test('ignores empty misconception ids', () => {
+      manager.recordMisconception(null, question, 35);
+      expect(manager.getMisconceptionSummary()).toEqual([]);
+    });
+
+    test('keeps misconceptions across save and load', () => {
+      manager.recordMisconception('wrong-operation', question, 79);
+      manager.saveProgress();
+
+      const reloaded = new ProgressManager();
+      reloaded.loadProgress();
+
+      expect(reloaded.getMisconceptionSummary()[0].count).toBe(1);
+    });
+  });
+
+  describe('Multiple-Choice Picks', () => {
+    const question = { id: 'mc_1', answer: 9 };
+
+    test('counts wrong picks by distractor', () => {
+      manager.recordChoicePick(question, { value: 21, misconception: 'wrong-operation' });
+      manager.recordChoicePick(question, { value: 10, misconception: 'off-by-one' });
+      manager.recordChoicePick(question, { value: 11, misconception: null });
+      manager.recordChoicePick(question, { value: 9, misconception: null });
+
+      expect(manager.getDistractorCounts()).toEqual({ 'wrong-operation': 1, 'off-by-one': 1, other: 1 });
+      expect(manager.getCurrentStats().choicePicks[3].correct).toBe(true);
+    });
+
+    test('includes distractor picks in session results', () => {
+      manager.recordChoicePick(question, { value: 19, misconception: 'off-by-ten' });
+
+      expect(manager.completeSession().distractorPicks).toEqual({ 'off-by-ten': 1 });
+    });
+
+    test('ignores a missing choice', () => {
+      manager.recordChoicePick(question, null);
+      expect(manager.getCurrentStats().choicePicks).toEqual([]);
+    });
+  });
+
+  describe('Save Format', () => {
+    const key = 'gorilla-math-progress';
+    const backupKey = 'gorilla-math-progress-backup';
+    let warnSpy;
+
+    beforeEach(() => {
+      warnSpy = jest.spyOn(console, 'warn').mockImplementation();
+    });
+
+    afterEach(() => {
+      warnSpy.mockRestore();
+    });
+
+    test('saves with the current schemaVersion and a valid last session', () => {
+      manager.startSession('medium');
+      manager.saveProgress();
+
+      const saved = JSON.parse(localStorage.getItem(key));
+      expect(saved.schemaVersion).toBe(SAVE_FORMAT.VERSION);
+      expect(isValidSession(saved.lastSession)).toBe(true);
+    });
+
+    test('upgrades a save from before versioning', () => {
+      const timestamp = new Date('2026-01-05T16:00:00Z').getTime();
+      localStorage.setItem(key, JSON.stringify({
+        persistent: { totalStars: 9, highScores: { easy: 400 } },
+        lastSession: { difficulty: 'easy', score: 400, stars: 3, bananas: 5, timestamp }
+      }));
+
+      expect(manager.loadProgress()).toBe(true);
+      expect(manager.getPersistentStats().totalStars).toBe(9);
+      expect(localStorage.getItem(backupKey)).toBeNull();
+    });
+
+    test('migrates one version at a time', () => {
+      const upgraded = manager.migrateSaveData({
+        persistent: {},
+        lastSession: { difficulty: 'hard', score: 10, timestamp: 1767628800000 }
+      });
+
+      expect(upgraded.schemaVersion).toBe(SAVE_FORMAT.VERSION);
+      expect(upgraded.lastSession.startTime).toBe(1767628800000);
+      expect(upgraded.lastSession.sessionId).toBeDefined();
+    });
+
+    test('fills nested fields missing from an old save with defaults', () => {
+      localStorage.setItem(key, JSON.stringify({
+        schemaVersion: SAVE_FORMAT.VERSION,
+        persistent: {
+          highScores: { easy: 250 },
+          levelsCompleted: { easy: [1, 2], medium: 'oops' },
+          preferences: { soundEnabled: false }
+        }
+      }));
+
+      manager.loadProgress();
+      const stats = manager.getPersistentStats();
+
+      expect(stats.highScores).toEqual({ easy: 250, medium: 0, hard: 0 });
+      expect(stats.levelsCompleted).toEqual({ easy: [1, 2], medium: [], hard: [] });
+      expect(stats.preferences).toEqual({ soundEnabled: false, musicEnabled: true });
+      expect(manager.isLevelCompleted('medium', 1)).toBe(false);
+    });
+
+    test('quarantines a save from a newer version instead of losing it', () => {
+      const raw = JSON.stringify({ schemaVersion: SAVE_FORMAT.VERSION + 1, persistent: { totalStars: 40 } });
+      localStorage.setItem(key, raw);
+
+      expect(manager.loadProgress()).toBe(false);
+      expect(manager.getPersistentStats().totalStars).toBe(0);
+      expect(localStorage.getItem(key)).toBeNull();
+      expect(manager.getQuarantinedSave().raw).toBe(raw);
+    });
+
+    test('quarantines a save whose last session is invalid', () => {
+      localStorage.setItem(key, JSON.stringify({
+        schemaVersion: SAVE_FORMAT.VERSION,
+        persistent: {},
+        lastSession: { sessionId: 's1', difficulty: 'expert', startTime: Date.now(), score: 0 }
+      }));
+
+      expect(manager.loadProgress()).toBe(false);
+      expect(manager.getQuarantinedSave().reason).toContain('could not be upgraded');
+    });
+
+    test('quarantines unreadable JSON', () => {
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation();
+      localStorage.setItem(key, 'invalid json {]');
+
+      expect(manager.loadProgress()).toBe(false);
+      expect(manager.getQuarantinedSave().raw).toBe('invalid json {]');
+      errorSpy.mockRestore();
+    });
+
+    test('a later save does not overwrite the quarantined one', () => {
+      localStorage.setItem(key, JSON.stringify({ schemaVersion: 99, persistent: {} }));
+      manager.loadProgress();
+      manager.saveProgress();
+
+      expect(JSON.parse(manager.getQuarantinedSave().raw).schemaVersion).toBe(99);
+      expect(JSON.parse(localStorage.getItem(key)).schemaVersion).toBe(SAVE_FORMAT.VERSION);
+    });
+
+    test('a second unreadable save is kept alongside the first', () => {
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation();
+      localStorage.setItem(key, 'invalid json {]');
+      manager.loadProgress();
+
+      const newer = JSON.stringify({ schemaVersion: 99, persistent: {} });
+      localStorage.setItem(key, newer);
+      manager.loadProgress();
+      errorSpy.mockRestore();
+
+      const backups = manager.getQuarantinedSaves();
+      expect(backups.map(backup => backup.raw)).toEqual(['invalid json {]', newer]);
+      expect(manager.getQuarantinedSave().raw).toBe(newer);
+    });
+
+    test('keeps only the newest backups', () => {
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation();
+      for (let i = 0; i < SAVE_FORMAT.MAX_BACKUPS + 2; i++) {
+        localStorage.setItem(key, `invalid json ${i}`);
+        manager.loadProgress();
+      }
+      errorSpy.mockRestore();
+
+      const backups = manager.getQuarantinedSaves();
+      expect(backups).toHaveLength(SAVE_FORMAT.MAX_BACKUPS);
+      expect(backups[0].raw).toBe('invalid json 2');
+      expect(manager.getQuarantinedSave().raw).toBe(`invalid json ${SAVE_FORMAT.MAX_BACKUPS + 1}`);
+    });
+
+    test('resetAllProgress keeps quarantined saves', () => {
+      localStorage.setItem(key, 'invalid json {]');
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation();
+      manager.loadProgress();
+      errorSpy.mockRestore();
+
+      manager.resetAllProgress();
+      expect(localStorage.getItem(key)).toBeNull();
+      expect(manager.getQuarantinedSave().raw).toBe('invalid json {]');
+    });
+
+    test('rejects an import from a newer version', () => {
+      expect(manager.importProgress({ schemaVersion: 99, persistent: {} })).toBe(false);
+    });
+  });
+
+  describe('Session History', () => {
+    const question = {
+      id: 'add_easy_001_1',
+      operation: 'addition',
+      questionText: '7 + 5 = ?',
+      answer: 12,
+      values: { a: 7, b: 5, c: 12 }
+    };
+
+    const playSession = (outcome = { correct: true, attempts: 1 }) => {
+      manager.startSession('easy');
+      manager.recordAnswer(outcome.correct, question);
+      manager.recordQuestionOutcome(question, outcome);
+      return manager.completeSession();
+    };
+
+    test('records every question with what was tried', () => {
+      manager.recordQuestionOutcome(question, {
+        correct: true,
+        attempts: 3,
+        answers: ['11', '13', '12'],
+        timeMs: 8200,
+        hintShown: true
+      });
+
+      expect(manager.getCurrentStats().questionOutcomes[0]).toEqual(expect.objectContaining({
+        questionText: '7 + 5 = ?',
+        operands: [7, 5],
+        answer: 12,
+        answers: ['11', '13', '12'],
+        attempts: 3,
+        timeMs: 8200,
+        hintShown: true
+      }));
+    });
+
+    test('uses all operands of a multi-step question', () => {
+      manager.recordQuestionOutcome({ ...question, operands: [4, 5, 6], answer: 15 }, { correct: true, attempts: 1 });
+
+      expect(manager.getCurrentStats().questionOutcomes[0].operands).toEqual([4, 5, 6]);
+    });
+
+    test('leaves operands empty for questions without them', () => {
+      manager.recordQuestionOutcome({ id: 'graph_1', operation: 'graph', answer: 3, values: { counts: [3, 5] } }, { correct: true, attempts: 1 });
+
+      const outcome = manager.getCurrentStats().questionOutcomes[0];
+      expect(outcome.operands).toBeNull();
+      expect(outcome.timeMs).toBeNull();
+      expect(outcome.hintShown).toBe(false);
+    });
+
+    test('logs the session when it completes', () => {
+      playSession({ correct: false, attempts: 3, answers: ['10', '11', '13'], timeMs: 12000, hintShown: true });
+
+      const [session] = manager.getSessionHistory();
+      expect(session.sessionId).toBeDefined();
+      expect(session.difficulty).toBe('easy');
+      expect(session.questions).toHaveLength(1);
+      expect(session.questions[0].answers).toEqual(['10', '11', '13']);
+    });
+
+    test('keeps the history across reloads', () => {
+      playSession();
+
+      const reloaded = new ProgressManager();
+      reloaded.initialize();
+      expect(reloaded.getSessionHistory()).toHaveLength(1);
+    });
+
+    test('rolls up sessions beyond the limit', () => {
+      for (let i = 0; i < HISTORY.MAX_SESSIONS + 2; i++) {
+        playSession({ correct: i % 2 === 0, attempts: 2, hintShown: true, timeMs: 1000 });
+      }
+
+      const rollup = manager.getHistoryRollup();
+      expect(manager.getSessionHistory()).toHaveLength(HISTORY.MAX_SESSIONS);
+      expect(rollup.sessions).toBe(2);
+      expect(rollup.questions).toBe(2);
+      expect(rollup.correct).toBe(1);
+      expect(rollup.attempts).toBe(4);
+      expect(rollup.hintsShown).toBe(2);
+      expect(rollup.timeMs).toBe(2000);
+      expect(rollup.byOperation.addition).toEqual({ questions: 2, correct: 1 });
+    });
+
+    test('lists the newest session first', () => {
+      playSession();
+      manager.startSession('hard');
+      manager.completeSession();
+
+      expect(manager.getSessionHistory().map(session => session.difficulty)).toEqual(['hard', 'easy']);
+    });
+
+    test('a save without history starts an empty log', () => {
+      localStorage.setItem('gorilla-math-progress', JSON.stringify({
+        schemaVersion: SAVE_FORMAT.VERSION,
+        persistent: { totalStars: 3, history: { rollup: 'broken' } }
+      }));
+
+      manager.loadProgress();
+      expect(manager.getSessionHistory()).toEqual([]);
+      expect(manager.getHistoryRollup().sessions).toBe(0);
+    });
+  });
+
+  describe('Skill Mastery', () => {
+    const fact = (operation, a, b, extra = {}) => ({
+      id: 'q', operation, type: 'equation', values: { a, b, c: operation === 'addition' ? a + b : a - b }, ...extra
+    });
+
+    test('maps questions to skills', () => {
+      expect(manager.getSkillKey(fact('addition', 7, 5))).toBe('add-within-20');
+      expect(manager.getSkillKey(fact('subtraction', 15, 8))).toBe('sub-within-20');
+      expect(manager.getSkillKey(fact('addition', 23, 45, { regrouping: false }))).toBe('add-within-100');
+      expect(manager.getSkillKey(fact('addition', 28, 45, { regrouping: true }))).toBe('add-regrouping');
+      expect(manager.getSkillKey(fact('subtraction', 52, 27, { regrouping: true }))).toBe('sub-regrouping');
+      expect(manager.getSkillKey(fact('addition', 4, 5, { stepCount: 2, operands: [4, 5, 6] }))).toBe('several-numbers');
+      expect(manager.getSkillKey(fact('subtraction', 9, 4, { type: 'word-problem', story: { situation: 'separate' } }))).toBe('word-problems');
+      expect(manager.getSkillKey({ operation: 'array' })).toBe('equal-groups');
+      expect(manager.getSkillKey({ operation: 'sequence' })).toBe('skip-counting');
+      expect(manager.getSkillKey({ operation: 'graph' })).toBe('graphs');
+      expect(manager.getSkillKey({ operation: 'division' })).toBeNull();
+      expect(manager.getSkillKey(null)).toBeNull();
+    });
+
+    test('every mapped skill is on the skill map', () => {
+      const ids = manager.getSkillMap().map(skill => skill.id);
+
+      expect(ids).toHaveLength(Object.keys(SKILLS).length);
+      ['equal-groups', 'even-odd', 'place-value', 'comparison', 'sequence', 'money', 'time', 'graph'].forEach(operation => {
+        expect(ids).toContain(manager.getSkillKey({ operation }));
+      });
+    });
+
+    test('unpractised skills start at the initial estimate', () => {
+      expect(manager.getSkillMastery('add-within-20')).toBe(MASTERY.P_INITIAL);
+      expect(manager.getSkillMap().every(skill => skill.attempts === 0 && !skill.mastered)).toBe(true);
+    });
+
+    test('correct answers raise mastery and wrong ones lower it', () => {
+      const question = fact('addition', 7, 5);
+
+      manager.recordAnswer(true, question);
+      const afterCorrect = manager.getSkillMastery('add-within-20');
+      expect(afterCorrect).toBeGreaterThan(MASTERY.P_INITIAL);
+
+      manager.recordAnswer(false, question);
+      expect(manager.getSkillMastery('add-within-20')).toBeLessThan(afterCorrect);
+    });
+
+    test('a run of correct answers reaches mastery', () => {
+      for (let i = 0; i < 8; i++) {
+        manager.recordAnswer(true, fact('subtraction', 15, 8));
+      }
+
+      const skill = manager.getSkillMap().find(entry => entry.id === 'sub-within-20');
+      expect(skill.mastered).toBe(true);
+      expect(skill.attempts).toBe(8);
+    });
+
+    test('a right pick from two choices counts for less than a typed answer', () => {
+      const typed = new ProgressManager();
+      const picked = new ProgressManager();
+
+      typed.recordAnswer(true, { operation: 'even-odd', values: { n: 7 } });
+      picked.recordAnswer(true, { operation: 'even-odd', values: { n: 7 }, choices: [{ value: 'even' }, { value: 'odd' }] });
+
+      expect(picked.getSkillMastery('even-odd')).toBeLessThan(typed.getSkillMastery('even-odd'));
+    });
+
+    test('mastery stays between 0 and 1', () => {
+      for (let i = 0; i < 50; i++) {
+        manager.recordAnswer(i % 3 !== 0, fact('addition', 7, 5));
+      }
+
+      const mastery = manager.getSkillMastery('add-within-20');
+      expect(mastery).toBeGreaterThan(0);
+      expect(mastery).toBeLessThan(1);
+    });
+
+    test('mastery is saved with progress', () => {
+      manager.recordAnswer(true, fact('addition', 7, 5));
+      manager.saveProgress();
+
+      const reloaded = new ProgressManager();
+      reloaded.initialize();
+      expect(reloaded.getSkillMastery('add-within-20')).toBe(manager.getSkillMastery('add-within-20'));
+    });
+
+    test('mastery and review are saved as soon as a question finishes', () => {
+      const question = fact('addition', 8, 7);
+      manager.startSession('easy');
+      manager.recordAnswer(false, question);
+      manager.recordQuestionOutcome(question, { correct: false, attempts: 1 });
+
+      // The player leaves before the level is complete
+      const reloaded = new ProgressManager();
+      reloaded.initialize();
+      expect(reloaded.getSkillMastery('add-within-20')).toBe(manager.getSkillMastery('add-within-20'));
+      expect(reloaded.getDueFacts(Date.now() + 1)).toHaveLength(1);
+    });
+  });
 });
@@ -17,8 +17,19 @@ import {
   isValidStorageData,
   isValidTimestamp,
   isAnswerClose,
-  isValidSession
+  isValidSession,
+  isValidTimeEntry,
+  parseTimeInput,
+  formatTime
 } from '../../src/utils/validators.js';
+import { readFileSync } from 'fs';
+import {
+  formatPath,
+  validateSchema,
+  checkQuestionBank,
+  validateQuestionBank,
+  validateContentFile
+} from '../../src/utils/contentValidation.js';
 
 describe('Validators', () => {
   describe('isValidNumber', () => {
@@ -580,4 +591,148 @@ describe('Validators', () => {
       expect(sanitized).toBe('John Doe');
     });
   });
+
+  describe('Time Entry', () => {
+    test('allows partial times that fit the mask', () => {
+      expect(isValidTimeEntry('')).toBe(true);
+      expect(isValidTimeEntry('3')).toBe(true);
+      expect(isValidTimeEntry('345')).toBe(true);
+      expect(isValidTimeEntry('1245')).toBe(true);
+      expect(isValidTimeEntry('3:')).toBe(true);
+      expect(isValidTimeEntry('12:4')).toBe(true);
+    });
+
+    test('blocks entries that can never be a time', () => {
+      expect(isValidTimeEntry('12345')).toBe(false);
+      expect(isValidTimeEntry(':')).toBe(false);
+      expect(isValidTimeEntry('123:')).toBe(false);
+      expect(isValidTimeEntry('3:456')).toBe(false);
+      expect(isValidTimeEntry('3::')).toBe(false);
+      expect(isValidTimeEntry(null)).toBe(false);
+    });
+
+    test('parses times with and without a colon', () => {
+      expect(parseTimeInput('3:45')).toEqual({ hours: 3, minutes: 45 });
+      expect(parseTimeInput('345')).toEqual({ hours: 3, minutes: 45 });
+      expect(parseTimeInput('1205')).toEqual({ hours: 12, minutes: 5 });
+      expect(parseTimeInput('9')).toEqual({ hours: 9, minutes: 0 });
+    });
+
+    test('rejects times that are not on a clock', () => {
+      expect(parseTimeInput('13:00')).toBeNull();
+      expect(parseTimeInput('0:30')).toBeNull();
+      expect(parseTimeInput('360')).toBeNull();
+      expect(parseTimeInput('3:4')).toBeNull();
+      expect(parseTimeInput('')).toBeNull();
+    });
+
+    test('formats times with two minute digits', () => {
+      expect(formatTime({ hours: 3, minutes: 5 })).toBe('3:05');
+      expect(formatTime({ hours: 12, minutes: 45 })).toBe('12:45');
+      expect(formatTime(null)).toBe('');
+    });
+  });
+
+  describe('Content Validation', () => {
+    const readData = (name) => JSON.parse(readFileSync(`src/data/${name}`, 'utf8'));
+    const questionSchema = readData('schemas/questions.schema.json');
+    const difficulties = readData('difficulties.json');
+
+    const template = (overrides = {}) => ({
+      id: 'add_test_001',
+      type: 'equation',
+      operation: 'addition',
+      template: '{a} + {b} = ?',
+      minValue: 0,
+      maxValue: 10,
+      ...overrides
+    });
+    const bankWith = (...templates) => ({ easy: templates, medium: [template({ id: 'm1' })], hard: [template({ id: 'h1' })] });
+
+    test('shipped content files pass their schemas and checks', () => {
+      expect(validateQuestionBank(readData('questions.json'), questionSchema, difficulties).errors).toEqual([]);
+      expect(validateContentFile(difficulties, readData('schemas/difficulties.schema.json'))).toEqual([]);
+      expect(validateContentFile(readData('feedback-messages.json'), readData('schemas/feedback-messages.schema.json'))).toEqual([]);
+    });
+
+    test('formats paths for error messages', () => {
+      expect(formatPath(['medium', 3, 'operation'])).toBe('medium[3].operation');
+      expect(formatPath([])).toBe('(root)');
+    });
+
+    test('reports a misspelled operation and a missing id', () => {
+      const { id, ...noId } = template();
+      const errors = validateSchema(bankWith(template({ operation: 'subtracton' }), noId), questionSchema);
+
+      expect(errors.map(error => formatPath(error.path))).toEqual(['easy[0].operation', 'easy[1]']);
+      expect(errors[1].message).toContain('"id"');
+    });
+
+    test('reports unknown properties and supports $ref, enum and anyOf', () => {
+      const { minValue, ...noRange } = template({ id: 'x' });
+      const errors = validateSchema(bankWith(template({ minvalue: 1 }), noRange), questionSchema);
+      const messages = errors.map(error => `${formatPath(error.path)} ${error.message}`);
+
+      expect(messages).toContain('easy[0].minvalue has unknown property "minvalue"');
+      expect(messages.some(message => message.startsWith('easy[1] must have minValue + maxValue or variables + answer'))).toBe(true);
+    });
+
+    test('reports duplicate ids, out-of-band ranges and unfilled placeholders', () => {
+      const errors = checkQuestionBank(bankWith(
+        template(),
+        template({ maxValue: 30 }),
+        template({ id: 'add_test_002', template: '{a} + {x} = ?' })
+      ), difficulties);
+      const messages = errors.map(error => error.message);
+
+      expect(messages).toContain('duplicate id "add_test_001" (first used at easy[0])');
+      expect(messages).toContain('range 0-30 is outside the easy band 0-20');
+      expect(messages).toContain('placeholder {x} is never filled');
+    });
+
+    test('lets counting patterns use the counting band', () => {
+      const sequence = template({ operation: 'sequence', template: 'Count by {step}s!', skipBy: 10, minValue: 0, maxValue: 100 });
+      const messages = checkQuestionBank(bankWith(
+        sequence,
+        { ...sequence, id: 'seq_test_002', maxValue: 200 }
+      ), difficulties).map(error => error.message);
+
+      expect(messages).toEqual(['range 0-200 is outside the easy band 0-120']);
+    });
+
+    test('lets place-value questions use the counting band', () => {
+      const placeValue = template({ operation: 'place-value', form: 'compose', template: '{tens} tens + {ones} ones', minValue: 100, maxValue: 120 });
+      const messages = checkQuestionBank(bankWith(placeValue), difficulties).map(error => error.message);
+
+      expect(messages).toEqual([]);
+    });
+
+    test('checks template expressions', () => {
+      const { minValue, maxValue, ...base } = template();
+      const errors = checkQuestionBank(bankWith({
+        ...base,
+        variables: { a: { min: 1, max: 'b' }, b: { min: 1, max: 9 } },
+        constraints: ['a >'],
+        answer: 'a + b'
+      }));
+
+      expect(errors.map(error => formatPath(error.path))).toEqual(['easy[0].variables.a.max', 'easy[0].constraints[0]']);
+    });
+
+    test('drops only the bad templates from a bank', () => {
+      const { bank, errors } = validateQuestionBank(
+        bankWith(template(), template({ id: 'bad', operation: 'subtracton' })),
+        questionSchema,
+        difficulties
+      );
+
+      expect(errors).toHaveLength(1);
+      expect(bank.easy.map(item => item.id)).toEqual(['add_test_001']);
+      expect(bank.medium).toHaveLength(1);
+    });
+
+    test('rejects a bank that is not an object', () => {
+      expect(validateQuestionBank([], questionSchema).bank).toBeNull();
+    });
+  });
 });